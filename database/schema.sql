@@ -15,12 +15,20 @@ USE TrueBackup;
 CREATE TABLE users (
     id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
     email VARCHAR(255) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,            -- Random for accounts provisioned by single sign-on
     name VARCHAR(255) NOT NULL,
     email_verified BOOLEAN DEFAULT FALSE,
-    email_verification_token VARCHAR(255),
-    password_reset_token VARCHAR(255),
+    email_verification_token VARCHAR(255),          -- SHA-256 of the emailed token
+    email_verification_expires DATETIME,
+    password_reset_token VARCHAR(255),              -- SHA-256 of the emailed token
     password_reset_expires DATETIME,
+    totp_secret VARCHAR(64),                        -- Base32 TOTP secret (pending until totp_enabled)
+    totp_enabled BOOLEAN DEFAULT FALSE,
+    totp_enabled_at DATETIME,
+    totp_last_used_step BIGINT,                     -- Last accepted TOTP time step, blocks code replay
+    failed_login_attempts INT DEFAULT 0,            -- Consecutive failures, reset on successful login
+    last_failed_login_at DATETIME,
+    locked_until DATETIME,                          -- No login attempts accepted before this time
     last_login DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -41,14 +49,53 @@ CREATE TABLE user_roles (
     INDEX idx_role (role)
 ) ENGINE=InnoDB;
 
+-- One-time 2FA recovery codes
+CREATE TABLE user_recovery_codes (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    code_hash CHAR(64) NOT NULL,                    -- SHA-256 of the normalized code
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_code (user_id, code_hash)
+) ENGINE=InnoDB;
+
+-- External (OpenID Connect) identities linked to users
+CREATE TABLE user_identities (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    provider VARCHAR(50) NOT NULL,                  -- Provider id from OIDC_PROVIDERS
+    subject VARCHAR(255) NOT NULL,                  -- The provider's stable "sub" claim
+    email VARCHAR(255),                             -- Email claim at the last login
+    last_login_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_provider_subject (provider, subject),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+) ENGINE=InnoDB;
+
+-- Pending OpenID Connect authorization requests (single use)
+CREATE TABLE oidc_login_states (
+    state_hash CHAR(64) PRIMARY KEY,                -- SHA-256 of the state parameter
+    provider VARCHAR(50) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,            -- PKCE verifier, never leaves the server
+    mode ENUM('web', 'app') NOT NULL DEFAULT 'web',
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB;
+
 -- Sessions table (for JWT token management)
 CREATE TABLE user_sessions (
     id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
     user_id CHAR(36) NOT NULL,
-    token_hash VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(255) NOT NULL,               -- SHA-256 of the latest access token; tokens carry the session id as jti
+    refresh_token_hash CHAR(64),                    -- SHA-256 of the current refresh token (rotated on every refresh)
     ip_address VARCHAR(45),
     user_agent TEXT,
-    expires_at DATETIME NOT NULL,
+    last_seen_at DATETIME,
+    expires_at DATETIME NOT NULL,                   -- Current refresh token expiry
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user_id (user_id),
@@ -84,11 +131,14 @@ CREATE TABLE clients (
     company VARCHAR(255),
     storage_quota_gb DECIMAL(10,2) NOT NULL DEFAULT 100.00,
     storage_used_gb DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    trash_used_gb DECIMAL(10,2) NOT NULL DEFAULT 0.00,  -- Files in the trash (not part of storage_used_gb)
     egress_used_gb DECIMAL(10,2) NOT NULL DEFAULT 0.00,
     egress_free_limit_gb DECIMAL(10,2) NOT NULL DEFAULT 2048.00,
     status ENUM('active', 'suspended') NOT NULL DEFAULT 'active',
     bucket_name VARCHAR(255),
     folder_prefix VARCHAR(255),
+    storage_alert_thresholds JSON,                   -- Per-client override, NULL = system setting
+    egress_alert_thresholds JSON,                    -- Per-client override, NULL = system setting
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     last_active_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -98,6 +148,25 @@ CREATE TABLE clients (
     INDEX idx_email (email)
 ) ENGINE=InnoDB;
 
+-- API keys for unattended backup agents (used instead of a password login)
+CREATE TABLE api_keys (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    client_id CHAR(36) NOT NULL,
+    created_by CHAR(36) NOT NULL,                   -- User that created the key; requests run as this user
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,                -- First characters of the key, shown to identify it
+    key_hash CHAR(64) NOT NULL UNIQUE,              -- SHA-256 of the full key; the key itself is never stored
+    scopes JSON NOT NULL,                           -- e.g. ["files:read", "files:write", "browse"]
+    expires_at DATETIME,                            -- NULL = never expires
+    last_used_at DATETIME,
+    last_used_ip VARCHAR(45),
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_client_id (client_id)
+) ENGINE=InnoDB;
+
 -- =============================================================================
 -- 4. FILES METADATA
 -- =============================================================================
@@ -113,6 +182,13 @@ CREATE TABLE files (
     parent_id CHAR(36),
     s3_key TEXT,
     s3_etag VARCHAR(255),
+    upload_id VARCHAR(1024),                        -- S3 multipart upload id while a multipart upload is in progress
+    upload_part_size_bytes BIGINT,                  -- Part size of that multipart upload
+    upload_status ENUM('pending', 'uploaded', 'verified', 'failed') NOT NULL DEFAULT 'verified',  -- Only verified files count as stored
+    upload_verified_at DATETIME,
+    trash_root_id CHAR(36),                         -- While in the trash: the deleted item this row went to the trash with
+    s3_version_id VARCHAR(1024),                    -- While in the trash: the object version holding its content (versioned buckets)
+    purged_at DATETIME,                             -- Permanently deleted from the trash (object removed from storage)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     modified_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     deleted_at DATETIME,
@@ -122,9 +198,36 @@ CREATE TABLE files (
     INDEX idx_parent_id (parent_id),
     INDEX idx_type (type),
     INDEX idx_deleted_at (deleted_at),
+    INDEX idx_upload_status (upload_status, created_at),
+    INDEX idx_trash_root_id (trash_root_id),
     FULLTEXT idx_name_search (name)
 ) ENGINE=InnoDB;
 
+-- Move/rename and copy jobs on files and folders, with progress for the ones that run in the background
+CREATE TABLE file_operations (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    client_id CHAR(36) NOT NULL,
+    user_id CHAR(36),
+    operation ENUM('move', 'copy') NOT NULL,
+    file_id CHAR(36) NOT NULL,                      -- File or folder being moved or copied
+    target_parent_id CHAR(36),                      -- Destination folder, NULL for the top level
+    target_name VARCHAR(500) NOT NULL,
+    status ENUM('pending', 'running', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+    total_items INT NOT NULL DEFAULT 0,
+    processed_items INT NOT NULL DEFAULT 0,
+    total_bytes BIGINT NOT NULL DEFAULT 0,
+    processed_bytes BIGINT NOT NULL DEFAULT 0,
+    target_keys JSON,                               -- Keys being copied to; removed if the operation is cut off
+    result_file_id CHAR(36),                        -- Copy: the new top-level item
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_client_status (client_id, status)
+) ENGINE=InnoDB;
+
 -- =============================================================================
 -- 5. ACTIVITY LOGS
 -- =============================================================================
@@ -186,6 +289,60 @@ CREATE TABLE download_history (
     INDEX idx_downloaded_at (downloaded_at)
 ) ENGINE=InnoDB;
 
+-- Daily per-client storage snapshots (figures from the client's S3 bucket)
+CREATE TABLE storage_snapshots (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    client_id CHAR(36) NOT NULL,
+    snapshot_date DATE NOT NULL,
+    active_bytes BIGINT NOT NULL DEFAULT 0,          -- Current object versions
+    object_count INT NOT NULL DEFAULT 0,
+    deleted_bytes BIGINT NOT NULL DEFAULT 0,         -- Non-current (deleted/overwritten) versions
+    deleted_object_count INT NOT NULL DEFAULT 0,     -- Delete markers
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_client_date (client_id, snapshot_date),
+    INDEX idx_snapshot_date (snapshot_date)
+) ENGINE=InnoDB;
+
+-- =============================================================================
+-- 8. INVOICES (Monthly billing from egress_usage and storage_snapshots)
+-- =============================================================================
+
+CREATE TABLE invoices (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    client_id CHAR(36) NOT NULL,
+    invoice_number VARCHAR(50) NOT NULL UNIQUE,
+    period VARCHAR(7) NOT NULL,                      -- Billed month 'YYYY-MM'
+    status ENUM('issued', 'paid', 'void') NOT NULL DEFAULT 'issued',
+    total_inr DECIMAL(14,2) NOT NULL DEFAULT 0,
+    total_usd DECIMAL(14,2) NOT NULL DEFAULT 0,
+    pricing JSON,                                    -- Prices in effect when generated
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    paid_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_client_period (client_id, period),
+    INDEX idx_period (period),
+    INDEX idx_status (status)
+) ENGINE=InnoDB;
+
+CREATE TABLE invoice_line_items (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    invoice_id CHAR(36) NOT NULL,
+    item_type ENUM('storage', 'egress') NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    quantity DECIMAL(14,4) NOT NULL DEFAULT 0,       -- Billable GB
+    unit VARCHAR(20) NOT NULL DEFAULT 'GB',
+    unit_price_inr DECIMAL(12,4) NOT NULL DEFAULT 0,
+    unit_price_usd DECIMAL(12,4) NOT NULL DEFAULT 0,
+    amount_inr DECIMAL(14,2) NOT NULL DEFAULT 0,
+    amount_usd DECIMAL(14,2) NOT NULL DEFAULT 0,
+    metadata JSON,
+    FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_id (invoice_id)
+) ENGINE=InnoDB;
+
 -- =============================================================================
 -- 9. SYSTEM SETTINGS
 -- =============================================================================
@@ -208,9 +365,27 @@ INSERT INTO system_settings (`key`, value, description) VALUES
 ('storage_price_per_gb', '{"inr": 0.59, "usd": 0.0068}', 'Price per GB for storage'),
 ('block_downloads_on_overage', 'false', 'Block downloads when client exceeds free egress'),
 ('egress_alert_thresholds', '[80, 90, 100]', 'Percentage thresholds for egress alerts'),
+('storage_alert_thresholds', '[80, 90, 100]', 'Percentage thresholds for storage quota alerts'),
 ('default_storage_quota_gb', '100', 'Default storage quota for new clients'),
 ('session_timeout_minutes', '30', 'Session timeout in minutes'),
-('require_2fa_admin', 'false', 'Require 2FA for admin accounts');
+('require_2fa_admin', 'false', 'Require 2FA for admin accounts'),
+('require_email_verification', 'false', 'Block uploads and downloads until the account email is verified'),
+('trash_retention_days', '30', 'Days deleted files stay in the trash before they are purged');
+
+-- Every settings change, for audit and rollback
+CREATE TABLE system_settings_history (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    setting_key VARCHAR(100) NOT NULL,
+    old_value JSON,                                  -- NULL when the key was first created
+    new_value JSON NOT NULL,
+    change_type ENUM('update', 'rollback') NOT NULL DEFAULT 'update',
+    rolled_back_from CHAR(36),                       -- History entry that was rolled back
+    changed_by CHAR(36),
+    created_at DATETIME(3) DEFAULT CURRENT_TIMESTAMP(3),
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_setting_key (setting_key),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB;
 
 -- =============================================================================
 -- 8. CLIENT STORAGE CONFIGURATION (Per-Client S3 Credentials)
@@ -224,11 +399,18 @@ CREATE TABLE client_storage_config (
     bucket_name VARCHAR(255) NOT NULL,
     endpoint VARCHAR(255) NOT NULL,              -- e.g., 's3.wasabisys.com', 's3.amazonaws.com'
     region VARCHAR(50) NOT NULL,                 -- e.g., 'us-east-1', 'ap-south-1'
-    access_key_id TEXT NOT NULL,                 -- Encrypted at rest
-    secret_access_key TEXT NOT NULL,             -- Encrypted at rest
+    access_key_id TEXT NOT NULL,                 -- Encrypted at rest (AES-256-GCM with data_key)
+    secret_access_key TEXT NOT NULL,             -- Encrypted at rest (AES-256-GCM with data_key)
+    data_key TEXT,                               -- Per-row data key, wrapped with ENCRYPTION_KEY; NULL = not yet migrated
+    key_version INT,                             -- ENCRYPTION_KEY version that wrapped data_key
     
     -- Optional: bucket prefix for multi-tenant within single bucket
     bucket_prefix VARCHAR(255),                  -- e.g., 'client-123/' if sharing bucket
+
+    -- Optional: role the desktop app's temporary credentials are issued from (STS AssumeRole)
+    -- Without it the app works in presigned-URL-only mode
+    sts_role_arn VARCHAR(255),                   -- e.g., 'arn:aws:iam::123456789012:role/truebackup-app'
+    sts_endpoint VARCHAR(255),                   -- e.g., 'sts.wasabisys.com'; NULL = AWS default
     
     -- Connection status
     is_verified BOOLEAN DEFAULT FALSE,
@@ -239,7 +421,8 @@ CREATE TABLE client_storage_config (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
-    INDEX idx_client_id (client_id)
+    INDEX idx_client_id (client_id),
+    INDEX idx_key_version (key_version)
 ) ENGINE=InnoDB;
 
 -- =============================================================================
@@ -248,8 +431,9 @@ CREATE TABLE client_storage_config (
 
 CREATE TABLE shared_links (
     id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
-    file_id CHAR(36) NOT NULL,
+    file_id CHAR(36),                                -- File or folder row; NULL for multi-file shares
     client_id CHAR(36) NOT NULL,
+    share_type ENUM('file', 'folder', 'files') NOT NULL DEFAULT 'file',
     token VARCHAR(64) UNIQUE NOT NULL,
     expires_at DATETIME NOT NULL,
     max_downloads INT,
@@ -264,6 +448,34 @@ CREATE TABLE shared_links (
     INDEX idx_expires_at (expires_at),
     INDEX idx_is_active (is_active)
 ) ENGINE=InnoDB;
+
+-- Files included in a multi-file share (share_type = 'files')
+CREATE TABLE shared_link_files (
+    shared_link_id CHAR(36) NOT NULL,
+    file_id CHAR(36) NOT NULL,
+    PRIMARY KEY (shared_link_id, file_id),
+    FOREIGN KEY (shared_link_id) REFERENCES shared_links(id) ON DELETE CASCADE,
+    FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE,
+    INDEX idx_file_id (file_id)
+) ENGINE=InnoDB;
+
+-- Per-link access log (public token requests, successful or denied)
+CREATE TABLE shared_link_access_logs (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    shared_link_id CHAR(36) NOT NULL,
+    client_id CHAR(36) NOT NULL,
+    status ENUM('success', 'denied') NOT NULL,
+    reason VARCHAR(100),                             -- Denial error code, e.g. 'SHARE_EXPIRED'
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    accessed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (shared_link_id) REFERENCES shared_links(id) ON DELETE CASCADE,
+    FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    INDEX idx_shared_link_id (shared_link_id),
+    INDEX idx_client_id (client_id),
+    INDEX idx_accessed_at (accessed_at)
+) ENGINE=InnoDB;
+
 -- =============================================================================
 -- 10. ALERTS
 -- =============================================================================
@@ -274,9 +486,14 @@ CREATE TABLE alerts (
     alert_type ENUM('egress_warning', 'egress_limit', 'storage_warning', 'storage_limit') NOT NULL,
     message TEXT NOT NULL,
     threshold_percent INT,                           -- 80, 90, 100
+    period VARCHAR(7) NOT NULL DEFAULT '',           -- 'YYYY-MM' for egress alerts, '' for storage alerts
     is_read BOOLEAN DEFAULT FALSE,
+    active_marker TINYINT DEFAULT 1,                 -- 1 while active, NULL once cleared
+    cleared_at DATETIME,                             -- Set when usage drops back below the threshold
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+    -- At most one active alert per threshold and period; cleared alerts (NULL marker) don't collide
+    UNIQUE KEY unique_active_alert (client_id, alert_type, threshold_percent, period, active_marker),
     INDEX idx_client_id (client_id),
     INDEX idx_is_read (is_read),
     INDEX idx_alert_type (alert_type),
@@ -284,6 +501,29 @@ CREATE TABLE alerts (
     INDEX idx_unread (client_id, is_read)
 ) ENGINE=InnoDB;
 
+-- =============================================================================
+-- 11. EMAIL OUTBOX (Queued notifications with retries)
+-- =============================================================================
+
+CREATE TABLE email_outbox (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    template VARCHAR(100) NOT NULL,
+    to_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    text_body MEDIUMTEXT NOT NULL,
+    html_body MEDIUMTEXT,
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    last_error TEXT,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB;
+
 -- =============================================================================
 -- STORED PROCEDURES & FUNCTIONS
 -- =============================================================================
@@ -306,20 +546,24 @@ BEGIN
     RETURN role_exists;
 END$$
 
--- Procedure to recalculate client storage usage
+-- Procedure to recalculate client storage usage (live files and files in the trash)
 CREATE PROCEDURE recalculate_client_storage(IN p_client_id CHAR(36))
 BEGIN
     DECLARE total_size_gb DECIMAL(10,2);
+    DECLARE trash_size_gb DECIMAL(10,2);
     
-    SELECT COALESCE(SUM(size_bytes), 0) / (1024 * 1024 * 1024)
-    INTO total_size_gb
+    SELECT COALESCE(SUM(CASE WHEN deleted_at IS NULL THEN size_bytes ELSE 0 END), 0) / (1024 * 1024 * 1024),
+           COALESCE(SUM(CASE WHEN deleted_at IS NOT NULL THEN size_bytes ELSE 0 END), 0) / (1024 * 1024 * 1024)
+    INTO total_size_gb, trash_size_gb
     FROM files
     WHERE client_id = p_client_id
         AND type = 'file'
-        AND deleted_at IS NULL;
+        AND upload_status = 'verified'
+        AND (deleted_at IS NULL OR (trash_root_id IS NOT NULL AND purged_at IS NULL));
     
     UPDATE clients
-    SET storage_used_gb = total_size_gb
+    SET storage_used_gb = total_size_gb,
+        trash_used_gb = trash_size_gb
     WHERE id = p_client_id;
 END$$
 
@@ -339,7 +583,7 @@ BEGIN
     RETURN COALESCE(v_egress, 0);
 END$$
 
--- Procedure to record egress and trigger alerts
+-- Procedure to record egress (alerts are raised by the application's alert service)
 CREATE PROCEDURE record_egress(
     IN p_client_id CHAR(36),
     IN p_bytes BIGINT
@@ -347,9 +591,6 @@ CREATE PROCEDURE record_egress(
 BEGIN
     DECLARE v_month_year VARCHAR(7);
     DECLARE v_gb DECIMAL(12,4);
-    DECLARE v_current_egress DECIMAL(12,4);
-    DECLARE v_free_limit DECIMAL(10,2);
-    DECLARE v_usage_percent DECIMAL(5,2);
     
     SET v_month_year = DATE_FORMAT(NOW(), '%Y-%m');
     SET v_gb = p_bytes / (1024 * 1024 * 1024);
@@ -358,47 +599,6 @@ BEGIN
     INSERT INTO egress_usage (client_id, month_year, egress_used_gb)
     VALUES (p_client_id, v_month_year, v_gb)
     ON DUPLICATE KEY UPDATE egress_used_gb = egress_used_gb + v_gb;
-    
-    -- Get current egress and free limit
-    SELECT egress_used_gb, c.egress_free_limit_gb
-    INTO v_current_egress, v_free_limit
-    FROM egress_usage e
-    JOIN clients c ON e.client_id = c.id
-    WHERE e.client_id = p_client_id AND e.month_year = v_month_year;
-    
-    -- Calculate usage percentage
-    SET v_usage_percent = (v_current_egress / v_free_limit) * 100;
-    
-    -- Check thresholds and create alerts
-    IF v_usage_percent >= 100 THEN
-        INSERT IGNORE INTO alerts (client_id, alert_type, message, threshold_percent)
-        VALUES (p_client_id, 'egress_limit', 
-                'You have exceeded your free egress limit!', 100);
-    ELSEIF v_usage_percent >= 90 THEN
-        IF NOT EXISTS (
-            SELECT 1 FROM alerts
-            WHERE client_id = p_client_id
-              AND alert_type = 'egress_warning'
-              AND threshold_percent = 90
-              AND created_at >= DATE_FORMAT(NOW(), '%Y-%m-01')
-        ) THEN
-            INSERT INTO alerts (client_id, alert_type, message, threshold_percent)
-            VALUES (p_client_id, 'egress_warning', 
-                   'You have used 90% of your free egress limit', 90);
-        END IF;
-    ELSEIF v_usage_percent >= 80 THEN
-        IF NOT EXISTS (
-            SELECT 1 FROM alerts
-            WHERE client_id = p_client_id
-              AND alert_type = 'egress_warning'
-              AND threshold_percent = 80
-              AND created_at >= DATE_FORMAT(NOW(), '%Y-%m-01')
-        ) THEN
-            INSERT INTO alerts (client_id, alert_type, message, threshold_percent)
-            VALUES (p_client_id, 'egress_warning', 
-                   'You have used 80% of your free egress limit', 80);
-        END IF;
-    END IF;
 END$$
 
 -- Procedure to reset monthly egress alerts (run as cron job on 1st of month)
@@ -475,6 +675,7 @@ SELECT
     c.company,
     c.storage_quota_gb,
     c.storage_used_gb,
+    c.trash_used_gb,
     COALESCE(e.egress_used_gb, 0) as egress_used_gb,
     c.egress_free_limit_gb,
     c.status,
@@ -487,7 +688,7 @@ SELECT
     COUNT(DISTINCT CASE WHEN f.type = 'folder' THEN f.id END) as folders_count,
     cs.is_verified as storage_configured
 FROM clients c
-LEFT JOIN files f ON c.id = f.client_id AND f.deleted_at IS NULL
+LEFT JOIN files f ON c.id = f.client_id AND f.deleted_at IS NULL AND f.upload_status = 'verified'
 LEFT JOIN egress_usage e ON c.id = e.client_id AND e.month_year = DATE_FORMAT(NOW(), '%Y-%m')
 LEFT JOIN client_storage_config cs ON c.id = cs.client_id
 GROUP BY c.id, e.egress_used_gb, cs.is_verified;
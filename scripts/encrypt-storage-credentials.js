@@ -0,0 +1,120 @@
+/**
+ * Encrypt and re-key client storage credentials
+ *
+ * - Rows still holding plaintext keys (data_key IS NULL) are encrypted.
+ * - Rows whose data key is wrapped with an older ENCRYPTION_KEY version are
+ *   re-wrapped with the current one.
+ *
+ * Safe to run while the API is serving traffic: every row is updated with a
+ * conditional UPDATE, so a concurrent edit from the admin API is never overwritten,
+ * and the API reads both plaintext and any configured key version.
+ *
+ * Key rotation:
+ *   1. Set ENCRYPTION_KEY to the new key, bump ENCRYPTION_KEY_VERSION and move the
+ *      old key to ENCRYPTION_PREVIOUS_KEYS (e.g. "1:old-key"), then restart the API.
+ *   2. Run this script (npm run db:encrypt-credentials).
+ *   3. Once it reports nothing left to do, remove the old key from ENCRYPTION_PREVIOUS_KEYS.
+ *
+ * Usage: node scripts/encrypt-storage-credentials.js [--dry-run]
+ */
+import { query, closePool } from '../src/config/database.js';
+import encryptionService from '../src/services/encryption.service.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function encryptStorageCredentials() {
+  let encrypted = 0;
+  let rewrapped = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  try {
+    const activeVersion = encryptionService.activeVersion;
+    console.log(`🔑 Active encryption key version: ${activeVersion}${dryRun ? ' (dry run)' : ''}`);
+
+    const rows = await query(
+      `SELECT id, client_id, access_key_id, secret_access_key, data_key, key_version
+       FROM client_storage_config
+       WHERE data_key IS NULL OR key_version <> ?`,
+      [activeVersion]
+    );
+
+    console.log(`🔄 ${rows.length} storage config row(s) to process`);
+
+    for (const row of rows) {
+      try {
+        if (!row.data_key) {
+          const credentials = encryptionService.encryptStorageCredentials(row.access_key_id, row.secret_access_key);
+
+          // Make sure the row decrypts back to the original keys before replacing them
+          const check = encryptionService.decryptStorageCredentials(credentials);
+          if (check.accessKeyId !== row.access_key_id || check.secretAccessKey !== row.secret_access_key) {
+            throw new Error('Round-trip check failed');
+          }
+
+          if (!dryRun) {
+            const result = await query(
+              `UPDATE client_storage_config
+               SET access_key_id = ?, secret_access_key = ?, data_key = ?, key_version = ?
+               WHERE id = ? AND data_key IS NULL AND access_key_id = ? AND secret_access_key = ?`,
+              [
+                credentials.access_key_id,
+                credentials.secret_access_key,
+                credentials.data_key,
+                credentials.key_version,
+                row.id,
+                row.access_key_id,
+                row.secret_access_key
+              ]
+            );
+
+            if (result.affectedRows === 0) {
+              skipped++;
+              console.log(`⏭️  Client ${row.client_id}: changed during migration, skipped`);
+              continue;
+            }
+          }
+
+          encrypted++;
+        } else {
+          const { dataKey, keyVersion } = encryptionService.rewrapDataKey(row.data_key, row.key_version);
+
+          if (!dryRun) {
+            const result = await query(
+              'UPDATE client_storage_config SET data_key = ?, key_version = ? WHERE id = ? AND data_key = ?',
+              [dataKey, keyVersion, row.id, row.data_key]
+            );
+
+            if (result.affectedRows === 0) {
+              skipped++;
+              console.log(`⏭️  Client ${row.client_id}: changed during rotation, skipped`);
+              continue;
+            }
+          }
+
+          rewrapped++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Client ${row.client_id}: ${error.message}`);
+      }
+    }
+
+    console.log('');
+    console.log(`✅ Encrypted: ${encrypted}`);
+    console.log(`✅ Re-keyed to version ${activeVersion}: ${rewrapped}`);
+    console.log(`⏭️  Skipped (concurrently updated, run again): ${skipped}`);
+    console.log(`${failed > 0 ? '❌' : '✅'} Failed: ${failed}`);
+
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Credential encryption failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+encryptStorageCredentials();
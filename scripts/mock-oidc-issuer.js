@@ -0,0 +1,159 @@
+/**
+ * Minimal OpenID Connect issuer for trying out single sign-on locally
+ *
+ * Implements discovery, JWKS, an authorization endpoint that signs the user in
+ * immediately (no login page) and a token endpoint with PKCE checks.
+ * Not for production use: it trusts every request.
+ *
+ * Usage:
+ *   npm run oidc:mock
+ *
+ *   OIDC_PROVIDERS='[{"id":"mock","name":"Mock SSO","issuer":"http://localhost:5556",
+ *     "clientId":"truebackup","clientSecret":"mock-secret",
+ *     "roleMapping":{"backup-admins":"admin","backup-users":"client"}}]'
+ *
+ * The signed-in user can be chosen per login by adding login_hint (an email) and
+ * groups (comma separated) to the authorization URL, or with MOCK_OIDC_EMAIL,
+ * MOCK_OIDC_NAME and MOCK_OIDC_GROUPS. MOCK_OIDC_PORT sets the port (default 5556).
+ */
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const port = parseInt(process.env.MOCK_OIDC_PORT || '5556', 10);
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes (code -> login details), valid for one minute
+const codes = new Map();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+}
+
+function authorize(url, res) {
+  const params = url.searchParams;
+
+  if (params.get('response_type') !== 'code' || !params.get('client_id') || !params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  const email = params.get('login_hint') || process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com';
+  const groups = (params.get('groups') ?? process.env.MOCK_OIDC_GROUPS ?? 'backup-users')
+    .split(',').map(g => g.trim()).filter(Boolean);
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: params.get('client_id'),
+    redirectUri: params.get('redirect_uri'),
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    email,
+    name: process.env.MOCK_OIDC_NAME || email.split('@')[0],
+    groups,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+  console.log(`🔑 Signed in ${email} [${groups.join(', ')}] -> ${redirect.origin}${redirect.pathname}`);
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+async function token(req, res) {
+  const body = await readBody(req);
+  const login = codes.get(body.get('code'));
+  codes.delete(body.get('code'));
+
+  if (body.get('grant_type') !== 'authorization_code' || !login || login.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  if (body.get('redirect_uri') !== login.redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  if (login.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (challenge !== login.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(login.email).digest('hex').slice(0, 24),
+      email: login.email,
+      email_verified: true,
+      name: login.name,
+      groups: login.groups,
+      ...(login.nonce && { nonce: login.nonce })
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer, audience: login.clientId, expiresIn: '5m' }
+  );
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, issuer);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return authorize(url, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await token(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('❌ Mock issuer error:', error.message);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`✅ Mock OIDC issuer running at ${issuer}`);
+});
@@ -22,7 +22,11 @@ const config = {
     secret: process.env.JWT_SECRET || 'your-secret-key',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
     refreshSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret',
-    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    passwordResetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60', 10),
+    emailVerificationExpiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || '48', 10),
+    // Lifetime of the token issued between the password and 2FA steps of login
+    twoFactorChallengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
   },
 
   // S3/Wasabi
@@ -32,7 +36,11 @@ const config = {
     region: process.env.S3_REGION || 'us-east-1',
     endpoint: process.env.S3_ENDPOINT || 'https://s3.wasabisys.com',
     defaultBucket: process.env.S3_DEFAULT_BUCKET || 'truebackup-storage',
-    presignedUrlExpires: parseInt(process.env.S3_PRESIGNED_URL_EXPIRES || '3600', 10)
+    presignedUrlExpires: parseInt(process.env.S3_PRESIGNED_URL_EXPIRES || '3600', 10),
+    // Lifetime of the scoped credentials given to the desktop app (STS allows 900 - 43200)
+    appCredentialsTtlSeconds: Math.min(Math.max(parseInt(process.env.S3_APP_CREDENTIALS_TTL_SECONDS || '3600', 10), 900), 43200),
+    // Preferred multipart part size; raised automatically for files that would need more than 10,000 parts
+    multipartPartSizeMB: Math.max(parseInt(process.env.S3_MULTIPART_PART_SIZE_MB || '64', 10), 5)
   },
 
   // CORS
@@ -59,19 +67,46 @@ const config = {
     port: parseInt(process.env.EMAIL_PORT || '587', 10),
     user: process.env.EMAIL_USER,
     password: process.env.EMAIL_PASSWORD,
-    from: process.env.EMAIL_FROM || 'noreply@truebackup.com'
+    from: process.env.EMAIL_FROM || 'noreply@truebackup.com',
+    secure: process.env.EMAIL_SECURE === 'true',
+    // 'smtp' or 'file' (writes .eml files to fileDir, for testing without a server)
+    transport: process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'file'),
+    fileDir: process.env.EMAIL_FILE_DIR || 'logs/mail',
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10)
   },
 
   // Application
   app: {
     maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB || '5120', 10),
+    // Uploads still pending after this long are expired (multipart uploads are aborted)
+    uploadPendingExpiresHours: parseInt(process.env.UPLOAD_PENDING_EXPIRES_HOURS || '24', 10),
     sessionTimeoutMinutes: parseInt(process.env.SESSION_TIMEOUT_MINUTES || '30', 10),
-    enableActivityLogs: process.env.ENABLE_ACTIVITY_LOGS === 'true'
+    enableActivityLogs: process.env.ENABLE_ACTIVITY_LOGS === 'true',
+    settingsRefreshSeconds: parseInt(process.env.SETTINGS_REFRESH_SECONDS || '60', 10),
+    // Consecutive failed logins before an account is locked, and the first lockout length
+    maxFailedLogins: parseInt(process.env.MAX_FAILED_LOGINS || '5', 10),
+    loginLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+    publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || '5000'}`).replace(/\/+$/, ''),
+    frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')
+  },
+
+  // OpenID Connect single sign-on
+  oidc: {
+    // JSON array of identity providers (see .env.example)
+    providers: process.env.OIDC_PROVIDERS || '[]',
+    // Page providers redirect back to (default: FRONTEND_URL/auth/oidc/callback); must be registered with each provider
+    redirectUri: process.env.OIDC_REDIRECT_URI || null,
+    // How long a started login can take to come back from the provider
+    stateExpiresMinutes: parseInt(process.env.OIDC_STATE_EXPIRES_MINUTES || '10', 10)
   },
 
   // Encryption
   encryption: {
-    key: process.env.ENCRYPTION_KEY
+    key: process.env.ENCRYPTION_KEY,
+    // Version of ENCRYPTION_KEY; bump it when rotating to a new key
+    keyVersion: parseInt(process.env.ENCRYPTION_KEY_VERSION || '1', 10),
+    // Older keys still needed to read rows until rotation finishes, as "version:key,version:key"
+    previousKeys: process.env.ENCRYPTION_PREVIOUS_KEYS || ''
   }
 };
 
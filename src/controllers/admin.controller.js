@@ -2,6 +2,11 @@ import pool from '../config/database.js';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 import s3Service from '../services/s3.service.js';
+import settingsService from '../services/settings.service.js';
+import alertService from '../services/alert.service.js';
+import mailService from '../services/mail.service.js';
+import activityService from '../services/activity.service.js';
+import encryptionService from '../services/encryption.service.js';
 import logger from '../utils/logger.js';
 import { S3Client, ListObjectsV2Command, ListObjectVersionsCommand } from '@aws-sdk/client-s3';
 
@@ -87,7 +92,7 @@ export const getClientById = async (req, res) => {
 
     // Get storage config (without secrets)
     const [storageConfigs] = await pool.query(
-      `SELECT id, client_id, bucket_name, endpoint, region, bucket_prefix, 
+      `SELECT id, client_id, bucket_name, endpoint, region, bucket_prefix, sts_role_arn, sts_endpoint,
               is_verified, last_verified_at, created_at, updated_at
        FROM client_storage_config WHERE client_id = ?`,
       [clientId]
@@ -111,11 +116,36 @@ export const getClientById = async (req, res) => {
       [clientId]
     );
 
+    // Get alert threshold overrides (null = system setting)
+    const [thresholds] = await pool.query(
+      'SELECT storage_alert_thresholds, egress_alert_thresholds FROM clients WHERE id = ?',
+      [clientId]
+    );
+
+    // Get failed login / lockout state
+    const [logins] = await pool.query(
+      `SELECT u.failed_login_attempts, u.last_failed_login_at,
+              IF(u.locked_until > NOW(), u.locked_until, NULL) as locked_until
+       FROM clients c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.id = ?`,
+      [clientId]
+    );
+
     res.json({
       success: true,
       data: {
         client: clients[0],
         storageConfig: storageConfigs[0] || null,
+        alertThresholds: {
+          storage: thresholds[0].storage_alert_thresholds,
+          egress: thresholds[0].egress_alert_thresholds
+        },
+        loginLockout: {
+          failedAttempts: logins[0]?.failed_login_attempts || 0,
+          lastFailedAt: logins[0]?.last_failed_login_at || null,
+          lockedUntil: logins[0]?.locked_until || null
+        },
         stats: {
           storageUsedPercent: clients[0].storage_used_percent,
           egressUsedPercent: clients[0].egress_used_percent,
@@ -208,7 +238,7 @@ export const createClient = async (req, res) => {
 
     // If storage config provided, create it
     if (storageConfig) {
-      const { bucketName, endpoint, region, accessKeyId, secretAccessKey, bucketPrefix } = storageConfig;
+      const { bucketName, endpoint, region, accessKeyId, secretAccessKey, bucketPrefix, stsRoleArn, stsEndpoint } = storageConfig;
 
       if (!bucketName || !endpoint || !region || !accessKeyId || !secretAccessKey) {
         await connection.rollback();
@@ -227,11 +257,15 @@ export const createClient = async (req, res) => {
         secretAccessKey
       );
 
+      const credentials = encryptionService.encryptStorageCredentials(accessKeyId, secretAccessKey);
+
       await connection.query(
         `INSERT INTO client_storage_config 
-         (client_id, bucket_name, endpoint, region, access_key_id, secret_access_key, bucket_prefix, is_verified, last_verified_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [clientId, bucketName, endpoint, region, accessKeyId, secretAccessKey, bucketPrefix || '', isValid]
+         (client_id, bucket_name, endpoint, region, access_key_id, secret_access_key, data_key, key_version,
+          bucket_prefix, sts_role_arn, sts_endpoint, is_verified, last_verified_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [clientId, bucketName, endpoint, region, credentials.access_key_id, credentials.secret_access_key,
+          credentials.data_key, credentials.key_version, bucketPrefix || '', stsRoleArn || null, stsEndpoint || null, isValid]
       );
     }
 
@@ -279,9 +313,28 @@ export const updateClient = async (req, res) => {
       storageQuotaGb,
       egressFreeLimitGb,
       status,
-      storageConfig
+      storageConfig,
+      alertThresholds
     } = req.body;
 
+    // Validate per-client alert threshold overrides (null restores the system setting)
+    if (alertThresholds) {
+      for (const metric of ['storage', 'egress']) {
+        const thresholds = alertThresholds[metric];
+        const error = thresholds
+          ? settingsService.validateSetting(`${metric}_alert_thresholds`, thresholds)
+          : null;
+
+        if (error) {
+          await connection.rollback();
+          return res.status(400).json({
+            success: false,
+            message: error
+          });
+        }
+      }
+    }
+
     // Check if client exists
     const [clients] = await connection.query(
       'SELECT id, name FROM clients WHERE id = ?',
@@ -320,6 +373,14 @@ export const updateClient = async (req, res) => {
       updates.push('status = ?');
       params.push(status);
     }
+    if (alertThresholds) {
+      for (const metric of ['storage', 'egress']) {
+        if (alertThresholds[metric] !== undefined) {
+          updates.push(`${metric}_alert_thresholds = ?`);
+          params.push(alertThresholds[metric] ? JSON.stringify(alertThresholds[metric]) : null);
+        }
+      }
+    }
 
     if (updates.length > 0) {
       params.push(clientId);
@@ -331,11 +392,11 @@ export const updateClient = async (req, res) => {
 
     // Update storage config if provided
     if (storageConfig) {
-      const { bucketName, endpoint, region, accessKeyId, secretAccessKey, bucketPrefix } = storageConfig;
+      const { bucketName, endpoint, region, accessKeyId, secretAccessKey, bucketPrefix, stsRoleArn, stsEndpoint } = storageConfig;
 
       // Check if storage config exists
       const [existingConfig] = await connection.query(
-        'SELECT id FROM client_storage_config WHERE client_id = ?',
+        'SELECT * FROM client_storage_config WHERE client_id = ?',
         [clientId]
       );
 
@@ -356,18 +417,35 @@ export const updateClient = async (req, res) => {
           configUpdates.push('region = ?');
           configParams.push(region);
         }
-        if (accessKeyId) {
-          configUpdates.push('access_key_id = ?');
-          configParams.push(accessKeyId);
-        }
-        if (secretAccessKey) {
-          configUpdates.push('secret_access_key = ?');
-          configParams.push(secretAccessKey);
+
+        // Both keys share one data key, so a change to either re-encrypts the pair
+        const current = encryptionService.decryptStorageCredentials(existingConfig[0]);
+        const newAccessKeyId = accessKeyId || current.accessKeyId;
+        const newSecretAccessKey = secretAccessKey || current.secretAccessKey;
+
+        if (accessKeyId || secretAccessKey) {
+          const credentials = encryptionService.encryptStorageCredentials(newAccessKeyId, newSecretAccessKey);
+          configUpdates.push('access_key_id = ?', 'secret_access_key = ?', 'data_key = ?', 'key_version = ?');
+          configParams.push(
+            credentials.access_key_id,
+            credentials.secret_access_key,
+            credentials.data_key,
+            credentials.key_version
+          );
         }
         if (bucketPrefix !== undefined) {
           configUpdates.push('bucket_prefix = ?');
           configParams.push(bucketPrefix);
         }
+        // Empty string or null switches the app back to presigned-URL-only mode
+        if (stsRoleArn !== undefined) {
+          configUpdates.push('sts_role_arn = ?');
+          configParams.push(stsRoleArn || null);
+        }
+        if (stsEndpoint !== undefined) {
+          configUpdates.push('sts_endpoint = ?');
+          configParams.push(stsEndpoint || null);
+        }
 
         if (configUpdates.length > 0) {
           // Verify new config
@@ -375,8 +453,8 @@ export const updateClient = async (req, res) => {
             bucket_name: bucketName || existingConfig[0].bucket_name,
             endpoint: endpoint || existingConfig[0].endpoint,
             region: region || existingConfig[0].region,
-            access_key_id: accessKeyId || existingConfig[0].access_key_id,
-            secret_access_key: secretAccessKey || existingConfig[0].secret_access_key
+            access_key_id: newAccessKeyId,
+            secret_access_key: newSecretAccessKey
           };
 
           const isValid = await s3Service.testConnection(testConfig);
@@ -403,17 +481,24 @@ export const updateClient = async (req, res) => {
           bucketName, endpoint, region, accessKeyId, secretAccessKey
         );
 
+        const credentials = encryptionService.encryptStorageCredentials(accessKeyId, secretAccessKey);
+
         await connection.query(
           `INSERT INTO client_storage_config 
-           (client_id, bucket_name, endpoint, region, access_key_id, secret_access_key, bucket_prefix, is_verified, last_verified_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-          [clientId, bucketName, endpoint, region, accessKeyId, secretAccessKey, bucketPrefix || '', isValid]
+           (client_id, bucket_name, endpoint, region, access_key_id, secret_access_key, data_key, key_version,
+            bucket_prefix, sts_role_arn, sts_endpoint, is_verified, last_verified_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+          [clientId, bucketName, endpoint, region, credentials.access_key_id, credentials.secret_access_key,
+            credentials.data_key, credentials.key_version, bucketPrefix || '', stsRoleArn || null, stsEndpoint || null, isValid]
         );
       }
     }
 
     await connection.commit();
 
+    // Quota, limit or threshold changes can raise or clear alerts
+    await alertService.checkClientSafely(clientId);
+
     // Fetch updated client
     const [updatedClient] = await pool.query(
       'SELECT * FROM v_client_stats WHERE id = ?',
@@ -507,7 +592,7 @@ export const getSystemStats = async (req, res) => {
     const [fileStats] = await pool.query(`
       SELECT COUNT(*) as totalFiles
       FROM files
-      WHERE deleted_at IS NULL AND type = 'file'
+      WHERE deleted_at IS NULL AND type = 'file' AND upload_status = 'verified'
     `);
 
     // Recent clients
@@ -531,6 +616,7 @@ export const getSystemStats = async (req, res) => {
       JOIN clients c ON a.client_id = c.id
       WHERE a.alert_type IN ('storage_warning', 'storage_limit')
         AND a.is_read = FALSE
+        AND a.cleared_at IS NULL
       ORDER BY a.created_at DESC
       LIMIT 10
     `);
@@ -548,6 +634,7 @@ export const getSystemStats = async (req, res) => {
       JOIN clients c ON a.client_id = c.id
       WHERE a.alert_type IN ('egress_warning', 'egress_limit')
         AND a.is_read = FALSE
+        AND a.cleared_at IS NULL
       ORDER BY a.created_at DESC
       LIMIT 10
     `);
@@ -667,7 +754,7 @@ export const toggleClientStatus = async (req, res) => {
 
     // Check if client exists
     const [clients] = await pool.query(
-      'SELECT name FROM clients WHERE id = ?',
+      'SELECT name, email, status FROM clients WHERE id = ?',
       [clientId]
     );
 
@@ -684,6 +771,15 @@ export const toggleClientStatus = async (req, res) => {
       [status, clientId]
     );
 
+    // Notify the client when the status actually changes
+    if (clients[0].status !== status) {
+      await mailService.enqueue(
+        status === 'suspended' ? 'account_suspended' : 'account_activated',
+        clients[0].email,
+        { name: clients[0].name }
+      );
+    }
+
     res.json({
       success: true,
       message: `Client ${status === 'suspended' ? 'suspended' : 'activated'} successfully`
@@ -731,9 +827,11 @@ export const resetClientPassword = async (req, res) => {
     // Hash new password
     const passwordHash = await bcrypt.hash(newPassword, 10);
 
-    // Update password
+    // Update password (and drop any outstanding self-service reset token)
     await pool.query(
-      'UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?',
+      `UPDATE users
+       SET password_hash = ?, password_reset_token = NULL, password_reset_expires = NULL, updated_at = NOW()
+       WHERE id = ?`,
       [passwordHash, user_id]
     );
 
@@ -743,6 +841,8 @@ export const resetClientPassword = async (req, res) => {
       [user_id]
     );
 
+    await mailService.enqueue('admin_password_reset', email, { name });
+
     res.json({
       success: true,
       message: 'Password reset successfully. All active sessions have been terminated.',
@@ -761,6 +861,117 @@ export const resetClientPassword = async (req, res) => {
   }
 };
 
+/**
+ * Clear a user's failed logins and lockout, and log who did it
+ */
+async function unlockUser(req, user, resourceType, resourceId) {
+  await pool.query(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+    [user.id]
+  );
+
+  await activityService.logActivity({
+    userId: req.user.id,
+    userName: req.user.name,
+    userRole: req.user.roles[0],
+    action: 'account_unlocked',
+    details: `Unlocked login for ${user.email}`,
+    resourceType,
+    resourceId,
+    metadata: { failedAttempts: user.failed_login_attempts },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  logger.info(`Account unlocked by admin: ${user.email}`);
+}
+
+/**
+ * Unlock a client account locked by failed logins
+ */
+export const unlockClientAccount = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const [clients] = await pool.query(
+      `SELECT c.user_id, c.name, c.email, u.failed_login_attempts
+       FROM clients c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.id = ?`,
+      [clientId]
+    );
+
+    if (clients.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const { user_id, name, email, failed_login_attempts } = clients[0];
+
+    await unlockUser(req, { id: user_id, email, failed_login_attempts }, 'client', clientId);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: {
+        clientName: name,
+        email
+      }
+    });
+  } catch (error) {
+    logger.error('Error unlocking client account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unlock any user account (including admins, who have no client record) locked by failed logins
+ */
+export const unlockUserAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const [users] = await pool.query(
+      'SELECT id, name, email, failed_login_attempts FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = users[0];
+
+    await unlockUser(req, user, 'user', userId);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: {
+        userId,
+        name: user.name,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    logger.error('Error unlocking user account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get client's S3 storage statistics (for admin)
  */
@@ -792,10 +1003,7 @@ export const getClientStorageStats = async (req, res) => {
     const s3Client = new S3Client({
       endpoint: storageConfig.endpoint,
       region: storageConfig.region,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key,
-      },
+      credentials: encryptionService.decryptStorageCredentials(storageConfig),
       forcePathStyle: true,
     });
 
@@ -5,9 +5,496 @@ import crypto from 'crypto';
 import { query, transaction } from '../config/database.js';
 import config from '../config/index.js';
 import activityService from '../services/activity.service.js';
+import mailService from '../services/mail.service.js';
+import twoFactorService from '../services/twoFactor.service.js';
+import oidcService from '../services/oidc.service.js';
+import settingsService from '../services/settings.service.js';
+import s3Service from '../services/s3.service.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+// Minimum gap between reset emails for one account (on top of authLimiter)
+const PASSWORD_RESET_RESEND_MINUTES = 2;
+
+// Minimum gap between verification emails for one account
+const VERIFICATION_RESEND_MINUTES = 2;
+
+/**
+ * SHA-256 hex digest used to store one-time tokens
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new email verification token (replacing any earlier one) and email it
+ */
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresHours = config.jwt.emailVerificationExpiresHours;
+
+  await query(
+    `UPDATE users
+     SET email_verification_token = ?, email_verification_expires = DATE_ADD(NOW(), INTERVAL ? HOUR)
+     WHERE id = ?`,
+    [hashToken(token), expiresHours, user.id]
+  );
+
+  await mailService.enqueue('email_verification', user.email, {
+    name: user.name,
+    verifyUrl: `${config.app.frontendUrl}/verify-email?token=${token}`,
+    expiresHours
+  });
+}
+
+// JWT purpose claim for the token issued between the password and 2FA login steps
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+
+// Lockouts double after the threshold but never exceed a day
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+
+const USER_WITH_ROLES_SQL = `SELECT u.*, GROUP_CONCAT(ur.role) as roles,
+          TIMESTAMPDIFF(SECOND, NOW(), u.locked_until) as lock_remaining_seconds
+   FROM users u
+   LEFT JOIN user_roles ur ON u.id = ur.user_id`;
+
+/**
+ * Get a user row with roles (comma separated) by id, or null
+ */
+async function findUserById(userId) {
+  const users = await query(`${USER_WITH_ROLES_SQL} WHERE u.id = ? GROUP BY u.id`, [userId]);
+  return users[0] || null;
+}
+
+/**
+ * Seconds an account has to wait after its Nth consecutive failed login:
+ * short doubling delays (1s, 2s, 4s...) before the threshold, then doubling lockouts
+ */
+function loginDelaySeconds(failures) {
+  const { maxFailedLogins, loginLockoutMinutes } = config.app;
+
+  if (failures < maxFailedLogins) {
+    return 2 ** (failures - 1);
+  }
+
+  return Math.min(loginLockoutMinutes * 60 * 2 ** (failures - maxFailedLogins), MAX_LOCKOUT_SECONDS);
+}
+
+/**
+ * Log a failed login attempt; for known accounts also count it and delay the next attempt
+ * context: { email, reason, ipAddress, userAgent }
+ */
+async function recordFailedLogin(user, { email, reason, ipAddress, userAgent }) {
+  if (!user) {
+    await activityService.logActivity({
+      userId: null,
+      userName: email,
+      userRole: 'client',
+      action: 'login_failed',
+      details: 'Failed login for unknown email',
+      metadata: { email, reason },
+      ipAddress,
+      userAgent
+    });
+    return;
+  }
+
+  await query(
+    'UPDATE users SET failed_login_attempts = failed_login_attempts + 1, last_failed_login_at = NOW() WHERE id = ?',
+    [user.id]
+  );
+
+  const [{ failed_login_attempts: failures }] = await query(
+    'SELECT failed_login_attempts FROM users WHERE id = ?',
+    [user.id]
+  );
+
+  const delaySeconds = loginDelaySeconds(failures);
+
+  await query(
+    'UPDATE users SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+    [delaySeconds, user.id]
+  );
+
+  await activityService.logActivity({
+    userId: user.id,
+    userName: user.name,
+    userRole: (user.roles || '').split(',')[0] || 'client',
+    action: 'login_failed',
+    details: `Failed login attempt ${failures}`,
+    metadata: { reason, failedAttempts: failures, lockedForSeconds: delaySeconds },
+    ipAddress,
+    userAgent
+  });
+
+  if (failures >= config.app.maxFailedLogins) {
+    logger.warn(`Account ${user.email} locked for ${delaySeconds}s after ${failures} failed logins`);
+  }
+}
+
+/**
+ * Refuse the attempt while the account is delayed or locked (the attempt is still logged)
+ */
+async function assertNotLocked(user, context) {
+  if (user.lock_remaining_seconds === null || user.lock_remaining_seconds <= 0) {
+    return;
+  }
+
+  await activityService.logActivity({
+    userId: user.id,
+    userName: user.name,
+    userRole: (user.roles || '').split(',')[0] || 'client',
+    action: 'login_failed',
+    details: 'Login attempt while account is locked',
+    metadata: { reason: 'locked', failedAttempts: user.failed_login_attempts },
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+
+  const seconds = user.lock_remaining_seconds;
+  const wait = seconds > 90 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+
+  throw new AppError(`Too many failed login attempts. Try again in ${wait}.`, 423, 'ACCOUNT_LOCKED');
+}
+
+/**
+ * Get a user row with roles by email and check the password
+ * context: { ipAddress, userAgent } for failed-attempt logging
+ */
+async function findUserByCredentials(email, password, context) {
+  const users = await query(`${USER_WITH_ROLES_SQL} WHERE u.email = ? GROUP BY u.id`, [email]);
+
+  if (users.length === 0) {
+    await recordFailedLogin(null, { ...context, email, reason: 'unknown_email' });
+    throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
+  }
+
+  const user = users[0];
+
+  await assertNotLocked(user, context);
+
+  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+
+  if (!isPasswordValid) {
+    await recordFailedLogin(user, { ...context, email, reason: 'invalid_password' });
+    throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
+  }
+
+  return user;
+}
+
+/**
+ * Check the current user's password before a sensitive account change
+ */
+async function assertPassword(user, password) {
+  const isValid = await bcrypt.compare(password, user.password_hash);
+
+  if (!isValid) {
+    throw new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD');
+  }
+}
+
+/**
+ * Response for a correct password on an account with 2FA: no session yet, only a short-lived challenge
+ * mode is 'web' or 'app' and decides which login response the second step returns
+ */
+function twoFactorChallenge(user, mode) {
+  const challengeToken = jwt.sign(
+    { userId: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE, mode },
+    config.jwt.secret,
+    { expiresIn: config.jwt.twoFactorChallengeExpiresIn }
+  );
+
+  return {
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+      expiresIn: config.jwt.twoFactorChallengeExpiresIn
+    }
+  };
+}
+
+/**
+ * Sign an access and refresh token pair for a session
+ * Both carry the session id as jti. The nonce makes every refresh token unique,
+ * so a rotated-out token can be told apart from the current one.
+ * The session expires together with the refresh token.
+ */
+function signSessionTokens(user, sessionId) {
+  const accessToken = jwt.sign(
+    { userId: user.id, email: user.email },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn, jwtid: sessionId }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId: user.id, nonce: crypto.randomBytes(16).toString('hex') },
+    config.jwt.refreshSecret,
+    { expiresIn: config.jwt.refreshExpiresIn, jwtid: sessionId }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+}
+
+/**
+ * Get the client and storage configuration used by the desktop app, or undefined
+ */
+async function findAppClient(userId) {
+  const [clientData] = await query(
+    `SELECT c.id as client_id, c.name, c.email, c.company, 
+            c.storage_quota_gb, c.egress_free_limit_gb, c.status,
+            csc.bucket_name, csc.endpoint, csc.region, 
+            csc.access_key_id, csc.secret_access_key, csc.data_key, csc.key_version, csc.bucket_prefix,
+            csc.sts_role_arn, csc.sts_endpoint,
+            csc.is_verified, csc.last_verified_at
+     FROM clients c
+     LEFT JOIN client_storage_config csc ON c.id = csc.client_id
+     WHERE c.user_id = ?`,
+    [userId]
+  );
+
+  return clientData;
+}
+
+/**
+ * Cloud storage details for the desktop app. The long-lived keys never leave the server:
+ * the app gets prefix-scoped temporary credentials when the config has an STS role,
+ * and otherwise works through presigned URLs from the /files endpoints.
+ */
+async function buildAppCloudConfig(clientData) {
+  const cloudConfig = {
+    bucketName: clientData.bucket_name,
+    endpoint: clientData.endpoint,
+    region: clientData.region,
+    bucketPrefix: clientData.bucket_prefix || '',
+    isVerified: Boolean(clientData.is_verified),
+    lastVerifiedAt: clientData.last_verified_at,
+    mode: 'presigned',
+    credentials: null,
+    expiresAt: null,
+    refreshEndpoint: null
+  };
+
+  if (!clientData.sts_role_arn || clientData.status !== 'active') {
+    return cloudConfig;
+  }
+
+  // Without a prefix the credentials would cover the whole bucket, other clients' files included
+  if (!clientData.bucket_prefix) {
+    const shared = await query(
+      `SELECT client_id FROM client_storage_config
+       WHERE bucket_name = ? AND endpoint = ? AND client_id <> ? LIMIT 1`,
+      [clientData.bucket_name, clientData.endpoint, clientData.client_id]
+    );
+
+    if (shared.length > 0) {
+      logger.warn(`Bucket ${clientData.bucket_name} is shared and client ${clientData.client_id} has no prefix, using presigned mode`);
+      return cloudConfig;
+    }
+  }
+
+  try {
+    const { expiresAt, ...credentials } = await s3Service.getScopedCredentials(
+      clientData,
+      `truebackup-${clientData.client_id}`,
+      config.s3.appCredentialsTtlSeconds
+    );
+
+    return {
+      ...cloudConfig,
+      mode: 'temporary_credentials',
+      credentials,
+      expiresAt,
+      refreshEndpoint: `/api/${config.apiVersion}/auth/app/storage-credentials`
+    };
+  } catch (error) {
+    // Presigned URLs keep working without STS, so don't fail the request
+    logger.error(`Scoped credentials unavailable for client ${clientData.client_id}, using presigned mode:`, error);
+    return cloudConfig;
+  }
+}
+
+/**
+ * Create the session for an authenticated user and build the login response data
+ * The 'app' mode also returns the client and its cloud storage configuration
+ * provider is the OIDC provider id for single sign-on logins
+ */
+async function completeLogin(user, mode, ipAddress, userAgent, provider = null) {
+  // Generate tokens and store the session
+  const sessionId = uuidv4();
+  const { accessToken, refreshToken, expiresAt } = signSessionTokens(user, sessionId);
+
+  await query(
+    `INSERT INTO user_sessions
+     (id, user_id, token_hash, refresh_token_hash, ip_address, user_agent, last_seen_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)`,
+    [sessionId, user.id, hashToken(accessToken), hashToken(refreshToken), ipAddress, userAgent, expiresAt]
+  );
+
+  // Update last login and clear failed attempts
+  await query(
+    'UPDATE users SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+    [user.id]
+  );
+
+  // Log activity
+  const roles = user.roles ? user.roles.split(',') : [];
+  await activityService.logActivity({
+    userId: user.id,
+    userName: user.name,
+    userRole: roles[0] || 'client',
+    action: mode === 'app' ? 'login_app' : 'login',
+    details: mode === 'app' ? 'User logged in via app' : 'User logged in',
+    metadata: { twoFactor: Boolean(user.totp_enabled), ...(provider && { sso: provider }) },
+    ipAddress,
+    userAgent
+  });
+
+  logger.info(`User logged in${mode === 'app' ? ' via app' : ''}${provider ? ` with ${provider}` : ''}: ${user.email}`);
+
+  const data = {
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      emailVerified: Boolean(user.email_verified),
+      twoFactorEnabled: Boolean(user.totp_enabled),
+      roles
+    },
+    accessToken,
+    refreshToken
+  };
+
+  if (mode !== 'app') {
+    return data;
+  }
+
+  const clientData = await findAppClient(user.id);
+
+  // Add client and cloud config if client exists
+  if (clientData) {
+    data.client = {
+      id: clientData.client_id,
+      name: clientData.name,
+      email: clientData.email,
+      company: clientData.company,
+      status: clientData.status,
+      storageQuotaGb: parseFloat(clientData.storage_quota_gb || 0),
+      egressFreeLimitGb: parseFloat(clientData.egress_free_limit_gb || 0)
+    };
+
+    if (clientData.bucket_name) {
+      data.cloudConfig = await buildAppCloudConfig(clientData);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Find the user for verified OIDC claims: an already linked identity, an existing account
+ * with the same verified email (linked now), or a new account provisioned with mapped roles
+ */
+async function resolveOidcUser(provider, claims, context) {
+  const linkedUserId = await oidcService.findLinkedUserId(provider.id, claims.sub);
+
+  if (linkedUserId) {
+    await oidcService.touchIdentity(provider.id, claims.sub, claims.email);
+    return findUserById(linkedUserId);
+  }
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (!email) {
+    throw new AppError('The identity provider did not return an email address', 403, 'OIDC_EMAIL_REQUIRED');
+  }
+
+  if (!oidcService.isAllowedEmail(provider, email)) {
+    throw new AppError('Your email domain is not allowed to sign in with this provider', 403, 'OIDC_DOMAIN_NOT_ALLOWED');
+  }
+
+  const existingUsers = await query(`${USER_WITH_ROLES_SQL} WHERE u.email = ? GROUP BY u.id`, [email]);
+
+  if (existingUsers.length > 0) {
+    const user = existingUsers[0];
+
+    // Only link by email when the provider vouches for the address
+    if (!provider.linkByEmail || !emailVerified) {
+      throw new AppError(
+        'An account with this email already exists and cannot be linked automatically',
+        409,
+        'OIDC_ACCOUNT_EXISTS'
+      );
+    }
+
+    await oidcService.linkIdentity(user.id, provider.id, claims);
+
+    await activityService.logActivity({
+      userId: user.id,
+      userName: user.name,
+      userRole: (user.roles || '').split(',')[0] || 'client',
+      action: 'identity_linked',
+      details: `Linked ${provider.name} identity`,
+      metadata: { provider: provider.id, subject: claims.sub },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    return user;
+  }
+
+  if (!provider.autoProvision) {
+    throw new AppError('No account exists for this identity', 403, 'OIDC_ACCOUNT_NOT_FOUND');
+  }
+
+  const roles = oidcService.mapRoles(provider, claims);
+
+  if (roles.length === 0) {
+    throw new AppError('Your identity provider account is not assigned a role for this application', 403, 'OIDC_NO_ROLE');
+  }
+
+  const userId = uuidv4();
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email;
+
+  // Single sign-on accounts get an unusable random password; one can be set with forgot-password
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await transaction(async (conn) => {
+    await conn.execute(
+      'INSERT INTO users (id, email, password_hash, name, email_verified) VALUES (?, ?, ?, ?, ?)',
+      [userId, email, passwordHash, name, emailVerified]
+    );
+
+    for (const role of roles) {
+      await conn.execute('INSERT INTO user_roles (user_id, role) VALUES (?, ?)', [userId, role]);
+    }
+
+    await oidcService.linkIdentity(userId, provider.id, claims, conn);
+  });
+
+  await activityService.logActivity({
+    userId,
+    userName: name,
+    userRole: roles.includes('admin') ? 'admin' : 'client',
+    action: 'user_provisioned',
+    details: `Account created on first ${provider.name} sign-in`,
+    metadata: { provider: provider.id, subject: claims.sub, roles },
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+
+  logger.info(`User provisioned via ${provider.id}: ${email} (${roles.join(', ')})`);
+
+  return findUserById(userId);
+}
+
 class AuthController {
   /**
    * Register new user
@@ -16,36 +503,545 @@ class AuthController {
     try {
       const { email, password, name, company } = req.body;
 
-      // Check if user exists
-      const existingUsers = await query('SELECT id FROM users WHERE email = ?', [email]);
+      // Check if user exists
+      const existingUsers = await query('SELECT id FROM users WHERE email = ?', [email]);
+      
+      if (existingUsers.length > 0) {
+        throw new AppError('Email already registered', 400, 'EMAIL_EXISTS');
+      }
+
+      // Hash password
+      const passwordHash = await bcrypt.hash(password, 10);
+      const userId = uuidv4();
+
+      // Create user and assign client role
+      await transaction(async (conn) => {
+        await conn.execute(
+          'INSERT INTO users (id, email, password_hash, name) VALUES (?, ?, ?, ?)',
+          [userId, email, passwordHash, name]
+        );
+
+        await conn.execute(
+          'INSERT INTO user_roles (user_id, role) VALUES (?, ?)',
+          [userId, 'client']
+        );
+      });
+
+      await sendVerificationEmail({ id: userId, email, name });
+
+      logger.info(`New user registered: ${email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your address.',
+        data: { userId }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Login user
+   */
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+      const ipAddress = req.ip;
+      const userAgent = req.get('user-agent');
+
+      const user = await findUserByCredentials(email, password, { ipAddress, userAgent });
+
+      if (user.totp_enabled) {
+        return res.json(twoFactorChallenge(user, 'web'));
+      }
+
+      const data = await completeLogin(user, 'web', ipAddress, userAgent);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Login for app - includes cloud storage configuration
+   */
+  async loginApp(req, res, next) {
+    try {
+      const { email, password } = req.body;
+      const ipAddress = req.ip || null;
+      const userAgent = req.get('user-agent') || null;
+
+      const user = await findUserByCredentials(email, password, { ipAddress, userAgent });
+
+      if (user.totp_enabled) {
+        return res.json(twoFactorChallenge(user, 'app'));
+      }
+
+      const data = await completeLogin(user, 'app', ipAddress, userAgent);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Second login step for accounts with 2FA: exchange a challenge token and code for a session
+   */
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      let challenge;
+      try {
+        challenge = jwt.verify(challengeToken, config.jwt.secret);
+      } catch (error) {
+        throw new AppError('Invalid or expired challenge token', 401, 'INVALID_CHALLENGE_TOKEN');
+      }
+
+      if (challenge.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+        throw new AppError('Invalid or expired challenge token', 401, 'INVALID_CHALLENGE_TOKEN');
+      }
+
+      const user = await findUserById(challenge.userId);
+
+      if (!user || !user.totp_enabled) {
+        throw new AppError('Invalid or expired challenge token', 401, 'INVALID_CHALLENGE_TOKEN');
+      }
+
+      const ipAddress = req.ip || null;
+      const userAgent = req.get('user-agent') || null;
+
+      await assertNotLocked(user, { ipAddress, userAgent });
+
+      const method = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+
+      if (!method) {
+        await recordFailedLogin(user, { email: user.email, reason: 'invalid_2fa_code', ipAddress, userAgent });
+        throw new AppError('Invalid authentication code', 401, 'INVALID_2FA_CODE');
+      }
+
+      if (method === 'recovery_code') {
+        await activityService.logActivity({
+          userId: user.id,
+          userName: user.name,
+          userRole: (user.roles || '').split(',')[0] || 'client',
+          action: '2fa_recovery_code_used',
+          details: 'Signed in with a 2FA recovery code',
+          ipAddress,
+          userAgent
+        });
+      }
+
+      const data = await completeLogin(user, challenge.mode === 'app' ? 'app' : 'web', ipAddress, userAgent);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the single sign-on providers offered on the login page
+   */
+  async getOidcProviders(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: { providers: oidcService.listProviders() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start a single sign-on login: returns the provider URL to send the browser to
+   */
+  async startOidcLogin(req, res, next) {
+    try {
+      const provider = oidcService.getProvider(req.params.provider);
+
+      if (!provider) {
+        throw new AppError('Unknown identity provider', 404, 'OIDC_PROVIDER_NOT_FOUND');
+      }
+
+      let authorization;
+      try {
+        authorization = await oidcService.createAuthorizationRequest(provider, req.query.mode === 'app' ? 'app' : 'web');
+      } catch (error) {
+        logger.error(`OIDC discovery failed for ${provider.id}:`, error);
+        throw new AppError('The identity provider is unavailable', 502, 'OIDC_PROVIDER_UNAVAILABLE');
+      }
+
+      res.json({
+        success: true,
+        data: {
+          authorizationUrl: authorization.authorizationUrl,
+          state: authorization.state,
+          expiresInMinutes: config.oidc.stateExpiresMinutes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Finish a single sign-on login with the code and state the provider redirected back with
+   */
+  async completeOidcLogin(req, res, next) {
+    try {
+      const { code, state } = req.body;
+      const ipAddress = req.ip || null;
+      const userAgent = req.get('user-agent') || null;
+
+      const loginState = await oidcService.consumeState(state);
+      const provider = loginState ? oidcService.getProvider(loginState.provider) : null;
+
+      if (!provider) {
+        throw new AppError('Invalid or expired login state. Please start again.', 400, 'INVALID_OIDC_STATE');
+      }
+
+      let claims;
+      try {
+        claims = await oidcService.completeAuthorization(provider, code, loginState);
+      } catch (error) {
+        logger.warn(`OIDC login with ${provider.id} failed: ${error.message}`);
+        throw new AppError('Single sign-on failed', 401, 'OIDC_LOGIN_FAILED');
+      }
+
+      const user = await resolveOidcUser(provider, claims, { ipAddress, userAgent });
+
+      // Signing in resets the failure count, so a lockout from password guessing has to hold here too
+      await assertNotLocked(user, { ipAddress, userAgent });
+
+      if (user.totp_enabled) {
+        return res.json(twoFactorChallenge(user, loginState.mode));
+      }
+
+      const data = await completeLogin(user, loginState.mode, ipAddress, userAgent, provider.id);
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the external identities linked to the current user
+   */
+  async getIdentities(req, res, next) {
+    try {
+      const identities = await oidcService.listIdentities(req.user.id);
+
+      res.json({
+        success: true,
+        data: { identities }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unlink an external identity from the current user
+   */
+  async unlinkIdentity(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const removed = await oidcService.unlinkIdentity(req.user.id, id);
+
+      if (!removed) {
+        throw new AppError('Identity not found', 404, 'IDENTITY_NOT_FOUND');
+      }
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'identity_unlinked',
+        details: 'Unlinked single sign-on identity',
+        resourceType: 'identity',
+        resourceId: id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Identity unlinked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue fresh storage credentials for the desktop app before the current ones expire
+   */
+  async getAppStorageCredentials(req, res, next) {
+    try {
+      const clientData = await findAppClient(req.user.id);
+
+      if (!clientData || !clientData.bucket_name) {
+        throw new AppError('Cloud storage is not configured for this account', 404, 'STORAGE_NOT_CONFIGURED');
+      }
+
+      if (clientData.status !== 'active') {
+        throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
+      }
+
+      const cloudConfig = await buildAppCloudConfig(clientData);
+
+      res.json({
+        success: true,
+        data: { cloudConfig }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Logout user
+   */
+  async logout(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      // Delete this device's session only
+      await query('DELETE FROM user_sessions WHERE id = ? AND user_id = ?', [req.sessionId, userId]);
+
+      // Log activity
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'logout',
+        details: 'User logged out',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      logger.info(`User logged out: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the current user's active sessions (one per logged-in device)
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await query(
+        `SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND expires_at > NOW()
+         ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+        [req.user.id]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            id: session.id,
+            ipAddress: session.ip_address,
+            userAgent: session.user_agent,
+            createdAt: session.created_at,
+            lastSeenAt: session.last_seen_at,
+            expiresAt: session.expires_at,
+            current: session.id === req.sessionId
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke one session, signing that device out
+   */
+  async revokeSession(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await query(
+        'DELETE FROM user_sessions WHERE id = ? AND user_id = ?',
+        [id, req.user.id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new AppError('Session not found', 404, 'SESSION_NOT_FOUND');
+      }
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'session_revoked',
+        details: id === req.sessionId ? 'Revoked current session' : 'Revoked session on another device',
+        resourceType: 'session',
+        resourceId: id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Session revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get current user profile
+   */
+  async getProfile(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const profiles = await query(
+        `SELECT p.*, c.id as client_id, c.storage_quota_gb, c.storage_used_gb, 
+                c.egress_used_gb, c.egress_free_limit_gb, c.status
+         FROM profiles p
+         LEFT JOIN clients c ON p.id = c.user_id
+         WHERE p.id = ?`,
+        [userId]
+      );
+
+      if (profiles.length === 0) {
+        throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...profiles[0],
+          emailVerified: Boolean(req.user.email_verified),
+          twoFactorEnabled: Boolean(req.user.totp_enabled),
+          roles: req.user.roles
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update user profile
+   */
+  async updateProfile(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { name, company, avatar_url } = req.body;
+
+      await query(
+        'UPDATE profiles SET name = ?, company = ?, avatar_url = ? WHERE id = ?',
+        [name, company, avatar_url, userId]
+      );
+
+      // Log activity
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'profile_update',
+        details: 'User updated profile',
+        resourceType: 'profile',
+        resourceId: userId
+      });
+
+      logger.info(`Profile updated: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change password
+   */
+  async changePassword(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { currentPassword, newPassword } = req.body;
+
+      // Get current password hash
+      const users = await query('SELECT password_hash FROM users WHERE id = ?', [userId]);
       
-      if (existingUsers.length > 0) {
-        throw new AppError('Email already registered', 400, 'EMAIL_EXISTS');
+      if (users.length === 0) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
       }
 
-      // Hash password
-      const passwordHash = await bcrypt.hash(password, 10);
-      const userId = uuidv4();
+      // Verify current password
+      const isValid = await bcrypt.compare(currentPassword, users[0].password_hash);
+      
+      if (!isValid) {
+        throw new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD');
+      }
 
-      // Create user and assign client role
-      await transaction(async (conn) => {
-        await conn.execute(
-          'INSERT INTO users (id, email, password_hash, name) VALUES (?, ?, ?, ?)',
-          [userId, email, passwordHash, name]
-        );
+      // Hash new password
+      const newPasswordHash = await bcrypt.hash(newPassword, 10);
 
-        await conn.execute(
-          'INSERT INTO user_roles (user_id, role) VALUES (?, ?)',
-          [userId, 'client']
-        );
+      // Update password (and drop any outstanding reset token)
+      await query(
+        'UPDATE users SET password_hash = ?, password_reset_token = NULL, password_reset_expires = NULL WHERE id = ?',
+        [newPasswordHash, userId]
+      );
+
+      // Invalidate all sessions except current
+      await query('DELETE FROM user_sessions WHERE user_id = ? AND id <> ?', [userId, req.sessionId]);
+
+      // Log activity
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'password_change',
+        details: 'User changed password',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
 
-      logger.info(`New user registered: ${email}`);
+      logger.info(`Password changed: ${req.user.email}`);
 
-      res.status(201).json({
+      res.json({
         success: true,
-        message: 'Registration successful',
-        data: { userId }
+        message: 'Password changed successfully'
       });
     } catch (error) {
       next(error);
@@ -53,89 +1049,50 @@ class AuthController {
   }
 
   /**
-   * Login user
+   * Verify email address with an emailed token
    */
-  async login(req, res, next) {
+  async verifyEmail(req, res, next) {
     try {
-      const { email, password } = req.body;
-      const ipAddress = req.ip;
-      const userAgent = req.get('user-agent');
+      const tokenHash = hashToken(req.body.token);
 
-      // Get user with roles
       const users = await query(
-        `SELECT u.*, GROUP_CONCAT(ur.role) as roles
-         FROM users u
-         LEFT JOIN user_roles ur ON u.id = ur.user_id
-         WHERE u.email = ?
-         GROUP BY u.id`,
-        [email]
+        `SELECT id, name, email FROM users
+         WHERE email_verification_token = ? AND email_verification_expires > NOW()`,
+        [tokenHash]
       );
 
       if (users.length === 0) {
-        throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
+        throw new AppError('Invalid or expired verification token', 400, 'INVALID_VERIFICATION_TOKEN');
       }
 
       const user = users[0];
 
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(password, user.password_hash);
-
-      if (!isPasswordValid) {
-        throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
-      }
-
-      // Generate tokens
-      const accessToken = jwt.sign(
-        { userId: user.id, email: user.email },
-        config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
-      );
-
-      const refreshToken = jwt.sign(
-        { userId: user.id },
-        config.jwt.refreshSecret,
-        { expiresIn: config.jwt.refreshExpiresIn }
+      const result = await query(
+        `UPDATE users
+         SET email_verified = TRUE, email_verification_token = NULL, email_verification_expires = NULL
+         WHERE id = ? AND email_verification_token = ?`,
+        [user.id, tokenHash]
       );
 
-      // Store session
-      const tokenHash = crypto.createHash('sha256').update(accessToken).digest('hex');
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-
-      await query(
-        'INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at) VALUES (?, ?, ?, ?, ?)',
-        [user.id, tokenHash, ipAddress, userAgent, expiresAt]
-      );
-
-      // Update last login
-      await query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
+      if (result.affectedRows === 0) {
+        throw new AppError('Invalid or expired verification token', 400, 'INVALID_VERIFICATION_TOKEN');
+      }
 
-      // Log activity
-      const roles = user.roles ? user.roles.split(',') : [];
       await activityService.logActivity({
         userId: user.id,
         userName: user.name,
-        userRole: roles[0] || 'client',
-        action: 'login',
-        details: 'User logged in',
-        ipAddress,
-        userAgent
+        userRole: 'client',
+        action: 'email_verified',
+        details: 'Email address verified',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
 
-      logger.info(`User logged in: ${email}`);
+      logger.info(`Email verified: ${user.email}`);
 
       res.json({
         success: true,
-        message: 'Login successful',
-        data: {
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            roles
-          },
-          accessToken,
-          refreshToken
-        }
+        message: 'Email verified successfully'
       });
     } catch (error) {
       next(error);
@@ -143,131 +1100,155 @@ class AuthController {
   }
 
   /**
-   * Login for app - includes cloud storage configuration
+   * Resend the verification email
+   * Always responds the same way so the endpoint can't be used to discover accounts
    */
-  async loginApp(req, res, next) {
+  async resendVerification(req, res, next) {
     try {
-      const { email, password } = req.body;
-      const ipAddress = req.ip || null;
-      const userAgent = req.get('user-agent') || null;
+      const { email } = req.body;
+      const expiresHours = config.jwt.emailVerificationExpiresHours;
+
+      const users = await query(
+        `SELECT id, name, email,
+                email_verification_expires > DATE_ADD(NOW(), INTERVAL ? MINUTE) as recently_requested
+         FROM users
+         WHERE email = ? AND email_verified = FALSE`,
+        [expiresHours * 60 - VERIFICATION_RESEND_MINUTES, email]
+      );
+
+      if (users.length > 0 && !users[0].recently_requested) {
+        await sendVerificationEmail(users[0]);
+        logger.info(`Verification email resent: ${email}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'If an unverified account exists for that email, a verification link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * Always responds the same way so the endpoint can't be used to discover accounts
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+      const expiresMinutes = config.jwt.passwordResetExpiresMinutes;
 
-      // Get user with roles
       const users = await query(
-        `SELECT u.*, GROUP_CONCAT(ur.role) as roles
+        `SELECT u.id, u.name, u.email, GROUP_CONCAT(ur.role) as roles,
+                u.password_reset_expires > DATE_ADD(NOW(), INTERVAL ? MINUTE) as recently_requested
          FROM users u
          LEFT JOIN user_roles ur ON u.id = ur.user_id
          WHERE u.email = ?
          GROUP BY u.id`,
-        [email]
+        [expiresMinutes - PASSWORD_RESET_RESEND_MINUTES, email]
       );
 
-      if (users.length === 0) {
-        throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
-      }
-
-      const user = users[0];
+      if (users.length > 0 && !users[0].recently_requested) {
+        const user = users[0];
+        const token = crypto.randomBytes(32).toString('hex');
 
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+        // Only the hash is stored; a new request replaces any earlier token
+        await query(
+          `UPDATE users
+           SET password_reset_token = ?, password_reset_expires = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+           WHERE id = ?`,
+          [hashToken(token), expiresMinutes, user.id]
+        );
 
-      if (!isPasswordValid) {
-        throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
+        await mailService.enqueue('password_reset_request', user.email, {
+          name: user.name,
+          resetUrl: `${config.app.frontendUrl}/reset-password?token=${token}`,
+          expiresMinutes
+        });
+
+        await activityService.logActivity({
+          userId: user.id,
+          userName: user.name,
+          userRole: user.roles ? user.roles.split(',')[0] : 'client',
+          action: 'password_reset_request',
+          details: 'Password reset requested',
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        logger.info(`Password reset requested: ${email}`);
       }
 
-      // Generate tokens
-      const accessToken = jwt.sign(
-        { userId: user.id, email: user.email },
-        config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
-      );
+      res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset password with a one-time token
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+      const tokenHash = hashToken(token);
 
-      const refreshToken = jwt.sign(
-        { userId: user.id },
-        config.jwt.refreshSecret,
-        { expiresIn: config.jwt.refreshExpiresIn }
+      const users = await query(
+        `SELECT u.id, u.name, u.email, GROUP_CONCAT(ur.role) as roles
+         FROM users u
+         LEFT JOIN user_roles ur ON u.id = ur.user_id
+         WHERE u.password_reset_token = ? AND u.password_reset_expires > NOW()
+         GROUP BY u.id`,
+        [tokenHash]
       );
 
-      // Store session
-      const tokenHash = crypto.createHash('sha256').update(accessToken).digest('hex');
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+      if (users.length === 0) {
+        throw new AppError('Invalid or expired reset token', 400, 'INVALID_RESET_TOKEN');
+      }
 
-      await query(
-        'INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at) VALUES (?, ?, ?, ?, ?)',
-        [user.id, tokenHash, ipAddress, userAgent, expiresAt]
-      );
+      const user = users[0];
+      const passwordHash = await bcrypt.hash(newPassword, 10);
 
-      // Update last login
-      await query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
-
-      // Get client details and cloud storage configuration
-      const [clientData] = await query(
-        `SELECT c.id as client_id, c.name, c.email, c.company, 
-                c.storage_quota_gb, c.egress_free_limit_gb, c.status,
-                csc.bucket_name, csc.endpoint, csc.region, 
-                csc.access_key_id, csc.secret_access_key, csc.bucket_prefix,
-                csc.is_verified, csc.last_verified_at
-         FROM clients c
-         LEFT JOIN client_storage_config csc ON c.id = csc.client_id
-         WHERE c.user_id = ?`,
-        [user.id]
-      );
+      await transaction(async (conn) => {
+        // Clearing the token in the same statement makes it single-use under concurrent requests
+        const [result] = await conn.execute(
+          `UPDATE users
+           SET password_hash = ?, password_reset_token = NULL, password_reset_expires = NULL,
+               failed_login_attempts = 0, locked_until = NULL
+           WHERE id = ? AND password_reset_token = ?`,
+          [passwordHash, user.id, tokenHash]
+        );
+
+        if (result.affectedRows === 0) {
+          throw new AppError('Invalid or expired reset token', 400, 'INVALID_RESET_TOKEN');
+        }
+
+        // Sign out everywhere
+        await conn.execute('DELETE FROM user_sessions WHERE user_id = ?', [user.id]);
+      });
 
-      // Log activity
       const roles = user.roles ? user.roles.split(',') : [];
       await activityService.logActivity({
         userId: user.id,
         userName: user.name,
         userRole: roles[0] || 'client',
-        action: 'login_app',
-        details: 'User logged in via app',
-        ipAddress,
-        userAgent
+        action: 'password_reset',
+        details: 'Password reset via emailed token',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
 
-      logger.info(`User logged in via app: ${email}`);
+      await mailService.enqueue('password_reset_complete', user.email, { name: user.name });
 
-      const responseData = {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          roles
-        },
-        accessToken,
-        refreshToken
-      };
-
-      // Add cloud config if client exists
-      if (clientData) {
-        responseData.client = {
-          id: clientData.client_id,
-          name: clientData.name,
-          email: clientData.email,
-          company: clientData.company,
-          status: clientData.status,
-          storageQuotaGb: parseFloat(clientData.storage_quota_gb || 0),
-          egressFreeLimitGb: parseFloat(clientData.egress_free_limit_gb || 0)
-        };
-
-        // Add cloud storage configuration if exists
-        if (clientData.bucket_name) {
-          responseData.cloudConfig = {
-            bucketName: clientData.bucket_name,
-            endpoint: clientData.endpoint,
-            region: clientData.region,
-            accessKeyId: clientData.access_key_id,
-            secretAccessKey: clientData.secret_access_key,
-            bucketPrefix: clientData.bucket_prefix || '',
-            isVerified: Boolean(clientData.is_verified),
-            lastVerifiedAt: clientData.last_verified_at
-          };
-        }
-      }
+      logger.info(`Password reset completed: ${user.email}`);
 
       res.json({
         success: true,
-        message: 'Login successful',
-        data: responseData
+        message: 'Password has been reset. Please log in with your new password.'
       });
     } catch (error) {
       next(error);
@@ -275,31 +1256,15 @@ class AuthController {
   }
 
   /**
-   * Logout user
+   * Get 2FA status for the current user
    */
-  async logout(req, res, next) {
+  async getTwoFactorStatus(req, res, next) {
     try {
-      const userId = req.user.id;
-
-      // Delete session
-      await query('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
-
-      // Log activity
-      await activityService.logActivity({
-        userId,
-        userName: req.user.name,
-        userRole: req.user.roles[0],
-        action: 'logout',
-        details: 'User logged out',
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent')
-      });
-
-      logger.info(`User logged out: ${req.user.email}`);
+      const status = await twoFactorService.getStatus(req.user);
 
       res.json({
         success: true,
-        message: 'Logout successful'
+        data: status
       });
     } catch (error) {
       next(error);
@@ -307,31 +1272,22 @@ class AuthController {
   }
 
   /**
-   * Get current user profile
+   * Start 2FA enrollment: returns a new secret and otpauth URI to add to an authenticator app
    */
-  async getProfile(req, res, next) {
+  async setupTwoFactor(req, res, next) {
     try {
-      const userId = req.user.id;
+      if (req.user.totp_enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+      }
 
-      const profiles = await query(
-        `SELECT p.*, c.id as client_id, c.storage_quota_gb, c.storage_used_gb, 
-                c.egress_used_gb, c.egress_free_limit_gb, c.status
-         FROM profiles p
-         LEFT JOIN clients c ON p.id = c.user_id
-         WHERE p.id = ?`,
-        [userId]
-      );
+      await assertPassword(req.user, req.body.password);
 
-      if (profiles.length === 0) {
-        throw new AppError('Profile not found', 404, 'PROFILE_NOT_FOUND');
-      }
+      const enrollment = await twoFactorService.startEnrollment(req.user);
 
       res.json({
         success: true,
-        data: {
-          ...profiles[0],
-          roles: req.user.roles
-        }
+        message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+        data: enrollment
       });
     } catch (error) {
       next(error);
@@ -339,34 +1295,40 @@ class AuthController {
   }
 
   /**
-   * Update user profile
+   * Finish 2FA enrollment with a code from the authenticator app
    */
-  async updateProfile(req, res, next) {
+  async enableTwoFactor(req, res, next) {
     try {
-      const userId = req.user.id;
-      const { name, company, avatar_url } = req.body;
+      if (req.user.totp_enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+      }
 
-      await query(
-        'UPDATE profiles SET name = ?, company = ?, avatar_url = ? WHERE id = ?',
-        [name, company, avatar_url, userId]
-      );
+      if (!req.user.totp_secret) {
+        throw new AppError('Start two-factor setup first', 400, 'TWO_FACTOR_NOT_SET_UP');
+      }
+
+      const recoveryCodes = await twoFactorService.completeEnrollment(req.user, req.body.code);
+
+      if (!recoveryCodes) {
+        throw new AppError('Invalid authentication code', 400, 'INVALID_2FA_CODE');
+      }
 
-      // Log activity
       await activityService.logActivity({
-        userId,
+        userId: req.user.id,
         userName: req.user.name,
         userRole: req.user.roles[0],
-        action: 'profile_update',
-        details: 'User updated profile',
-        resourceType: 'profile',
-        resourceId: userId
+        action: '2fa_enabled',
+        details: 'Two-factor authentication enabled',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
 
-      logger.info(`Profile updated: ${req.user.email}`);
+      logger.info(`2FA enabled: ${req.user.email}`);
 
       res.json({
         success: true,
-        message: 'Profile updated successfully'
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they are only shown once.',
+        data: { recoveryCodes }
       });
     } catch (error) {
       next(error);
@@ -374,52 +1336,78 @@ class AuthController {
   }
 
   /**
-   * Change password
+   * Turn 2FA off (requires the password and a current code or recovery code)
    */
-  async changePassword(req, res, next) {
+  async disableTwoFactor(req, res, next) {
     try {
-      const userId = req.user.id;
-      const { currentPassword, newPassword } = req.body;
+      const { password, code, recoveryCode } = req.body;
 
-      // Get current password hash
-      const users = await query('SELECT password_hash FROM users WHERE id = ?', [userId]);
-      
-      if (users.length === 0) {
-        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      if (!req.user.totp_enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
       }
 
-      // Verify current password
-      const isValid = await bcrypt.compare(currentPassword, users[0].password_hash);
-      
-      if (!isValid) {
-        throw new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD');
+      if (req.user.roles.includes('admin') && await settingsService.getBoolean('require_2fa_admin')) {
+        throw new AppError('Two-factor authentication is required for admin accounts', 403, 'TWO_FACTOR_REQUIRED');
       }
 
-      // Hash new password
-      const newPasswordHash = await bcrypt.hash(newPassword, 10);
+      await assertPassword(req.user, password);
 
-      // Update password
-      await query('UPDATE users SET password_hash = ? WHERE id = ?', [newPasswordHash, userId]);
+      if (!await twoFactorService.verifySecondFactor(req.user, { code, recoveryCode })) {
+        throw new AppError('Invalid authentication code', 400, 'INVALID_2FA_CODE');
+      }
 
-      // Invalidate all sessions except current
-      await query('DELETE FROM user_sessions WHERE user_id = ?', [userId]);
+      await twoFactorService.disable(req.user.id);
 
-      // Log activity
       await activityService.logActivity({
-        userId,
+        userId: req.user.id,
         userName: req.user.name,
         userRole: req.user.roles[0],
-        action: 'password_change',
-        details: 'User changed password',
+        action: '2fa_disabled',
+        details: 'Two-factor authentication disabled',
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
       });
 
-      logger.info(`Password changed: ${req.user.email}`);
+      logger.info(`2FA disabled: ${req.user.email}`);
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the recovery codes (requires a current code)
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      if (!req.user.totp_enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+      }
+
+      if (!await twoFactorService.verifyCode(req.user, req.body.code)) {
+        throw new AppError('Invalid authentication code', 400, 'INVALID_2FA_CODE');
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: '2fa_recovery_codes_regenerated',
+        details: 'Two-factor recovery codes regenerated',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        data: { recoveryCodes }
       });
     } catch (error) {
       next(error);
@@ -428,6 +1416,7 @@ class AuthController {
 
   /**
    * Refresh access token
+   * Rotates the refresh token on every use; presenting a rotated-out token revokes the session
    */
   async refreshToken(req, res, next) {
     try {
@@ -440,16 +1429,61 @@ class AuthController {
       // Verify refresh token
       const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
 
-      // Generate new access token
-      const accessToken = jwt.sign(
-        { userId: decoded.userId },
-        config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
+      // The session must still exist (not logged out, revoked or expired)
+      const sessions = await query(
+        `SELECT s.id, s.ip_address, u.id as user_id, u.email, u.name
+         FROM user_sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.id = ? AND s.user_id = ? AND s.expires_at > NOW()`,
+        [decoded.jti || null, decoded.userId]
+      );
+
+      if (sessions.length === 0) {
+        throw new AppError('Session expired or invalid', 401, 'SESSION_INVALID');
+      }
+
+      const session = sessions[0];
+      const tokens = signSessionTokens({ id: session.user_id, email: session.email }, session.id);
+
+      // Only the current refresh token of the session can be swapped; the conditional
+      // update also stops two concurrent requests from both rotating the same token
+      const result = await query(
+        `UPDATE user_sessions
+         SET token_hash = ?, refresh_token_hash = ?, expires_at = ?, last_seen_at = NOW()
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [hashToken(tokens.accessToken), hashToken(tokens.refreshToken), tokens.expiresAt, session.id, hashToken(refreshToken)]
       );
 
+      if (result.affectedRows === 0) {
+        // A validly signed token for this session that is no longer current was already
+        // used, so one copy may be stolen: revoke the whole session (token family)
+        await query('DELETE FROM user_sessions WHERE id = ?', [session.id]);
+
+        const user = await findUserById(session.user_id);
+        await activityService.logActivity({
+          userId: session.user_id,
+          userName: session.name,
+          userRole: (user?.roles || '').split(',')[0] || 'client',
+          action: 'refresh_token_reuse',
+          details: 'Refresh token reuse detected; session revoked',
+          resourceType: 'session',
+          resourceId: session.id,
+          metadata: { sessionIpAddress: session.ip_address },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        logger.warn(`Refresh token reuse for ${session.email}, session ${session.id} revoked`);
+
+        throw new AppError('Refresh token has already been used. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+      }
+
       res.json({
         success: true,
-        data: { accessToken }
+        data: {
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken
+        }
       });
     } catch (error) {
       next(error);
@@ -1,7 +1,10 @@
-import { S3Client, ListObjectsV2Command, HeadObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { v4 as uuidv4 } from 'uuid';
+import { S3Client, ListObjectsV2Command, HeadObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
 import pool from '../config/database.js';
+import encryptionService from '../services/encryption.service.js';
+import trashService from '../services/trash.service.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -47,10 +50,7 @@ export const browseFiles = async (req, res) => {
     const s3Client = new S3Client({
       endpoint: storageConfig.endpoint,
       region: storageConfig.region,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key,
-      },
+      credentials: encryptionService.decryptStorageCredentials(storageConfig),
       forcePathStyle: true,
     });
 
@@ -81,7 +81,7 @@ export const browseFiles = async (req, res) => {
     });
 
     // Process files (Contents)
-    const files = (response.Contents || [])
+    let files = (response.Contents || [])
       .filter(item => item.Key !== fullPrefix) // Exclude the prefix itself
       .map(item => {
         const filePath = item.Key.replace(bucketPrefix, '');
@@ -103,6 +103,21 @@ export const browseFiles = async (req, res) => {
       })
       .filter(item => item !== null);
 
+    // Hide files that are in the trash (their objects stay in the bucket until purged)
+    if (files.length > 0) {
+      const [trashed] = await pool.query(
+        `SELECT path FROM files
+         WHERE client_id = ? AND path IN (?)
+           AND (deleted_at IS NULL OR (trash_root_id IS NOT NULL AND purged_at IS NULL))
+         GROUP BY path
+         HAVING SUM(deleted_at IS NULL) = 0`,
+        [storageConfig.client_id, files.map(f => f.path)]
+      );
+
+      const trashedPaths = new Set(trashed.map(t => t.path));
+      files = files.filter(f => !trashedPaths.has(f.path));
+    }
+
     // Combine and sort: folders first, then files
     const items = [...folders, ...files];
 
@@ -162,10 +177,7 @@ export const adminBrowseFiles = async (req, res) => {
     const s3Client = new S3Client({
       endpoint: storageConfig.endpoint,
       region: storageConfig.region,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key,
-      },
+      credentials: encryptionService.decryptStorageCredentials(storageConfig),
       forcePathStyle: true,
     });
 
@@ -298,10 +310,7 @@ export const getDownloadUrl = async (req, res) => {
     const s3Client = new S3Client({
       endpoint: storageConfig.endpoint,
       region: storageConfig.region,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key,
-      },
+      credentials: encryptionService.decryptStorageCredentials(storageConfig),
       forcePathStyle: true,
     });
 
@@ -438,44 +447,72 @@ export const deleteFile = async (req, res) => {
       });
     }
 
-    // Create S3 client
-    const s3Client = new S3Client({
-      endpoint: storageConfig.endpoint,
-      region: storageConfig.region,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key,
-      },
-      forcePathStyle: true,
-    });
-
-    const bucketPrefix = storageConfig.bucket_prefix || '';
-    const fullPath = bucketPrefix + filePath;
+    // Files tracked in the database go to the trash; the object stays in storage until purged
+    const [tracked] = await pool.query(
+      'SELECT id FROM files WHERE client_id = ? AND path = ? AND deleted_at IS NULL',
+      [storageConfig.client_id, filePath]
+    );
 
-    // Delete the file from S3
-    const deleteCommand = new DeleteObjectCommand({
-      Bucket: storageConfig.bucket_name,
-      Key: fullPath,
-    });
+    if (tracked.length > 0) {
+      await trashService.trashItems(storageConfig.client_id, tracked.map(f => f.id));
+    } else {
+      // Objects written straight to the bucket (e.g. by the desktop app) get a trash entry of their own
+      const s3Client = new S3Client({
+        endpoint: storageConfig.endpoint,
+        region: storageConfig.region,
+        credentials: encryptionService.decryptStorageCredentials(storageConfig),
+        forcePathStyle: true,
+      });
 
-    await s3Client.send(deleteCommand);
+      const bucketPrefix = storageConfig.bucket_prefix || '';
+      const fullPath = bucketPrefix + filePath;
+
+      let head;
+      try {
+        head = await s3Client.send(new HeadObjectCommand({
+          Bucket: storageConfig.bucket_name,
+          Key: fullPath,
+        }));
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return res.status(404).json({
+            success: false,
+            error: { 
+              code: 'FILE_NOT_FOUND', 
+              message: 'File not found' 
+            }
+          });
+        }
+        throw error;
+      }
 
-    // Mark file as deleted in database if it exists
-    try {
+      const fileId = uuidv4();
       await pool.query(
-        'UPDATE files SET deleted_at = NOW() WHERE client_id = ? AND path = ?',
-        [storageConfig.client_id, filePath]
+        `INSERT INTO files (id, client_id, name, size_bytes, type, mime_type, path, s3_key, s3_etag, s3_version_id,
+                            deleted_at, trash_root_id)
+         VALUES (?, ?, ?, ?, 'file', ?, ?, ?, ?, ?, NOW(), ?)`,
+        [
+          fileId,
+          storageConfig.client_id,
+          filePath.split('/').pop(),
+          head.ContentLength || 0,
+          head.ContentType || null,
+          filePath,
+          fullPath,
+          head.ETag || null,
+          head.VersionId && head.VersionId !== 'null' ? head.VersionId : null,
+          fileId
+        ]
       );
-    } catch (dbError) {
-      // Log but don't fail if database update fails
-      logger.warn('Failed to update file deletion in database:', dbError);
+
+      await trashService.refreshUsage(storageConfig.client_id);
     }
 
-    logger.info(`File deleted: ${filePath} for client ${storageConfig.client_id}`);
+    logger.info(`File moved to trash: ${filePath} for client ${storageConfig.client_id}`);
 
     res.json({
       success: true,
-      message: 'File deleted successfully',
+      message: 'File moved to the trash',
       data: {
         filePath: filePath
       }
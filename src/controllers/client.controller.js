@@ -1,6 +1,7 @@
 import { query } from '../config/database.js';
 import { AppError } from '../middleware/errorHandler.js';
 import activityService from '../services/activity.service.js';
+import apiKeyService, { MAX_API_KEYS_PER_CLIENT } from '../services/apiKey.service.js';
 import logger from '../utils/logger.js';
 
 class ClientController {
@@ -35,7 +36,7 @@ class ClientController {
       // Get unread alerts
       const alerts = await query(
         `SELECT * FROM alerts 
-         WHERE client_id = ? AND is_read = FALSE
+         WHERE client_id = ? AND is_read = FALSE AND cleared_at IS NULL
          ORDER BY created_at DESC`,
         [client.id]
       );
@@ -47,6 +48,7 @@ class ClientController {
             storageQuotaGb: parseFloat(client.storage_quota_gb),
             storageUsedGb: parseFloat(client.storage_used_gb),
             storageUsedPercent: parseFloat(client.storage_used_percent),
+            trashUsedGb: parseFloat(client.trash_used_gb),
             egressUsedGb: parseFloat(client.egress_used_gb),
             egressFreeLimitGb: parseFloat(client.egress_free_limit_gb),
             egressUsedPercent: parseFloat(client.egress_used_percent),
@@ -224,6 +226,125 @@ class ClientController {
       next(error);
     }
   }
+
+  /**
+   * List API keys
+   */
+  async getApiKeys(req, res, next) {
+    try {
+      const clients = await query('SELECT id FROM clients WHERE user_id = ?', [req.user.id]);
+
+      if (clients.length === 0) {
+        throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+      }
+
+      const apiKeys = await apiKeyService.list(clients[0].id);
+
+      res.json({
+        success: true,
+        data: apiKeys
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an API key; the key itself is only returned in this response
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const { name, scopes, expiresInDays = null } = req.body;
+
+      const clients = await query('SELECT id FROM clients WHERE user_id = ?', [req.user.id]);
+
+      if (clients.length === 0) {
+        throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+      }
+
+      const created = await apiKeyService.create({
+        clientId: clients[0].id,
+        userId: req.user.id,
+        name,
+        scopes,
+        expiresInDays
+      });
+
+      if (!created) {
+        throw new AppError(
+          `A client can have at most ${MAX_API_KEYS_PER_CLIENT} active API keys`,
+          409,
+          'API_KEY_LIMIT_REACHED'
+        );
+      }
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: 'client',
+        action: 'api_key_created',
+        details: `Created API key "${name}" (${created.apiKey.scopes.join(', ')})`,
+        resourceType: 'api_key',
+        resourceId: created.apiKey.id,
+        metadata: { keyPrefix: created.apiKey.keyPrefix, scopes: created.apiKey.scopes, expiresAt: created.apiKey.expiresAt },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store the key now; it cannot be shown again.',
+        data: {
+          ...created.apiKey,
+          key: created.key
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      const { keyId } = req.params;
+
+      const clients = await query('SELECT id FROM clients WHERE user_id = ?', [req.user.id]);
+
+      if (clients.length === 0) {
+        throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+      }
+
+      const apiKey = await apiKeyService.revoke(clients[0].id, keyId);
+
+      if (!apiKey) {
+        throw new AppError('API key not found', 404, 'API_KEY_NOT_FOUND');
+      }
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: 'client',
+        action: 'api_key_revoked',
+        details: `Revoked API key "${apiKey.name}"`,
+        resourceType: 'api_key',
+        resourceId: apiKey.id,
+        metadata: { keyPrefix: apiKey.keyPrefix },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: apiKey
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new ClientController();
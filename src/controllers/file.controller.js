@@ -1,10 +1,400 @@
 import { v4 as uuidv4 } from 'uuid';
-import { query, transaction } from '../config/database.js';
+import { query } from '../config/database.js';
+import config from '../config/index.js';
 import s3Service from '../services/s3.service.js';
 import activityService from '../services/activity.service.js';
+import settingsService from '../services/settings.service.js';
+import alertService from '../services/alert.service.js';
+import uploadService from '../services/upload.service.js';
+import trashService from '../services/trash.service.js';
+import fileOperationService from '../services/fileOperation.service.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Refuse transfers for unverified accounts when require_email_verification is on
+ */
+async function assertEmailVerified(user) {
+  if (!user.email_verified && await settingsService.getBoolean('require_email_verification')) {
+    throw new AppError('Please verify your email address before transferring files', 403, 'EMAIL_NOT_VERIFIED');
+  }
+}
+
+// S3 multipart limits: parts of at least 5 MiB (except the last) and at most 10,000 parts
+const MULTIPART_MIN_PART_BYTES = 5 * 1024 * 1024;
+const MULTIPART_MAX_PARTS = 10000;
+
+/**
+ * Storage config for S3 from a row joined with client_storage_config
+ */
+function storageConfigFor(row) {
+  return {
+    bucket_name: row.bucket_name,
+    endpoint: row.endpoint,
+    region: row.region,
+    access_key_id: row.access_key_id,
+    secret_access_key: row.secret_access_key,
+    data_key: row.data_key,
+    key_version: row.key_version
+  };
+}
+
+/**
+ * Get the caller's active client with storage config
+ */
+async function findActiveClient(userId) {
+  const clients = await query(
+    `SELECT c.*, cs.bucket_name, cs.endpoint, cs.region, 
+            cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version, cs.bucket_prefix, cs.is_verified
+     FROM clients c
+     LEFT JOIN client_storage_config cs ON c.id = cs.client_id
+     WHERE c.user_id = ?`,
+    [userId]
+  );
+
+  if (clients.length === 0) {
+    throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+  }
+
+  const client = clients[0];
+
+  // Check if client is active
+  if (client.status !== 'active') {
+    throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
+  }
+
+  return client;
+}
+
+/**
+ * Get the caller's client with storage config and check it can accept an upload of fileSize bytes
+ */
+async function findUploadClient(user, fileSize) {
+  const client = await findActiveClient(user.id);
+
+  // Check if storage is configured
+  if (!client.is_verified) {
+    throw new AppError('Storage not configured', 400, 'STORAGE_NOT_CONFIGURED');
+  }
+
+  if (fileSize > config.app.maxFileSizeMB * 1024 * 1024) {
+    throw new AppError(`File exceeds the maximum size of ${config.app.maxFileSizeMB} MB`, 400, 'FILE_TOO_LARGE');
+  }
+
+  await assertQuota(client, Number(fileSize));
+
+  return client;
+}
+
+/**
+ * Check that bytes more fit in the client's storage quota; uploads still in progress reserve their size
+ */
+async function assertQuota(client, bytes) {
+  const [inProgress] = await query(
+    `SELECT COALESCE(SUM(size_bytes), 0) as bytes FROM files
+     WHERE client_id = ? AND type = 'file' AND deleted_at IS NULL
+       AND upload_status IN ('pending', 'uploaded')`,
+    [client.id]
+  );
+
+  const addedGB = (bytes + Number(inProgress.bytes)) / (1024 * 1024 * 1024);
+  const newStorageUsed = parseFloat(client.storage_used_gb) + addedGB;
+
+  if (newStorageUsed > parseFloat(client.storage_quota_gb)) {
+    throw new AppError('Storage quota exceeded', 400, 'QUOTA_EXCEEDED');
+  }
+}
+
+/**
+ * Refuse writing to keys that hold the only copy of a trashed file (bucket without versioning)
+ */
+async function assertKeysWritable(clientId, keys) {
+  const unpinned = await trashService.findUnpinnedKeys(clientId, keys);
+
+  if (unpinned.length > 0) {
+    throw new AppError(
+      'A file at this path is in the trash. Restore or permanently delete it first.',
+      409,
+      'PATH_IN_TRASH'
+    );
+  }
+}
+
+/**
+ * Path and S3 key for a new file in a folder (or the root)
+ */
+async function buildUploadLocation(client, fileName, parentId) {
+  let path = fileName;
+  if (parentId) {
+    const parents = await query('SELECT path FROM files WHERE id = ? AND client_id = ?', [parentId, client.id]);
+    if (parents.length > 0) {
+      path = `${parents[0].path}/${fileName}`;
+    }
+  }
+
+  const s3Key = s3Service.generateS3Key(client.bucket_prefix, path);
+  await assertKeysWritable(client.id, [s3Key]);
+
+  return { path, s3Key };
+}
+
+/**
+ * Part size for a multipart upload: the configured size, raised (in whole MiB)
+ * when the file would otherwise need more than the maximum number of parts
+ */
+function multipartPartSize(fileSize) {
+  const mib = 1024 * 1024;
+  const minimum = Math.max(config.s3.multipartPartSizeMB * mib, MULTIPART_MIN_PART_BYTES, Math.ceil(fileSize / MULTIPART_MAX_PARTS));
+  return Math.ceil(minimum / mib) * mib;
+}
+
+/**
+ * Get one of the caller's files with a multipart upload in progress, with its storage config
+ */
+async function findMultipartUpload(fileId, userId) {
+  const files = await query(
+    `SELECT f.*, c.id as client_id, c.status,
+            cs.bucket_name, cs.endpoint, cs.region,
+            cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version
+     FROM files f
+     JOIN clients c ON f.client_id = c.id
+     LEFT JOIN client_storage_config cs ON c.id = cs.client_id
+     WHERE f.id = ? AND c.user_id = ? AND f.upload_id IS NOT NULL AND f.deleted_at IS NULL`,
+    [fileId, userId]
+  );
+
+  if (files.length === 0) {
+    throw new AppError('Multipart upload not found', 404, 'UPLOAD_NOT_FOUND');
+  }
+
+  const file = files[0];
+  file.part_count = Math.ceil(file.size_bytes / file.upload_part_size_bytes);
+  return file;
+}
+
+/**
+ * Part numbers (1-based) not among the uploaded parts
+ */
+function findMissingParts(parts, partCount) {
+  const uploaded = new Set(parts.map(part => part.partNumber));
+  const missing = [];
+
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!uploaded.has(partNumber)) missing.push(partNumber);
+  }
+
+  return missing;
+}
+
+/**
+ * Id of the caller's client
+ */
+async function findClientId(userId) {
+  const clients = await query('SELECT id FROM clients WHERE user_id = ?', [userId]);
+
+  if (clients.length === 0) {
+    throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+  }
+
+  return clients[0].id;
+}
+
+/**
+ * Get one of the caller's files with client status, this month's egress and storage config
+ */
+async function findClientFile(fileId, userId) {
+  const files = await query(
+    `SELECT f.*, c.id as client_id, c.status, c.egress_free_limit_gb,
+            c.storage_used_gb, c.storage_quota_gb,
+            COALESCE(e.egress_used_gb, 0) as egress_used_gb,
+            cs.bucket_name, cs.endpoint, cs.region, 
+            cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version
+     FROM files f
+     JOIN clients c ON f.client_id = c.id
+     LEFT JOIN egress_usage e ON c.id = e.client_id 
+       AND e.month_year = DATE_FORMAT(NOW(), '%Y-%m')
+     LEFT JOIN client_storage_config cs ON c.id = cs.client_id
+     WHERE f.id = ? AND c.user_id = ? AND f.deleted_at IS NULL AND f.type = 'file'`,
+    [fileId, userId]
+  );
+
+  if (files.length === 0) {
+    throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+
+  return files[0];
+}
+
+/**
+ * Refuse downloads for suspended accounts and, when blocking is enabled, over the egress limit
+ */
+async function assertCanDownload(file) {
+  if (file.status !== 'active') {
+    throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
+  }
+
+  const blockOnOverage = await settingsService.getBoolean('block_downloads_on_overage');
+
+  if (blockOnOverage && parseFloat(file.egress_used_gb) >= parseFloat(file.egress_free_limit_gb)) {
+    throw new AppError('Download limit exceeded', 403, 'DOWNLOAD_LIMIT_EXCEEDED');
+  }
+}
+
+/**
+ * Find a stored version of a file; delete markers have no content and don't count
+ */
+async function findFileVersion(storageConfig, file, versionId) {
+  const versions = await s3Service.listObjectVersions(storageConfig, file.s3_key);
+  const version = versions.find(v => v.versionId === versionId && !v.isDeleteMarker);
+
+  if (!version) {
+    throw new AppError('Version not found', 404, 'VERSION_NOT_FOUND');
+  }
+
+  return version;
+}
+
+/**
+ * Track egress, download history and activity for a generated download URL
+ */
+async function recordDownload(req, file, sizeBytes, metadata = null) {
+  await query('CALL record_egress(?, ?)', [file.client_id, sizeBytes]);
+  await alertService.checkClientSafely(file.client_id, ['egress']);
+
+  await query(
+    `INSERT INTO download_history (client_id, file_id, file_name, file_size_bytes, ip_address)
+     VALUES (?, ?, ?, ?, ?)`,
+    [file.client_id, file.id, file.name, sizeBytes, req.ip]
+  );
+
+  await activityService.logActivity({
+    userId: req.user.id,
+    userName: req.user.name,
+    userRole: req.user.roles[0],
+    action: 'file_download',
+    details: metadata?.versionId ? `Downloaded a previous version of: ${file.name}` : `Downloaded file: ${file.name}`,
+    resourceType: 'file',
+    resourceId: file.id,
+    metadata,
+    ipAddress: req.ip
+  });
+}
+
+/**
+ * Load a live file or folder with everything below it (parents first)
+ * Moving is refused while an upload below it is unfinished, as its object key would change
+ */
+async function findItemTree(clientId, fileId, forMove) {
+  const rows = await fileOperationService.getSubtree(fileId);
+
+  if (rows.length === 0 || rows[0].client_id !== clientId) {
+    throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+
+  if (forMove && rows.some(row => row.upload_status === 'pending' || row.upload_status === 'uploaded')) {
+    throw new AppError('An upload in this item has not finished', 409, 'UPLOAD_IN_PROGRESS');
+  }
+
+  return rows;
+}
+
+/**
+ * Check the destination folder of a move or copy and that the new path is free
+ * Returns { parentId, path }
+ */
+async function resolveDestination(clientId, rows, parentId, name, ownId = null) {
+  let path = name;
+
+  if (parentId) {
+    const parents = await query(
+      "SELECT id, path FROM files WHERE id = ? AND client_id = ? AND type = 'folder' AND deleted_at IS NULL",
+      [parentId, clientId]
+    );
+
+    if (parents.length === 0) {
+      throw new AppError('Destination folder not found', 404, 'FOLDER_NOT_FOUND');
+    }
+
+    if (rows.some(row => row.id === parentId)) {
+      throw new AppError('A folder cannot be placed inside itself', 400, 'INVALID_DESTINATION');
+    }
+
+    path = `${parents[0].path}/${name}`;
+  }
+
+  const taken = await query(
+    'SELECT id FROM files WHERE client_id = ? AND path = ? AND deleted_at IS NULL LIMIT 1',
+    [clientId, path]
+  );
+
+  // A rename that only changes letter case finds the item itself
+  if (taken.length > 0 && taken[0].id !== ownId) {
+    throw new AppError(`${path} already exists`, 409, 'PATH_CONFLICT');
+  }
+
+  return { parentId: parentId || null, path };
+}
+
+/**
+ * Record a move or copy and run it: within the request when it's small, otherwise in the background
+ * Returns { operation, inline }; inline operations have finished (failures throw)
+ */
+async function startOperation(req, operation, client, rows, destination, name) {
+  const summary = fileOperationService.summarize(rows);
+
+  if (summary.fileCount > 0 && !client.is_verified) {
+    throw new AppError('Storage not configured', 400, 'STORAGE_NOT_CONFIGURED');
+  }
+
+  await assertKeysWritable(client.id, fileOperationService.targetKeys(client, rows, destination.path));
+
+  const created = await fileOperationService.create({
+    clientId: client.id,
+    userId: req.user.id,
+    operation,
+    fileId: rows[0].id,
+    targetParentId: destination.parentId,
+    targetName: name,
+    totalItems: summary.totalItems,
+    totalBytes: summary.totalBytes
+  });
+
+  if (!created) {
+    throw new AppError('Another move or copy is still running', 409, 'OPERATION_IN_PROGRESS');
+  }
+
+  const context = {
+    operation,
+    clientId: client.id,
+    storageConfig: client,
+    root: rows[0],
+    rows,
+    targetParentId: destination.parentId,
+    targetName: name,
+    targetPath: destination.path,
+    actor: {
+      userId: req.user.id,
+      userName: req.user.name,
+      userRole: req.user.roles[0],
+      ipAddress: req.ip
+    }
+  };
+
+  if (!fileOperationService.isInline(summary)) {
+    fileOperationService.run(created.id, context)
+      .catch(error => logger.error(`File ${operation} ${created.id} failed:`, error));
+    return { operation: created, inline: false };
+  }
+
+  const finished = await fileOperationService.run(created.id, context);
+
+  if (finished.status === 'failed') {
+    throw new AppError(`The ${operation} failed: ${finished.error}`, 500, 'OPERATION_FAILED');
+  }
+
+  return { operation: finished, inline: true };
+}
+
 class FileController {
   /**
    * Get files list
@@ -149,60 +539,11 @@ class FileController {
       const { fileName, fileSize, mimeType, parentId } = req.body;
       const userId = req.user.id;
 
-      // Get client with storage config
-      const clients = await query(
-        `SELECT c.*, cs.bucket_name, cs.endpoint, cs.region, 
-                cs.access_key_id, cs.secret_access_key, cs.bucket_prefix, cs.is_verified
-         FROM clients c
-         LEFT JOIN client_storage_config cs ON c.id = cs.client_id
-         WHERE c.user_id = ?`,
-        [userId]
-      );
-      
-      if (clients.length === 0) {
-        throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
-      }
-
-      const client = clients[0];
-
-      // Check if client is active
-      if (client.status !== 'active') {
-        throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
-      }
-
-      // Check if storage is configured
-      if (!client.is_verified) {
-        throw new AppError('Storage not configured', 400, 'STORAGE_NOT_CONFIGURED');
-      }
-
-      // Check storage quota
-      const fileSizeGB = fileSize / (1024 * 1024 * 1024);
-      const newStorageUsed = parseFloat(client.storage_used_gb) + fileSizeGB;
-
-      if (newStorageUsed > parseFloat(client.storage_quota_gb)) {
-        throw new AppError('Storage quota exceeded', 400, 'QUOTA_EXCEEDED');
-      }
-
-      // Build path
-      let path = fileName;
-      if (parentId) {
-        const parents = await query('SELECT path FROM files WHERE id = ? AND client_id = ?', [parentId, client.id]);
-        if (parents.length > 0) {
-          path = `${parents[0].path}/${fileName}`;
-        }
-      }
-
-      // Generate S3 key
-      const s3Key = s3Service.generateS3Key(client.bucket_prefix, path ? `${path}/${fileName}` : fileName);
+      await assertEmailVerified(req.user);
 
-      // Storage config for S3
-      const storageConfig = {
-        bucket_name: client.bucket_name,
-        endpoint: client.endpoint,
-        region: client.region,
-        access_key_id: client.access_key_id,
-        secret_access_key: client.secret_access_key
-      };
+      const client = await findUploadClient(req.user, fileSize);
+      const { path, s3Key } = await buildUploadLocation(client, fileName, parentId);
+      const storageConfig = storageConfigFor(client);
 
       // Generate presigned upload URL
       const uploadUrl = await s3Service.getUploadUrl(storageConfig, s3Key, mimeType, fileSize);
@@ -210,8 +551,8 @@ class FileController {
       // Create file metadata
       const fileId = uuidv4();
       await query(
-        `INSERT INTO files (id, client_id, name, size_bytes, type, mime_type, path, parent_id, s3_key)
-         VALUES (?, ?, ?, ?, 'file', ?, ?, ?, ?)`,
+        `INSERT INTO files (id, client_id, name, size_bytes, type, mime_type, path, parent_id, s3_key, upload_status)
+         VALUES (?, ?, ?, ?, 'file', ?, ?, ?, ?, 'pending')`,
         [fileId, client.id, fileName, fileSize, mimeType, path, parentId || null, s3Key]
       );
 
@@ -244,7 +585,7 @@ class FileController {
   }
 
   /**
-   * Confirm upload (update storage after successful upload)
+   * Confirm upload: check the object in S3 (size and ETag) before counting it as stored
    */
   async confirmUpload(req, res, next) {
     try {
@@ -252,11 +593,15 @@ class FileController {
       const { etag } = req.body;
       const userId = req.user.id;
 
-      // Get file and client
+      // Get file, client and storage config
       const files = await query(
-        `SELECT f.*, c.id as client_id FROM files f
+        `SELECT f.*, c.id as client_id,
+                cs.bucket_name, cs.endpoint, cs.region,
+                cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version
+         FROM files f
          JOIN clients c ON f.client_id = c.id
-         WHERE f.id = ? AND c.user_id = ?`,
+         LEFT JOIN client_storage_config cs ON c.id = cs.client_id
+         WHERE f.id = ? AND c.user_id = ? AND f.type = 'file' AND f.upload_id IS NULL AND f.deleted_at IS NULL`,
         [fileId, userId]
       );
 
@@ -266,11 +611,52 @@ class FileController {
 
       const file = files[0];
 
-      // Update file with etag
-      await query('UPDATE files SET s3_etag = ? WHERE id = ?', [etag, fileId]);
+      if (file.upload_status === 'verified') {
+        return res.json({
+          success: true,
+          message: 'Upload already confirmed',
+          data: { fileId, uploadStatus: file.upload_status }
+        });
+      }
+
+      await query("UPDATE files SET upload_status = 'uploaded' WHERE id = ? AND upload_id IS NULL", [fileId]);
+
+      let verification;
+      try {
+        verification = await uploadService.verifyUpload(file, storageConfigFor(file), etag);
+      } catch (error) {
+        // Left as 'uploaded'; the reconciliation job checks it again
+        logger.error(`Could not verify upload ${fileId}:`, error);
+        return res.status(202).json({
+          success: true,
+          message: 'Upload received; verification is pending',
+          data: { fileId, uploadStatus: 'uploaded' }
+        });
+      }
+
+      if (!verification.found) {
+        await query("UPDATE files SET upload_status = 'pending' WHERE id = ? AND upload_status = 'uploaded'", [fileId]);
+        throw new AppError('Uploaded file not found in storage', 400, 'UPLOAD_NOT_RECEIVED');
+      }
+
+      if (verification.status === 'failed') {
+        await activityService.logActivity({
+          userId,
+          userName: req.user.name,
+          userRole: req.user.roles[0],
+          action: 'file_upload_failed',
+          details: `Upload verification failed: ${file.name}`,
+          resourceType: 'file',
+          resourceId: fileId,
+          metadata: { reason: verification.reason }
+        });
+
+        throw new AppError(verification.reason, 400, 'UPLOAD_VERIFICATION_FAILED');
+      }
 
       // Recalculate client storage
       await query('CALL recalculate_client_storage(?)', [file.client_id]);
+      await alertService.checkClientSafely(file.client_id, ['storage']);
 
       // Log activity
       await activityService.logActivity({
@@ -287,7 +673,8 @@ class FileController {
 
       res.json({
         success: true,
-        message: 'Upload confirmed successfully'
+        message: 'Upload confirmed successfully',
+        data: { fileId, etag: verification.etag, uploadStatus: verification.status }
       });
     } catch (error) {
       next(error);
@@ -295,80 +682,260 @@ class FileController {
   }
 
   /**
-   * Get download URL
+   * Start a multipart upload for a large file
    */
-  async getDownloadUrl(req, res, next) {
+  async initiateMultipartUpload(req, res, next) {
     try {
-      const { fileId } = req.params;
+      const { fileName, fileSize, mimeType, parentId } = req.body;
       const userId = req.user.id;
 
-      // Get file, client and storage config
-      const files = await query(
-        `SELECT f.*, c.id as client_id, c.status, c.egress_free_limit_gb,
-                COALESCE(e.egress_used_gb, 0) as egress_used_gb,
-                cs.bucket_name, cs.endpoint, cs.region, 
-                cs.access_key_id, cs.secret_access_key
-         FROM files f
-         JOIN clients c ON f.client_id = c.id
-         LEFT JOIN egress_usage e ON c.id = e.client_id 
-           AND e.month_year = DATE_FORMAT(NOW(), '%Y-%m')
-         LEFT JOIN client_storage_config cs ON c.id = cs.client_id
-         WHERE f.id = ? AND c.user_id = ? AND f.deleted_at IS NULL AND f.type = 'file'`,
-        [fileId, userId]
+      await assertEmailVerified(req.user);
+
+      const client = await findUploadClient(req.user, fileSize);
+      const { path, s3Key } = await buildUploadLocation(client, fileName, parentId);
+
+      const partSize = multipartPartSize(fileSize);
+      const uploadId = await s3Service.createMultipartUpload(storageConfigFor(client), s3Key, mimeType);
+
+      const fileId = uuidv4();
+      await query(
+        `INSERT INTO files (id, client_id, name, size_bytes, type, mime_type, path, parent_id, s3_key, upload_id, upload_part_size_bytes, upload_status)
+         VALUES (?, ?, ?, ?, 'file', ?, ?, ?, ?, ?, ?, 'pending')`,
+        [fileId, client.id, fileName, fileSize, mimeType, path, parentId || null, s3Key, uploadId, partSize]
       );
 
-      if (files.length === 0) {
-        throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
-      }
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'file_upload_init',
+        details: `Initiated multipart upload: ${fileName}`,
+        resourceType: 'file',
+        resourceId: fileId,
+        metadata: { fileSize, mimeType, partSize, multipart: true }
+      });
 
-      const file = files[0];
+      logger.info(`Multipart upload started: ${fileName} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          fileId,
+          s3Key,
+          partSize,
+          partCount: Math.ceil(fileSize / partSize)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get presigned URLs for parts of a multipart upload
+   */
+  async getMultipartPartUrls(req, res, next) {
+    try {
+      const { fileId } = req.params;
+      const { partNumbers } = req.body;
+
+      await assertEmailVerified(req.user);
+
+      const file = await findMultipartUpload(fileId, req.user.id);
 
-      // Check if client is active
       if (file.status !== 'active') {
         throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
       }
 
-      // Check egress limit (if blocking is enabled)
-      const settings = await query("SELECT value FROM system_settings WHERE `key` = 'block_downloads_on_overage'");
-      const blockOnOverage = settings[0]?.value === 'true';
-
-      if (blockOnOverage && parseFloat(file.egress_used_gb) >= parseFloat(file.egress_free_limit_gb)) {
-        throw new AppError('Download limit exceeded', 403, 'DOWNLOAD_LIMIT_EXCEEDED');
+      const invalid = partNumbers.filter(n => n > file.part_count);
+      if (invalid.length > 0) {
+        throw new AppError(`This upload has ${file.part_count} parts`, 400, 'INVALID_PART_NUMBER');
       }
 
-      // Storage config for S3
-      const storageConfig = {
-        bucket_name: file.bucket_name,
-        endpoint: file.endpoint,
-        region: file.region,
-        access_key_id: file.access_key_id,
-        secret_access_key: file.secret_access_key
-      };
+      const urls = await s3Service.getUploadPartUrls(
+        storageConfigFor(file),
+        file.s3_key,
+        file.upload_id,
+        [...new Set(partNumbers)]
+      );
 
-      // Generate presigned download URL
-      const downloadUrl = await s3Service.getDownloadUrl(storageConfig, file.s3_key);
+      res.json({
+        success: true,
+        data: {
+          parts: urls,
+          expiresIn: 3600
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the parts already uploaded, so an interrupted upload can resume with the missing ones
+   */
+  async listMultipartParts(req, res, next) {
+    try {
+      const { fileId } = req.params;
 
-      // Track egress using stored procedure
-      await query('CALL record_egress(?, ?)', [file.client_id, file.size_bytes]);
+      const file = await findMultipartUpload(fileId, req.user.id);
+      const parts = await s3Service.listUploadedParts(storageConfigFor(file), file.s3_key, file.upload_id);
 
-      // Record download history
-      await query(
-        `INSERT INTO download_history (client_id, file_id, file_name, file_size_bytes, ip_address)
-         VALUES (?, ?, ?, ?, ?)`,
-        [file.client_id, fileId, file.name, file.size_bytes, req.ip]
+      res.json({
+        success: true,
+        data: {
+          fileId,
+          fileSize: file.size_bytes,
+          partSize: file.upload_part_size_bytes,
+          partCount: file.part_count,
+          uploadedParts: parts,
+          uploadedBytes: parts.reduce((sum, part) => sum + (part.sizeBytes || 0), 0),
+          missingPartNumbers: findMissingParts(parts, file.part_count)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Assemble the uploaded parts into the final object
+   * The part list comes from S3 itself, so the client doesn't need to have kept every ETag
+   */
+  async completeMultipartUpload(req, res, next) {
+    try {
+      const { fileId } = req.params;
+      const userId = req.user.id;
+
+      const file = await findMultipartUpload(fileId, userId);
+      const storageConfig = storageConfigFor(file);
+
+      const parts = await s3Service.listUploadedParts(storageConfig, file.s3_key, file.upload_id);
+      const uploadedBytes = parts.reduce((sum, part) => sum + (part.sizeBytes || 0), 0);
+
+      if (parts.length !== file.part_count || uploadedBytes !== Number(file.size_bytes)) {
+        const missing = findMissingParts(parts, file.part_count);
+
+        throw new AppError(
+          missing.length > 0
+            ? `Upload is missing parts: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? '...' : ''}`
+            : `Uploaded ${uploadedBytes} bytes but the file was declared as ${file.size_bytes} bytes`,
+          400,
+          'UPLOAD_INCOMPLETE'
+        );
+      }
+
+      const etag = await s3Service.completeMultipartUpload(storageConfig, file.s3_key, file.upload_id, parts);
+
+      const result = await query(
+        "UPDATE files SET s3_etag = ?, upload_id = NULL, upload_status = 'uploaded' WHERE id = ? AND upload_id = ?",
+        [etag, fileId, file.upload_id]
       );
 
-      // Log activity
+      if (result.affectedRows === 0) {
+        throw new AppError('Multipart upload not found', 404, 'UPLOAD_NOT_FOUND');
+      }
+
+      // Left as 'uploaded' for the reconciliation job if the check can't run now
+      let uploadStatus = 'uploaded';
+      try {
+        const verification = await uploadService.verifyUpload(file, storageConfig, etag);
+        uploadStatus = verification.status;
+      } catch (error) {
+        logger.error(`Could not verify upload ${fileId}:`, error);
+      }
+
+      // Recalculate client storage
+      await query('CALL recalculate_client_storage(?)', [file.client_id]);
+      await alertService.checkClientSafely(file.client_id, ['storage']);
+
       await activityService.logActivity({
         userId,
         userName: req.user.name,
         userRole: req.user.roles[0],
-        action: 'file_download',
-        details: `Downloaded file: ${file.name}`,
+        action: 'file_upload_complete',
+        details: `Uploaded file: ${file.name}`,
         resourceType: 'file',
         resourceId: fileId,
-        ipAddress: req.ip
+        metadata: { multipart: true, partCount: parts.length }
+      });
+
+      logger.info(`Multipart upload completed: ${file.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: uploadStatus === 'failed' ? 'Upload completed but failed verification' : 'Upload completed successfully',
+        data: { fileId, etag, uploadStatus }
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Abort a multipart upload, discarding uploaded parts and the file entry
+   */
+  async abortMultipartUpload(req, res, next) {
+    try {
+      const { fileId } = req.params;
+      const userId = req.user.id;
+
+      const file = await findMultipartUpload(fileId, userId);
+
+      try {
+        await s3Service.abortMultipartUpload(storageConfigFor(file), file.s3_key, file.upload_id);
+      } catch (error) {
+        // Already gone on the S3 side (completed elsewhere or expired by a lifecycle rule)
+        if (error.name !== 'NoSuchUpload') throw error;
+      }
+
+      await query('DELETE FROM files WHERE id = ? AND upload_id = ?', [fileId, file.upload_id]);
+
+      await query('CALL recalculate_client_storage(?)', [file.client_id]);
+      await alertService.checkClientSafely(file.client_id, ['storage']);
+
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'file_upload_abort',
+        details: `Aborted upload: ${file.name}`,
+        resourceType: 'file',
+        resourceId: fileId
+      });
+
+      logger.info(`Multipart upload aborted: ${file.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Upload aborted'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get download URL
+   */
+  async getDownloadUrl(req, res, next) {
+    try {
+      const { fileId } = req.params;
+
+      await assertEmailVerified(req.user);
+
+      const file = await findClientFile(fileId, req.user.id);
+
+      if (file.upload_status !== 'verified') {
+        throw new AppError('File upload has not completed', 409, 'UPLOAD_NOT_VERIFIED');
+      }
+
+      await assertCanDownload(file);
+
+      // Generate presigned download URL
+      const downloadUrl = await s3Service.getDownloadUrl(storageConfigFor(file), file.s3_key);
+
+      await recordDownload(req, file, file.size_bytes);
 
       logger.info(`Download URL generated: ${file.name} by ${req.user.email}`);
 
@@ -386,72 +953,163 @@ class FileController {
   }
 
   /**
-   * Delete file(s)
+   * List the stored versions of a file (from the client's bucket), newest first
    */
-  async deleteFiles(req, res, next) {
+  async getFileVersions(req, res, next) {
     try {
-      const { fileIds } = req.body;
+      const { fileId } = req.params;
+
+      const file = await findClientFile(fileId, req.user.id);
+      const versions = await s3Service.listObjectVersions(storageConfigFor(file), file.s3_key);
+
+      res.json({
+        success: true,
+        data: {
+          fileId,
+          fileName: file.name,
+          versions: versions.map(version => ({
+            versionId: version.versionId,
+            isCurrent: version.isLatest,
+            isDeleteMarker: version.isDeleteMarker,
+            sizeBytes: version.sizeBytes,
+            etag: version.etag,
+            lastModified: version.lastModified
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get download URL for one version of a file (egress is tracked like a normal download)
+   */
+  async getVersionDownloadUrl(req, res, next) {
+    try {
+      const { fileId, versionId } = req.params;
+
+      await assertEmailVerified(req.user);
+
+      const file = await findClientFile(fileId, req.user.id);
+      await assertCanDownload(file);
+
+      const storageConfig = storageConfigFor(file);
+      const version = await findFileVersion(storageConfig, file, versionId);
+
+      const downloadUrl = await s3Service.getDownloadUrl(storageConfig, file.s3_key, 3600, version.versionId);
+
+      await recordDownload(req, file, version.sizeBytes, { versionId: version.versionId });
+
+      logger.info(`Version download URL generated: ${file.name} (${version.versionId}) by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        data: {
+          downloadUrl,
+          fileName: file.name,
+          versionId: version.versionId,
+          sizeBytes: version.sizeBytes,
+          expiresIn: 3600
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Make an earlier version current again by copying it over the file in the bucket
+   * The version being replaced stays available as a previous version
+   */
+  async restoreFileVersion(req, res, next) {
+    try {
+      const { fileId, versionId } = req.params;
       const userId = req.user.id;
 
-      if (!Array.isArray(fileIds) || fileIds.length === 0) {
-        throw new AppError('File IDs required', 400, 'FILE_IDS_REQUIRED');
+      const file = await findClientFile(fileId, userId);
+
+      if (file.status !== 'active') {
+        throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
       }
 
-      // Get files with storage config
-      const files = await query(
-        `SELECT f.*, c.id as client_id,
-                cs.bucket_name, cs.endpoint, cs.region,
-                cs.access_key_id, cs.secret_access_key
-         FROM files f
-         JOIN clients c ON f.client_id = c.id
-         LEFT JOIN client_storage_config cs ON c.id = cs.client_id
-         WHERE f.id IN (?) AND c.user_id = ? AND f.deleted_at IS NULL`,
-        [fileIds, userId]
-      );
+      if (file.upload_status === 'pending' || file.upload_status === 'uploaded') {
+        throw new AppError('File upload is still in progress', 409, 'UPLOAD_IN_PROGRESS');
+      }
 
-      if (files.length === 0) {
-        throw new AppError('No files found', 404, 'FILES_NOT_FOUND');
+      const storageConfig = storageConfigFor(file);
+      const version = await findFileVersion(storageConfig, file, versionId);
+
+      if (version.isLatest) {
+        throw new AppError('This version is already the current one', 400, 'VERSION_IS_CURRENT');
       }
 
-      await transaction(async (conn) => {
-        // Soft delete files
-        await conn.execute(
-          'UPDATE files SET deleted_at = NOW() WHERE id IN (?)',
-          [fileIds]
-        );
+      // Only the growth in size counts against the quota
+      const growthGB = (Number(version.sizeBytes) - Number(file.size_bytes)) / (1024 * 1024 * 1024);
+      if (growthGB > 0 && parseFloat(file.storage_used_gb) + growthGB > parseFloat(file.storage_quota_gb)) {
+        throw new AppError('Storage quota exceeded', 400, 'QUOTA_EXCEEDED');
+      }
 
-        // Delete from S3 (group by client for different configs)
-        const clientFiles = {};
-        files.forEach(f => {
-          if (f.s3_key) {
-            if (!clientFiles[f.client_id]) {
-              clientFiles[f.client_id] = {
-                storageConfig: {
-                  bucket_name: f.bucket_name,
-                  endpoint: f.endpoint,
-                  region: f.region,
-                  access_key_id: f.access_key_id,
-                  secret_access_key: f.secret_access_key
-                },
-                keys: []
-              };
-            }
-            clientFiles[f.client_id].keys.push(f.s3_key);
-          }
-        });
+      await assertKeysWritable(file.client_id, [file.s3_key]);
 
-        // Delete files from each client's storage
-        for (const clientId in clientFiles) {
-          const { storageConfig, keys } = clientFiles[clientId];
-          await s3Service.deleteFiles(storageConfig, keys);
-        }
+      const copy = await s3Service.copyObject(storageConfig, file.s3_key, file.s3_key, version.sizeBytes, version.versionId);
+
+      await query(
+        `UPDATE files
+         SET size_bytes = ?, s3_etag = ?, upload_status = 'verified', upload_verified_at = NOW()
+         WHERE id = ?`,
+        [version.sizeBytes, copy.etag || version.etag, fileId]
+      );
+
+      await query('CALL recalculate_client_storage(?)', [file.client_id]);
+      await alertService.checkClientSafely(file.client_id, ['storage']);
+
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'file_version_restore',
+        details: `Restored a previous version of: ${file.name}`,
+        resourceType: 'file',
+        resourceId: fileId,
+        metadata: { restoredVersionId: version.versionId, newVersionId: copy.versionId }
+      });
 
-        // Recalculate storage for each client
-        const clientIds = [...new Set(files.map(f => f.client_id))];
-        for (const clientId of clientIds) {
-          await conn.execute('CALL recalculate_client_storage(?)', [clientId]);
+      logger.info(`Version restored: ${file.name} (${version.versionId}) by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Version restored successfully',
+        data: {
+          fileId,
+          restoredVersionId: version.versionId,
+          versionId: copy.versionId,
+          sizeBytes: version.sizeBytes
         }
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete file(s): moves them (folders with their contents) to the trash; objects stay in storage
+   */
+  async deleteFiles(req, res, next) {
+    try {
+      const { fileIds } = req.body;
+      const userId = req.user.id;
+
+      if (!Array.isArray(fileIds) || fileIds.length === 0) {
+        throw new AppError('File IDs required', 400, 'FILE_IDS_REQUIRED');
+      }
+
+      const clientId = await findClientId(userId);
+      const trashed = await trashService.trashItems(clientId, [...new Set(fileIds)]);
+
+      if (trashed.length === 0) {
+        throw new AppError('No files found', 404, 'FILES_NOT_FOUND');
+      }
 
       // Log activity
       await activityService.logActivity({
@@ -459,16 +1117,235 @@ class FileController {
         userName: req.user.name,
         userRole: req.user.roles[0],
         action: 'file_delete',
-        details: `Deleted ${files.length} file(s)`,
-        resourceType: 'file'
+        details: `Moved ${trashed.length} item(s) to the trash`,
+        resourceType: 'file',
+        metadata: { fileIds: trashed }
+      });
+
+      logger.info(`Moved ${trashed.length} items to the trash by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `${trashed.length} item(s) moved to the trash`,
+        data: { deletedCount: trashed.length, fileIds: trashed }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List items in the trash
+   */
+  async getTrash(req, res, next) {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+
+      const clientId = await findClientId(req.user.id);
+      const trash = await trashService.listTrash(clientId, { limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          items: trash.items,
+          retentionDays: trash.retentionDays,
+          pagination: {
+            total: trash.total,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Restore items from the trash
+   */
+  async restoreFromTrash(req, res, next) {
+    try {
+      const { fileIds } = req.body;
+      const userId = req.user.id;
+
+      const clientId = await findClientId(userId);
+      const { restored, conflicts } = await trashService.restoreItems(clientId, [...new Set(fileIds)]);
+
+      if (restored.length === 0 && conflicts.length === 0) {
+        throw new AppError('No items found in the trash', 404, 'FILES_NOT_FOUND');
+      }
+
+      if (restored.length > 0) {
+        await activityService.logActivity({
+          userId,
+          userName: req.user.name,
+          userRole: req.user.roles[0],
+          action: 'file_restore',
+          details: `Restored ${restored.length} item(s) from the trash`,
+          resourceType: 'file',
+          metadata: { fileIds: restored }
+        });
+      }
+
+      logger.info(`Restored ${restored.length} items from the trash by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: conflicts.length > 0
+          ? `${restored.length} item(s) restored; ${conflicts.length} could not be restored because their path is in use`
+          : `${restored.length} item(s) restored`,
+        data: { restored, conflicts }
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Permanently delete items from the trash (the whole trash when no fileIds are given)
+   */
+  async purgeTrash(req, res, next) {
+    try {
+      const { fileIds } = req.body;
+      const userId = req.user.id;
+
+      const clientId = await findClientId(userId);
+      const { purged, deletedObjects } = await trashService.purgeItems(
+        clientId,
+        Array.isArray(fileIds) && fileIds.length > 0 ? [...new Set(fileIds)] : null
+      );
 
-      logger.info(`Deleted ${files.length} files by ${req.user.email}`);
+      if (purged.length > 0) {
+        await activityService.logActivity({
+          userId,
+          userName: req.user.name,
+          userRole: req.user.roles[0],
+          action: 'file_purge',
+          details: `Permanently deleted ${purged.length} item(s) from the trash`,
+          resourceType: 'file',
+          metadata: { fileIds: purged, deletedObjects }
+        });
+      }
+
+      logger.info(`Purged ${purged.length} items from the trash by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `${purged.length} item(s) permanently deleted`,
+        data: { purged, deletedObjects }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename and/or move a file or folder; descendants' paths and objects follow
+   * Small items are done within the request (200); larger ones run in the background (202)
+   */
+  async updateFile(req, res, next) {
+    try {
+      const { fileId } = req.params;
+
+      const client = await findActiveClient(req.user.id);
+      const rows = await findItemTree(client.id, fileId, true);
+      const item = rows[0];
+
+      const parentId = req.body.parentId === undefined ? item.parent_id : req.body.parentId;
+      const name = req.body.name ?? item.name;
+
+      if (parentId === item.parent_id && name === item.name) {
+        throw new AppError('Nothing to change', 400, 'NO_CHANGES');
+      }
+
+      const destination = await resolveDestination(client.id, rows, parentId, name, item.id);
+      const { operation, inline } = await startOperation(req, 'move', client, rows, destination, name);
+
+      if (!inline) {
+        return res.status(202).json({
+          success: true,
+          message: 'Move started',
+          data: { operation }
+        });
+      }
+
+      const files = await query('SELECT * FROM files WHERE id = ?', [fileId]);
+
+      res.json({
+        success: true,
+        message: 'Moved successfully',
+        data: { operation, file: files[0] }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Copy a file or folder (with its contents) into a folder, copying objects inside the bucket
+   * Small items are done within the request (200); larger ones run in the background (202)
+   */
+  async copyFile(req, res, next) {
+    try {
+      const { fileId } = req.params;
+
+      await assertEmailVerified(req.user);
+
+      const client = await findActiveClient(req.user.id);
+      const rows = await findItemTree(client.id, fileId, false);
+      const item = rows[0];
+
+      if (item.type === 'file' && item.upload_status !== 'verified') {
+        throw new AppError('File upload has not been verified', 409, 'UPLOAD_NOT_VERIFIED');
+      }
+
+      const parentId = req.body.parentId === undefined ? item.parent_id : req.body.parentId;
+      const name = req.body.name ?? item.name;
+
+      const destination = await resolveDestination(client.id, rows, parentId, name);
+
+      // Files inside a folder whose upload isn't verified are left out of the copy
+      const copied = fileOperationService.copyableRows(rows);
+      await assertQuota(client, fileOperationService.summarize(copied).totalBytes);
+
+      const { operation, inline } = await startOperation(req, 'copy', client, copied, destination, name);
+
+      if (!inline) {
+        return res.status(202).json({
+          success: true,
+          message: 'Copy started',
+          data: { operation }
+        });
+      }
+
+      const files = await query('SELECT * FROM files WHERE id = ?', [operation.resultFileId]);
+
+      res.status(201).json({
+        success: true,
+        message: 'Copied successfully',
+        data: { operation, file: files[0] }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the status and progress of a move or copy
+   */
+  async getFileOperation(req, res, next) {
+    try {
+      const clientId = await findClientId(req.user.id);
+      const operation = await fileOperationService.get(req.params.operationId, clientId);
+
+      if (!operation) {
+        throw new AppError('Operation not found', 404, 'OPERATION_NOT_FOUND');
+      }
 
       res.json({
         success: true,
-        message: `${files.length} file(s) deleted successfully`,
-        data: { deletedCount: files.length }
+        data: operation
       });
     } catch (error) {
       next(error);
@@ -0,0 +1,280 @@
+import { query } from '../config/database.js';
+import invoiceService from '../services/invoice.service.js';
+import activityService from '../services/activity.service.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Send an invoice in the requested export format
+ */
+function sendInvoice(res, invoice, format) {
+  const filename = invoice.invoiceNumber;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(invoiceService.toCsv(invoice));
+  }
+
+  if (format === 'html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.html"`);
+    return res.send(invoiceService.toHtml(invoice));
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  return res.json(invoice);
+}
+
+/**
+ * List invoices matching the given filters with pagination
+ */
+async function listInvoices({ clientId, period, status, limit = 50, offset = 0 }) {
+  const conditions = [];
+  const params = [];
+
+  if (clientId) {
+    conditions.push('i.client_id = ?');
+    params.push(clientId);
+  }
+
+  if (period) {
+    conditions.push('i.period = ?');
+    params.push(period);
+  }
+
+  if (status) {
+    conditions.push('i.status = ?');
+    params.push(status);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const invoices = await query(
+    `SELECT i.*, c.name as client_name, c.email as client_email, c.company as client_company
+     FROM invoices i
+     JOIN clients c ON i.client_id = c.id
+     ${where}
+     ORDER BY i.period DESC, c.name ASC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    params
+  );
+
+  const [{ total }] = await query(
+    `SELECT COUNT(*) as total FROM invoices i ${where}`,
+    params
+  );
+
+  return {
+    invoices: invoices.map(invoice => {
+      const { lineItems, ...summary } = invoiceService.formatInvoice(invoice);
+      return summary;
+    }),
+    pagination: {
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    }
+  };
+}
+
+/**
+ * Get the caller's client ID
+ */
+async function getClientId(userId) {
+  const clients = await query('SELECT id FROM clients WHERE user_id = ?', [userId]);
+
+  if (clients.length === 0) {
+    throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+  }
+
+  return clients[0].id;
+}
+
+class InvoiceController {
+  /**
+   * List all invoices (admin)
+   */
+  async adminListInvoices(req, res, next) {
+    try {
+      const { clientId, period, status, limit, offset } = req.query;
+      const data = await listInvoices({ clientId, period, status, limit, offset });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Generate invoices for a period (admin)
+   */
+  async generateInvoices(req, res, next) {
+    try {
+      const { period, clientId, regenerate = false } = req.body;
+      const result = await invoiceService.generateInvoices(period, { clientId, regenerate });
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'invoice_generate',
+        details: `Generated invoices for ${result.period}`,
+        resourceType: 'invoice',
+        metadata: { clientId: clientId || null, regenerate, ...result },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      res.json({
+        success: true,
+        message: `${result.generated} invoice(s) generated`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single invoice (admin)
+   */
+  async adminGetInvoice(req, res, next) {
+    try {
+      const invoice = await invoiceService.getInvoice(req.params.invoiceId);
+
+      if (!invoice) {
+        throw new AppError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+      }
+
+      res.json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export an invoice as JSON, CSV or HTML (admin)
+   */
+  async adminExportInvoice(req, res, next) {
+    try {
+      const invoice = await invoiceService.getInvoice(req.params.invoiceId);
+
+      if (!invoice) {
+        throw new AppError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+      }
+
+      sendInvoice(res, invoice, req.query.format);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark an invoice as issued, paid or void (admin)
+   */
+  async updateInvoiceStatus(req, res, next) {
+    try {
+      const { invoiceId } = req.params;
+      const { status } = req.body;
+
+      const result = await query(
+        `UPDATE invoices
+         SET status = ?, paid_at = ${status === 'paid' ? 'COALESCE(paid_at, NOW())' : 'NULL'}
+         WHERE id = ?`,
+        [status, invoiceId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new AppError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+      }
+
+      await activityService.logActivity({
+        userId: req.user.id,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'invoice_status_update',
+        details: `Marked invoice as ${status}`,
+        resourceType: 'invoice',
+        resourceId: invoiceId,
+        metadata: { status },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      const invoice = await invoiceService.getInvoice(invoiceId);
+
+      res.json({
+        success: true,
+        message: 'Invoice status updated',
+        data: invoice
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the caller's invoices
+   */
+  async getMyInvoices(req, res, next) {
+    try {
+      const clientId = await getClientId(req.user.id);
+      const { period, status, limit, offset } = req.query;
+      const data = await listInvoices({ clientId, period, status, limit, offset });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one of the caller's invoices
+   */
+  async getMyInvoice(req, res, next) {
+    try {
+      const clientId = await getClientId(req.user.id);
+      const invoice = await invoiceService.getInvoice(req.params.invoiceId, clientId);
+
+      if (!invoice) {
+        throw new AppError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+      }
+
+      res.json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export one of the caller's invoices as JSON, CSV or HTML
+   */
+  async exportMyInvoice(req, res, next) {
+    try {
+      const clientId = await getClientId(req.user.id);
+      const invoice = await invoiceService.getInvoice(req.params.invoiceId, clientId);
+
+      if (!invoice) {
+        throw new AppError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+      }
+
+      sendInvoice(res, invoice, req.query.format);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new InvoiceController();
@@ -0,0 +1,184 @@
+import settingsService from '../services/settings.service.js';
+import activityService from '../services/activity.service.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Validate and apply a map of setting changes, then log the activity
+ */
+async function applyChanges(req, changes) {
+  const keys = Object.keys(changes);
+
+  if (keys.length === 0) {
+    throw new AppError('No settings provided', 400, 'VALIDATION_ERROR');
+  }
+
+  const errors = keys
+    .map(key => settingsService.validateSetting(key, changes[key]))
+    .filter(Boolean);
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join(', '), 400, 'VALIDATION_ERROR');
+  }
+
+  const changed = await settingsService.update(changes, req.user.id);
+
+  if (changed.length > 0) {
+    await activityService.logActivity({
+      userId: req.user.id,
+      userName: req.user.name,
+      userRole: req.user.roles[0],
+      action: 'settings_update',
+      details: `Updated settings: ${changed.map(c => c.key).join(', ')}`,
+      resourceType: 'settings',
+      metadata: { changes: changed },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+
+  return changed;
+}
+
+class SettingsController {
+  /**
+   * Get all system settings
+   */
+  async getSettings(req, res, next) {
+    try {
+      const settings = await settingsService.getAll();
+
+      res.json({
+        success: true,
+        data: { settings }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a single system setting
+   */
+  async getSetting(req, res, next) {
+    try {
+      const setting = await settingsService.get(req.params.key);
+
+      if (!setting) {
+        throw new AppError('Setting not found', 404, 'SETTING_NOT_FOUND');
+      }
+
+      res.json({
+        success: true,
+        data: setting
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update several settings at once (body is a map of key to value)
+   */
+  async updateSettings(req, res, next) {
+    try {
+      const changed = await applyChanges(req, req.body || {});
+      const settings = await settingsService.getAll();
+
+      res.json({
+        success: true,
+        message: changed.length > 0 ? 'Settings updated successfully' : 'No changes',
+        data: { changed: changed.map(c => c.key), settings }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a single setting
+   */
+  async updateSetting(req, res, next) {
+    try {
+      const { key } = req.params;
+      const changed = await applyChanges(req, { [key]: req.body.value });
+      const setting = await settingsService.get(key);
+
+      res.json({
+        success: true,
+        message: changed.length > 0 ? 'Setting updated successfully' : 'No changes',
+        data: setting
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get settings change history
+   */
+  async getHistory(req, res, next) {
+    try {
+      const { key, limit, offset } = req.query;
+      const data = await settingsService.getHistory({ key, limit, offset });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Roll a setting back to the value it had before a history entry
+   */
+  async rollbackSetting(req, res, next) {
+    try {
+      const entry = await settingsService.getHistoryEntry(req.params.historyId);
+
+      if (!entry) {
+        throw new AppError('History entry not found', 404, 'SETTING_HISTORY_NOT_FOUND');
+      }
+
+      if (entry.oldValue === null) {
+        throw new AppError('This change has no previous value to restore', 400, 'SETTING_ROLLBACK_UNAVAILABLE');
+      }
+
+      // Schemas may have tightened since the value was written
+      const validationError = settingsService.validateSetting(entry.key, entry.oldValue);
+      if (validationError) {
+        throw new AppError(`Previous value is no longer valid: ${validationError}`, 400, 'VALIDATION_ERROR');
+      }
+
+      const result = await settingsService.rollback(entry, req.user.id);
+
+      if (result) {
+        await activityService.logActivity({
+          userId: req.user.id,
+          userName: req.user.name,
+          userRole: req.user.roles[0],
+          action: 'settings_rollback',
+          details: `Rolled back setting: ${entry.key}`,
+          resourceType: 'settings',
+          resourceId: entry.id,
+          metadata: result,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      }
+
+      const setting = await settingsService.get(entry.key);
+
+      res.json({
+        success: true,
+        message: result ? 'Setting rolled back successfully' : 'No changes',
+        data: setting
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new SettingsController();
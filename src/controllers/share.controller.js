@@ -0,0 +1,835 @@
+import archiver from 'archiver';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { query, transaction } from '../config/database.js';
+import config from '../config/index.js';
+import s3Service from '../services/s3.service.js';
+import activityService from '../services/activity.service.js';
+import settingsService from '../services/settings.service.js';
+import alertService from '../services/alert.service.js';
+import mailService from '../services/mail.service.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Upper bound on files in a single multi-file share
+const MAX_SHARE_FILES = 1000;
+
+/**
+ * Record a public access attempt against a shared link
+ */
+async function recordAccess(link, req, status, reason = null) {
+  try {
+    await query(
+      `INSERT INTO shared_link_access_logs (shared_link_id, client_id, status, reason, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [link.id, link.client_id, status, reason, req.ip, req.get('user-agent') || null]
+    );
+  } catch (error) {
+    logger.error('Error recording share access:', error);
+    // Don't throw - audit failure shouldn't break the download
+  }
+}
+
+/**
+ * Shape a shared_links row for API responses
+ */
+function formatShare(link) {
+  return {
+    id: link.id,
+    shareType: link.share_type,
+    fileId: link.file_id,
+    fileName: link.file_name,
+    token: link.token,
+    expiresAt: link.expires_at,
+    maxDownloads: link.max_downloads,
+    downloadCount: link.download_count,
+    passwordProtected: !!link.password_hash,
+    isActive: !!link.is_active,
+    isExpired: new Date(link.expires_at) <= new Date(),
+    createdAt: link.created_at
+  };
+}
+
+/**
+ * Load a shared link by its public token with file, client and storage config
+ */
+async function findLink(token) {
+  const links = await query(
+    `SELECT sl.*, f.name as file_name, f.size_bytes, f.s3_key, f.deleted_at,
+            c.status, c.egress_free_limit_gb,
+            COALESCE(e.egress_used_gb, 0) as egress_used_gb,
+            cs.bucket_name, cs.endpoint, cs.region,
+            cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version
+     FROM shared_links sl
+     LEFT JOIN files f ON sl.file_id = f.id
+     JOIN clients c ON sl.client_id = c.id
+     LEFT JOIN egress_usage e ON c.id = e.client_id
+       AND e.month_year = DATE_FORMAT(NOW(), '%Y-%m')
+     LEFT JOIN client_storage_config cs ON c.id = cs.client_id
+     WHERE sl.token = ?`,
+    [token]
+  );
+
+  if (links.length === 0 || !links[0].is_active || (links[0].file_id && links[0].deleted_at)) {
+    throw new AppError('Share link not found', 404, 'SHARE_NOT_FOUND');
+  }
+
+  return links[0];
+}
+
+/**
+ * Check expiry, download cap, password, account status and egress blocking
+ */
+async function assertLinkAccessible(link, password) {
+  if (new Date(link.expires_at) <= new Date()) {
+    throw new AppError('Share link has expired', 410, 'SHARE_EXPIRED');
+  }
+
+  if (link.max_downloads !== null && link.download_count >= link.max_downloads) {
+    throw new AppError('Share link download limit reached', 410, 'SHARE_DOWNLOAD_LIMIT_REACHED');
+  }
+
+  // Check password for protected links
+  if (link.password_hash) {
+    if (!password) {
+      throw new AppError('Password required', 401, 'SHARE_PASSWORD_REQUIRED');
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, link.password_hash);
+
+    if (!isPasswordValid) {
+      throw new AppError('Invalid password', 401, 'SHARE_INVALID_PASSWORD');
+    }
+  }
+
+  // Owning client must still be active
+  if (link.status !== 'active') {
+    throw new AppError('Share link is unavailable', 403, 'ACCOUNT_SUSPENDED');
+  }
+
+  // Check egress limit (if blocking is enabled)
+  const blockOnOverage = await settingsService.getBoolean('block_downloads_on_overage');
+
+  if (blockOnOverage && parseFloat(link.egress_used_gb) >= parseFloat(link.egress_free_limit_gb)) {
+    throw new AppError('Download limit exceeded', 403, 'DOWNLOAD_LIMIT_EXCEEDED');
+  }
+}
+
+/**
+ * Claim a download slot atomically so concurrent requests cannot exceed max_downloads
+ */
+async function claimDownload(link) {
+  const claim = await query(
+    `UPDATE shared_links SET download_count = download_count + 1
+     WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)`,
+    [link.id]
+  );
+
+  if (claim.affectedRows === 0) {
+    throw new AppError('Share link download limit reached', 410, 'SHARE_DOWNLOAD_LIMIT_REACHED');
+  }
+}
+
+/**
+ * Get the live files covered by a folder or multi-file share, with zip entry names
+ */
+async function getShareFiles(link) {
+  let files;
+
+  if (link.share_type === 'folder') {
+    // Walk the folder tree by parent_id
+    files = await query(
+      `WITH RECURSIVE tree AS (
+         SELECT id, type, name, CAST(name AS CHAR(4000)) as rel_path
+         FROM files
+         WHERE parent_id = ? AND client_id = ? AND deleted_at IS NULL
+         UNION ALL
+         SELECT f.id, f.type, f.name, CONCAT(t.rel_path, '/', f.name)
+         FROM files f
+         JOIN tree t ON f.parent_id = t.id
+         WHERE f.deleted_at IS NULL
+       )
+       SELECT f.id, f.name, f.size_bytes, f.mime_type, f.s3_key, t.rel_path
+       FROM tree t
+       JOIN files f ON f.id = t.id
+       WHERE t.type = 'file' AND f.upload_status = 'verified'
+       ORDER BY t.rel_path ASC`,
+      [link.file_id, link.client_id]
+    );
+  } else {
+    files = await query(
+      `SELECT f.id, f.name, f.size_bytes, f.mime_type, f.s3_key, f.name as rel_path
+       FROM shared_link_files slf
+       JOIN files f ON slf.file_id = f.id
+       WHERE slf.shared_link_id = ? AND f.deleted_at IS NULL AND f.type = 'file' AND f.upload_status = 'verified'
+       ORDER BY f.name ASC`,
+      [link.id]
+    );
+  }
+
+  // Ad-hoc lists can contain the same name from different folders
+  const seen = new Map();
+  return files.map(f => {
+    let entryName = f.rel_path;
+    const count = seen.get(entryName) || 0;
+    seen.set(entryName, count + 1);
+    if (count > 0) {
+      const dot = entryName.lastIndexOf('.');
+      entryName = dot > 0
+        ? `${entryName.slice(0, dot)} (${count})${entryName.slice(dot)}`
+        : `${entryName} (${count})`;
+    }
+    return { ...f, entryName };
+  });
+}
+
+/**
+ * Storage config for S3 from a joined link row
+ */
+function storageConfigFor(link) {
+  return {
+    bucket_name: link.bucket_name,
+    endpoint: link.endpoint,
+    region: link.region,
+    access_key_id: link.access_key_id,
+    secret_access_key: link.secret_access_key,
+    data_key: link.data_key,
+    key_version: link.key_version
+  };
+}
+
+/**
+ * Stream a zip of a folder or multi-file share straight from S3
+ * Egress is charged for the bytes actually read, even if the download is aborted
+ */
+async function streamZip(link, req, res) {
+  const files = await getShareFiles(link);
+
+  if (files.length === 0) {
+    throw new AppError('Share contains no files', 404, 'SHARE_EMPTY');
+  }
+
+  await claimDownload(link);
+
+  const storageConfig = storageConfigFor(link);
+  const zipName = `${link.file_name || 'shared-files'}.zip`;
+  const archive = archiver('zip', { zlib: { level: 1 } }); // Backups are mostly pre-compressed
+  let bytesRead = 0;
+
+  archive.on('warning', err => logger.warn('Shared zip warning:', err));
+
+  res.on('close', async () => {
+    const completed = res.writableFinished;
+
+    if (!completed) {
+      archive.abort();
+    }
+
+    try {
+      if (bytesRead > 0) {
+        await query('CALL record_egress(?, ?)', [link.client_id, bytesRead]);
+        await alertService.checkClientSafely(link.client_id, ['egress']);
+      }
+
+      await query(
+        `INSERT INTO download_history (client_id, file_id, file_name, file_size_bytes, status, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [link.client_id, link.file_id, zipName, bytesRead, completed ? 'completed' : 'failed', req.ip, req.get('user-agent') || null]
+      );
+
+      await recordAccess(link, req, completed ? 'success' : 'denied', completed ? null : 'DOWNLOAD_ABORTED');
+    } catch (error) {
+      logger.error('Error recording shared zip download:', error);
+    }
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(zipName)}"`);
+  archive.pipe(res);
+
+  // Open objects one at a time so a large share never holds many S3 connections
+  for (const file of files) {
+    if (res.destroyed) return;
+
+    const body = await s3Service.getObjectStream(storageConfig, file.s3_key);
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        bytesRead += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    archive.append(body.pipe(counter), { name: file.entryName });
+
+    await new Promise((resolve, reject) => {
+      const cleanup = () => {
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+        res.off('close', onClose);
+      };
+      const onEntry = () => { cleanup(); resolve(); };
+      const onError = err => { cleanup(); reject(err); };
+      const onClose = () => { cleanup(); body.destroy(); resolve(); };
+      archive.on('entry', onEntry);
+      archive.on('error', onError);
+      res.on('close', onClose);
+    });
+  }
+
+  if (res.destroyed) return;
+
+  await archive.finalize();
+
+  logger.info(`Shared zip streamed: ${zipName} (${files.length} files) via link ${link.id}`);
+}
+
+class ShareController {
+  /**
+   * Create shared link for a file, a folder or a list of files
+   */
+  async createShare(req, res, next) {
+    try {
+      const { fileId, fileIds, expiresInHours = 168, maxDownloads, password, recipients = [] } = req.body;
+      const userId = req.user.id;
+
+      if (!fileId && !(Array.isArray(fileIds) && fileIds.length > 0)) {
+        throw new AppError('fileId or fileIds required', 400, 'VALIDATION_ERROR');
+      }
+
+      // Get client
+      const clients = await query('SELECT id, status FROM clients WHERE user_id = ?', [userId]);
+
+      if (clients.length === 0) {
+        throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+      }
+
+      const client = clients[0];
+
+      if (client.status !== 'active') {
+        throw new AppError('Account is suspended', 403, 'ACCOUNT_SUSPENDED');
+      }
+
+      let shareType;
+      let targetId = null;
+      let shareName;
+      let memberIds = [];
+
+      if (fileId) {
+        // Single file or folder owned by the caller's client
+        const files = await query(
+          "SELECT id, name, type FROM files WHERE id = ? AND client_id = ? AND deleted_at IS NULL AND upload_status = 'verified'",
+          [fileId, client.id]
+        );
+
+        if (files.length === 0) {
+          throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+        }
+
+        shareType = files[0].type === 'folder' ? 'folder' : 'file';
+        targetId = files[0].id;
+        shareName = files[0].name;
+      } else {
+        const uniqueIds = [...new Set(fileIds)];
+
+        if (uniqueIds.length > MAX_SHARE_FILES) {
+          throw new AppError(`A share can include at most ${MAX_SHARE_FILES} files`, 400, 'TOO_MANY_FILES');
+        }
+
+        const placeholders = uniqueIds.map(() => '?').join(', ');
+        const files = await query(
+          `SELECT id FROM files
+           WHERE id IN (${placeholders}) AND client_id = ? AND deleted_at IS NULL AND type = 'file'
+             AND upload_status = 'verified'`,
+          [...uniqueIds, client.id]
+        );
+
+        if (files.length !== uniqueIds.length) {
+          throw new AppError('One or more files not found', 404, 'FILES_NOT_FOUND');
+        }
+
+        shareType = 'files';
+        memberIds = uniqueIds;
+        shareName = `${uniqueIds.length} file(s)`;
+      }
+
+      const shareId = uuidv4();
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+      const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+
+      await transaction(async (conn) => {
+        await conn.execute(
+          `INSERT INTO shared_links (id, file_id, client_id, share_type, token, expires_at, max_downloads, password_hash)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [shareId, targetId, client.id, shareType, token, expiresAt, maxDownloads || null, passwordHash]
+        );
+
+        for (const memberId of memberIds) {
+          await conn.execute(
+            'INSERT INTO shared_link_files (shared_link_id, file_id) VALUES (?, ?)',
+            [shareId, memberId]
+          );
+        }
+      });
+
+      // Log activity
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'share_create',
+        details: `Created ${shareType} share link for: ${shareName}`,
+        resourceType: 'share',
+        resourceId: shareId,
+        metadata: {
+          shareType,
+          fileId: targetId,
+          fileIds: memberIds.length > 0 ? memberIds : undefined,
+          expiresAt,
+          maxDownloads: maxDownloads || null,
+          passwordProtected: !!password
+        }
+      });
+
+      logger.info(`Share link created: ${shareName} by ${req.user.email}`);
+
+      // Email the link to any recipients (the password, if set, is never included)
+      const sharePath = `/api/${config.apiVersion}/share/${token}`;
+      for (const recipient of recipients) {
+        await mailService.enqueue('share_link_created', recipient, {
+          senderName: req.user.name,
+          fileName: shareName,
+          shareUrl: `${config.app.publicUrl}${sharePath}`,
+          expiresAt,
+          passwordProtected: !!password
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created successfully',
+        data: {
+          shareId,
+          shareType,
+          token,
+          sharePath,
+          fileName: shareName,
+          expiresAt,
+          maxDownloads: maxDownloads || null,
+          passwordProtected: !!password
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Access shared link by token (public)
+   * Single-file links resolve to a presigned URL; folder and multi-file links stream a zip
+   */
+  async accessShare(req, res, next) {
+    let link = null;
+
+    try {
+      link = await findLink(req.params.token);
+      await assertLinkAccessible(link, req.body?.password);
+
+      if (link.share_type !== 'file') {
+        return await streamZip(link, req, res);
+      }
+
+      await claimDownload(link);
+
+      // Generate presigned download URL
+      const downloadUrl = await s3Service.getDownloadUrl(storageConfigFor(link), link.s3_key);
+
+      // Track egress against the owning client
+      await query('CALL record_egress(?, ?)', [link.client_id, link.size_bytes]);
+      await alertService.checkClientSafely(link.client_id, ['egress']);
+
+      // Record download history
+      await query(
+        `INSERT INTO download_history (client_id, file_id, file_name, file_size_bytes, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [link.client_id, link.file_id, link.file_name, link.size_bytes, req.ip, req.get('user-agent') || null]
+      );
+
+      await recordAccess(link, req, 'success');
+
+      logger.info(`Shared file accessed: ${link.file_name} via link ${link.id}`);
+
+      res.json({
+        success: true,
+        data: {
+          downloadUrl,
+          fileName: link.file_name,
+          fileSizeBytes: link.size_bytes,
+          expiresIn: 3600
+        }
+      });
+    } catch (error) {
+      if (link && error instanceof AppError) {
+        await recordAccess(link, req, 'denied', error.code);
+      }
+      if (res.headersSent) {
+        logger.error('Shared zip stream failed:', error);
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * List the contents of a folder or multi-file share (public)
+   */
+  async listShareContents(req, res, next) {
+    let link = null;
+
+    try {
+      link = await findLink(req.params.token);
+      await assertLinkAccessible(link, req.body?.password);
+
+      if (link.share_type === 'file') {
+        throw new AppError('Share link is not a folder or multi-file share', 400, 'SHARE_NOT_MULTI_FILE');
+      }
+
+      const files = await getShareFiles(link);
+
+      res.json({
+        success: true,
+        data: {
+          shareType: link.share_type,
+          name: link.file_name || null,
+          totalFiles: files.length,
+          totalSizeBytes: files.reduce((sum, f) => sum + Number(f.size_bytes), 0),
+          files: files.map(f => ({
+            id: f.id,
+            name: f.name,
+            path: f.entryName,
+            sizeBytes: f.size_bytes,
+            mimeType: f.mime_type
+          }))
+        }
+      });
+    } catch (error) {
+      if (link && error instanceof AppError) {
+        await recordAccess(link, req, 'denied', error.code);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Download a single file from a folder or multi-file share (public)
+   */
+  async accessShareItem(req, res, next) {
+    let link = null;
+
+    try {
+      const { fileId } = req.params;
+
+      link = await findLink(req.params.token);
+      await assertLinkAccessible(link, req.body?.password);
+
+      if (link.share_type === 'file') {
+        throw new AppError('Share link is not a folder or multi-file share', 400, 'SHARE_NOT_MULTI_FILE');
+      }
+
+      const files = await getShareFiles(link);
+      const file = files.find(f => f.id === fileId);
+
+      if (!file) {
+        throw new AppError('File not found in share', 404, 'FILE_NOT_FOUND');
+      }
+
+      await claimDownload(link);
+
+      const downloadUrl = await s3Service.getDownloadUrl(storageConfigFor(link), file.s3_key);
+
+      // Track egress against the owning client
+      await query('CALL record_egress(?, ?)', [link.client_id, file.size_bytes]);
+      await alertService.checkClientSafely(link.client_id, ['egress']);
+
+      // Record download history
+      await query(
+        `INSERT INTO download_history (client_id, file_id, file_name, file_size_bytes, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [link.client_id, file.id, file.name, file.size_bytes, req.ip, req.get('user-agent') || null]
+      );
+
+      await recordAccess(link, req, 'success');
+
+      logger.info(`Shared file accessed: ${file.name} via link ${link.id}`);
+
+      res.json({
+        success: true,
+        data: {
+          downloadUrl,
+          fileName: file.name,
+          fileSizeBytes: file.size_bytes,
+          expiresIn: 3600
+        }
+      });
+    } catch (error) {
+      if (link && error instanceof AppError) {
+        await recordAccess(link, req, 'denied', error.code);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * List the caller's shared links
+   */
+  async listShares(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { fileId, status, limit = 50, offset = 0 } = req.query;
+
+      // Get client ID
+      const clients = await query('SELECT id FROM clients WHERE user_id = ?', [userId]);
+
+      if (clients.length === 0) {
+        throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+      }
+
+      let where = 'sl.client_id = ?';
+      const params = [clients[0].id];
+
+      if (fileId) {
+        where += ' AND sl.file_id = ?';
+        params.push(fileId);
+      }
+
+      if (status === 'active') {
+        where += ' AND sl.is_active = TRUE AND sl.expires_at > NOW()';
+      } else if (status === 'inactive') {
+        where += ' AND (sl.is_active = FALSE OR sl.expires_at <= NOW())';
+      }
+
+      const parsedLimit = parseInt(limit);
+      const parsedOffset = parseInt(offset);
+
+      const links = await query(
+        `SELECT sl.*, f.name as file_name
+         FROM shared_links sl
+         LEFT JOIN files f ON sl.file_id = f.id
+         WHERE ${where}
+         ORDER BY sl.created_at DESC
+         LIMIT ${parsedLimit} OFFSET ${parsedOffset}`,
+        params
+      );
+
+      const countResult = await query(
+        `SELECT COUNT(*) as total FROM shared_links sl WHERE ${where}`,
+        params
+      );
+
+      res.json({
+        success: true,
+        data: {
+          shares: links.map(formatShare),
+          total: countResult[0].total,
+          limit: parsedLimit,
+          offset: parsedOffset
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update shared link (expiry, download cap, password, active flag)
+   */
+  async updateShare(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { expiresAt, maxDownloads, password, isActive } = req.body;
+      const userId = req.user.id;
+
+      const links = await query(
+        `SELECT sl.* FROM shared_links sl
+         JOIN clients c ON sl.client_id = c.id
+         WHERE sl.id = ? AND c.user_id = ?`,
+        [id, userId]
+      );
+
+      if (links.length === 0) {
+        throw new AppError('Share link not found', 404, 'SHARE_NOT_FOUND');
+      }
+
+      const updates = [];
+      const params = [];
+      const changes = {};
+
+      if (expiresAt !== undefined) {
+        if (new Date(expiresAt) <= new Date()) {
+          throw new AppError('Expiry must be in the future', 400, 'VALIDATION_ERROR');
+        }
+        updates.push('expires_at = ?');
+        params.push(new Date(expiresAt));
+        changes.expiresAt = expiresAt;
+      }
+
+      if (maxDownloads !== undefined) {
+        updates.push('max_downloads = ?');
+        params.push(maxDownloads);
+        changes.maxDownloads = maxDownloads;
+      }
+
+      if (password !== undefined) {
+        updates.push('password_hash = ?');
+        params.push(password ? await bcrypt.hash(password, 10) : null);
+        changes.passwordProtected = !!password;
+      }
+
+      if (isActive !== undefined) {
+        updates.push('is_active = ?');
+        params.push(isActive);
+        changes.isActive = isActive;
+      }
+
+      if (updates.length === 0) {
+        throw new AppError('No changes provided', 400, 'VALIDATION_ERROR');
+      }
+
+      params.push(id);
+      await query(`UPDATE shared_links SET ${updates.join(', ')} WHERE id = ?`, params);
+
+      // Log activity
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'share_update',
+        details: 'Updated share link',
+        resourceType: 'share',
+        resourceId: id,
+        metadata: changes
+      });
+
+      const updated = await query(
+        `SELECT sl.*, f.name as file_name
+         FROM shared_links sl
+         LEFT JOIN files f ON sl.file_id = f.id
+         WHERE sl.id = ?`,
+        [id]
+      );
+
+      res.json({
+        success: true,
+        message: 'Share link updated successfully',
+        data: formatShare(updated[0])
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke shared link
+   */
+  async revokeShare(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const links = await query(
+        `SELECT sl.id FROM shared_links sl
+         JOIN clients c ON sl.client_id = c.id
+         WHERE sl.id = ? AND c.user_id = ?`,
+        [id, userId]
+      );
+
+      if (links.length === 0) {
+        throw new AppError('Share link not found', 404, 'SHARE_NOT_FOUND');
+      }
+
+      // Keep the row so its access log survives revocation
+      await query('UPDATE shared_links SET is_active = FALSE WHERE id = ?', [id]);
+
+      // Log activity
+      await activityService.logActivity({
+        userId,
+        userName: req.user.name,
+        userRole: req.user.roles[0],
+        action: 'share_revoke',
+        details: 'Revoked share link',
+        resourceType: 'share',
+        resourceId: id
+      });
+
+      logger.info(`Share link revoked: ${id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Share link revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get access log for a shared link
+   */
+  async getAccessLogs(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { limit = 50, offset = 0 } = req.query;
+      const userId = req.user.id;
+
+      const links = await query(
+        `SELECT sl.id FROM shared_links sl
+         JOIN clients c ON sl.client_id = c.id
+         WHERE sl.id = ? AND c.user_id = ?`,
+        [id, userId]
+      );
+
+      if (links.length === 0) {
+        throw new AppError('Share link not found', 404, 'SHARE_NOT_FOUND');
+      }
+
+      const parsedLimit = parseInt(limit);
+      const parsedOffset = parseInt(offset);
+
+      const logs = await query(
+        `SELECT id, status, reason, ip_address, user_agent, accessed_at
+         FROM shared_link_access_logs
+         WHERE shared_link_id = ?
+         ORDER BY accessed_at DESC
+         LIMIT ${parsedLimit} OFFSET ${parsedOffset}`,
+        [id]
+      );
+
+      const countResult = await query(
+        'SELECT COUNT(*) as total FROM shared_link_access_logs WHERE shared_link_id = ?',
+        [id]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          logs: logs.map(l => ({
+            id: l.id,
+            status: l.status,
+            reason: l.reason,
+            ipAddress: l.ip_address,
+            userAgent: l.user_agent,
+            accessedAt: l.accessed_at
+          })),
+          total: countResult[0].total,
+          limit: parsedLimit,
+          offset: parsedOffset
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ShareController();
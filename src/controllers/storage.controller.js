@@ -1,5 +1,7 @@
 import { S3Client, ListObjectsV2Command, ListObjectVersionsCommand } from '@aws-sdk/client-s3';
 import pool from '../config/database.js';
+import snapshotService from '../services/snapshot.service.js';
+import encryptionService from '../services/encryption.service.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -44,10 +46,7 @@ export const getStorageStats = async (req, res) => {
     const s3Client = new S3Client({
       endpoint: storageConfig.endpoint,
       region: storageConfig.region,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key,
-      },
+      credentials: encryptionService.decryptStorageCredentials(storageConfig),
       forcePathStyle: true,
     });
 
@@ -162,3 +161,109 @@ export const getStorageStats = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get daily storage snapshots and month-over-month deltas
+ */
+export const getStorageHistory = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { from, to } = resolveHistoryRange(req.query);
+
+    const [clients] = await pool.query(
+      'SELECT id FROM clients WHERE user_id = ?',
+      [userId]
+    );
+
+    if (clients.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { 
+          code: 'CLIENT_NOT_FOUND', 
+          message: 'Client profile not found' 
+        }
+      });
+    }
+
+    const history = await snapshotService.getHistory(clients[0].id, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...history
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching storage history:', error);
+    res.status(500).json({
+      success: false,
+      error: { 
+        code: 'STORAGE_ERROR', 
+        message: 'Failed to fetch storage history',
+        details: error.message 
+      }
+    });
+  }
+};
+
+/**
+ * Admin: Get storage snapshot history for a specific client
+ */
+export const adminGetStorageHistory = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { from, to } = resolveHistoryRange(req.query);
+
+    const [clients] = await pool.query(
+      'SELECT id FROM clients WHERE id = ?',
+      [clientId]
+    );
+
+    if (clients.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const history = await snapshotService.getHistory(clientId, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        from,
+        to,
+        ...history
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching client storage history:', error);
+    res.status(500).json({
+      success: false,
+      error: { 
+        code: 'STORAGE_ERROR', 
+        message: 'Failed to fetch storage history',
+        details: error.message 
+      }
+    });
+  }
+};
+
+/**
+ * Default to the last 12 months of snapshots
+ */
+const resolveHistoryRange = ({ from, to }) => {
+  const toDate = to || snapshotService.today();
+  let fromDate = from;
+
+  if (!fromDate) {
+    const start = new Date(`${toDate}T00:00:00Z`);
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    fromDate = start.toISOString().slice(0, 10);
+  }
+
+  return { from: fromDate, to: toDate };
+};
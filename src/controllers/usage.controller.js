@@ -0,0 +1,271 @@
+import { query } from '../config/database.js';
+import usageService from '../services/usage.service.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Longest range a single request may cover
+const MAX_RANGE_DAYS = 731;
+
+// Default lookback per granularity when no `from` is given
+const DEFAULT_LOOKBACK_DAYS = { day: 29, week: 83, month: 364 };
+
+/**
+ * Resolve from/to/granularity query params into 'YYYY-MM-DD' bounds
+ */
+function resolveRange({ from, to, granularity = 'day' }) {
+  const end = to ? new Date(`${to}T00:00:00Z`) : new Date();
+  const toDay = end.toISOString().slice(0, 10);
+
+  let fromDay = from;
+  if (!fromDay) {
+    const start = new Date(`${toDay}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - DEFAULT_LOOKBACK_DAYS[granularity]);
+    fromDay = start.toISOString().slice(0, 10);
+  }
+
+  const rangeDays = (new Date(`${toDay}T00:00:00Z`) - new Date(`${fromDay}T00:00:00Z`)) / 86400000;
+
+  if (rangeDays < 0) {
+    throw new AppError('`from` must be on or before `to`', 400, 'VALIDATION_ERROR');
+  }
+
+  if (rangeDays >= MAX_RANGE_DAYS) {
+    throw new AppError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400, 'VALIDATION_ERROR');
+  }
+
+  const next = new Date(`${toDay}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+
+  return {
+    from: fromDay,
+    to: toDay,
+    granularity,
+    // Exclusive DATETIME bounds for SQL
+    fromTs: `${fromDay} 00:00:00`,
+    toTsExclusive: `${next.toISOString().slice(0, 10)} 00:00:00`
+  };
+}
+
+/**
+ * Get the caller's client row
+ */
+async function getClient(userId) {
+  const clients = await query(
+    'SELECT id, storage_used_gb, egress_free_limit_gb FROM clients WHERE user_id = ?',
+    [userId]
+  );
+
+  if (clients.length === 0) {
+    throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+  }
+
+  return clients[0];
+}
+
+class UsageController {
+  /**
+   * Get usage statistics: storage over time, monthly egress, downloads and projected cost
+   */
+  async getStats(req, res, next) {
+    try {
+      const range = resolveRange(req.query);
+      const client = await getClient(req.user.id);
+      const egressFreeLimitGb = parseFloat(client.egress_free_limit_gb);
+
+      // Storage at the start of the range, then daily additions/removals
+      const [baseline] = await query(
+        `SELECT COALESCE(SUM(size_bytes), 0) as total FROM files
+         WHERE client_id = ? AND type = 'file' AND upload_status = 'verified' AND created_at < ?
+           AND (deleted_at IS NULL OR deleted_at >= ?)`,
+        [client.id, range.fromTs, range.fromTs]
+      );
+
+      const added = await query(
+        `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') as day, SUM(size_bytes) as bytes
+         FROM files
+         WHERE client_id = ? AND type = 'file' AND upload_status = 'verified' AND created_at >= ? AND created_at < ?
+         GROUP BY day`,
+        [client.id, range.fromTs, range.toTsExclusive]
+      );
+
+      const removed = await query(
+        `SELECT DATE_FORMAT(deleted_at, '%Y-%m-%d') as day, SUM(size_bytes) as bytes
+         FROM files
+         WHERE client_id = ? AND type = 'file' AND upload_status = 'verified' AND deleted_at >= ? AND deleted_at < ?
+         GROUP BY day`,
+        [client.id, range.fromTs, range.toTsExclusive]
+      );
+
+      const delta = {};
+      added.forEach(r => { delta[r.day] = (delta[r.day] || 0) + Number(r.bytes); });
+      removed.forEach(r => { delta[r.day] = (delta[r.day] || 0) - Number(r.bytes); });
+
+      // Running total per day; a bucket reports storage at its last day
+      const storageByDay = {};
+      const storageByBucket = {};
+      let running = Number(baseline.total);
+      for (const day of usageService.listDays(range.from, range.to)) {
+        running += delta[day] || 0;
+        storageByDay[day] = running;
+        storageByBucket[usageService.bucketKey(day, range.granularity)] = running;
+      }
+
+      // Downloads per day
+      const downloadRows = await query(
+        `SELECT DATE_FORMAT(downloaded_at, '%Y-%m-%d') as day,
+                COUNT(*) as downloads, COALESCE(SUM(file_size_bytes), 0) as bytes
+         FROM download_history
+         WHERE client_id = ? AND downloaded_at >= ? AND downloaded_at < ?
+         GROUP BY day`,
+        [client.id, range.fromTs, range.toTsExclusive]
+      );
+
+      const downloadsByBucket = {};
+      downloadRows.forEach(r => {
+        const key = usageService.bucketKey(r.day, range.granularity);
+        const bucket = downloadsByBucket[key] || (downloadsByBucket[key] = { downloads: 0, bytes: 0 });
+        bucket.downloads += Number(r.downloads);
+        bucket.bytes += Number(r.bytes);
+      });
+
+      const series = usageService.listBuckets(range.from, range.to, range.granularity).map(period => ({
+        period,
+        storageBytes: storageByBucket[period],
+        storageGb: usageService.bytesToGb(storageByBucket[period]),
+        downloads: downloadsByBucket[period]?.downloads || 0,
+        downloadBytes: downloadsByBucket[period]?.bytes || 0
+      }));
+
+      // Egress is tracked per month
+      const months = usageService.listBuckets(range.from, range.to, 'month');
+      const egressRows = await query(
+        `SELECT month_year, egress_used_gb FROM egress_usage
+         WHERE client_id = ? AND month_year >= ? AND month_year <= ?`,
+        [client.id, months[0], months[months.length - 1]]
+      );
+      const egressByMonth = Object.fromEntries(egressRows.map(r => [r.month_year, parseFloat(r.egress_used_gb)]));
+
+      const pricing = await usageService.getPricing();
+
+      const monthly = months.map(month => {
+        const lastDay = Object.keys(storageByDay).filter(day => day.startsWith(month)).pop();
+        const storageGb = usageService.bytesToGb(storageByDay[lastDay]);
+        const egressGb = egressByMonth[month] || 0;
+
+        return {
+          month,
+          storageGb,
+          egressGb,
+          cost: usageService.calculateCost({ storageGb, egressGb, egressFreeLimitGb }, pricing)
+        };
+      });
+
+      // Project the current month from egress so far
+      const now = new Date();
+      const currentMonth = now.toISOString().slice(0, 7);
+      const daysElapsed = now.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+
+      const [currentEgress] = await query(
+        'SELECT COALESCE(SUM(egress_used_gb), 0) as egress FROM egress_usage WHERE client_id = ? AND month_year = ?',
+        [client.id, currentMonth]
+      );
+
+      const egressToDateGb = parseFloat(currentEgress.egress);
+      const projectedEgressGb = (egressToDateGb / daysElapsed) * daysInMonth;
+      const storageGb = parseFloat(client.storage_used_gb);
+
+      res.json({
+        success: true,
+        data: {
+          range: { from: range.from, to: range.to, granularity: range.granularity },
+          series,
+          monthly,
+          projection: {
+            month: currentMonth,
+            daysElapsed,
+            daysInMonth,
+            storageGb,
+            egressToDateGb,
+            projectedEgressGb: parseFloat(projectedEgressGb.toFixed(4)),
+            egressFreeLimitGb,
+            cost: usageService.calculateCost({ storageGb, egressGb: projectedEgressGb, egressFreeLimitGb }, pricing)
+          },
+          pricing
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get download statistics from download history
+   */
+  async getDownloads(req, res, next) {
+    try {
+      const range = resolveRange(req.query);
+      const client = await getClient(req.user.id);
+
+      const rows = await query(
+        `SELECT DATE_FORMAT(downloaded_at, '%Y-%m-%d') as day, status,
+                COUNT(*) as downloads, COALESCE(SUM(file_size_bytes), 0) as bytes
+         FROM download_history
+         WHERE client_id = ? AND downloaded_at >= ? AND downloaded_at < ?
+         GROUP BY day, status`,
+        [client.id, range.fromTs, range.toTsExclusive]
+      );
+
+      const byBucket = {};
+      const totals = { downloads: 0, bytes: 0, failed: 0 };
+      rows.forEach(r => {
+        const key = usageService.bucketKey(r.day, range.granularity);
+        const bucket = byBucket[key] || (byBucket[key] = { downloads: 0, bytes: 0, failed: 0 });
+        const count = Number(r.downloads);
+
+        bucket.downloads += count;
+        bucket.bytes += Number(r.bytes);
+        totals.downloads += count;
+        totals.bytes += Number(r.bytes);
+
+        if (r.status === 'failed') {
+          bucket.failed += count;
+          totals.failed += count;
+        }
+      });
+
+      const topFiles = await query(
+        `SELECT file_id, file_name, COUNT(*) as downloads, COALESCE(SUM(file_size_bytes), 0) as bytes
+         FROM download_history
+         WHERE client_id = ? AND downloaded_at >= ? AND downloaded_at < ?
+         GROUP BY file_id, file_name
+         ORDER BY downloads DESC
+         LIMIT 10`,
+        [client.id, range.fromTs, range.toTsExclusive]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          range: { from: range.from, to: range.to, granularity: range.granularity },
+          totals: { ...totals, gb: usageService.bytesToGb(totals.bytes) },
+          series: usageService.listBuckets(range.from, range.to, range.granularity).map(period => ({
+            period,
+            downloads: byBucket[period]?.downloads || 0,
+            failed: byBucket[period]?.failed || 0,
+            bytes: byBucket[period]?.bytes || 0
+          })),
+          topFiles: topFiles.map(f => ({
+            fileId: f.file_id,
+            fileName: f.file_name,
+            downloads: Number(f.downloads),
+            bytes: Number(f.bytes)
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new UsageController();
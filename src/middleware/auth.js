@@ -1,11 +1,117 @@
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
 import { query } from '../config/database.js';
+import settingsService from '../services/settings.service.js';
+import apiKeyService from '../services/apiKey.service.js';
 import { AppError } from './errorHandler.js';
 
-// Verify JWT token and attach user to request
+// last_seen_at is only rewritten when older than this, to avoid a write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Get the unexpired session a token belongs to (by its jti), or null
+ */
+const findSession = async (decoded) => {
+  if (!decoded.jti) {
+    return null;
+  }
+
+  const sessions = await query(
+    'SELECT * FROM user_sessions WHERE id = ? AND user_id = ? AND expires_at > NOW()',
+    [decoded.jti, decoded.userId]
+  );
+
+  return sessions[0] || null;
+};
+
+/**
+ * Get a user with their roles as an array, or null
+ */
+const findUserWithRoles = async (userId) => {
+  const users = await query(
+    `SELECT u.*, GROUP_CONCAT(ur.role) as roles
+     FROM users u
+     LEFT JOIN user_roles ur ON u.id = ur.user_id
+     WHERE u.id = ?
+     GROUP BY u.id`,
+    [userId]
+  );
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  const user = users[0];
+  user.roles = user.roles ? user.roles.split(',') : [];
+  return user;
+};
+
+/**
+ * API key sent with the request (X-API-Key, or a Bearer credential with the key prefix), or null
+ */
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authHeader = req.headers.authorization;
+  const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+
+  return apiKeyService.isApiKey(bearer) ? bearer : null;
+};
+
+/**
+ * Authenticate a request made with an API key
+ * Only routes that opted in with allowApiKey() accept keys, and only with the scope they require
+ */
+const authenticateApiKey = async (req, key) => {
+  if (!req.apiKeyScope) {
+    throw new AppError('API keys cannot be used for this endpoint', 403, 'API_KEY_NOT_ALLOWED');
+  }
+
+  const apiKey = await apiKeyService.findActiveKey(key);
+
+  if (!apiKey) {
+    throw new AppError('Invalid, expired or revoked API key', 401, 'INVALID_API_KEY');
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    throw new AppError(`This API key does not have the ${req.apiKeyScope} scope`, 403, 'INSUFFICIENT_SCOPE');
+  }
+
+  const user = await findUserWithRoles(apiKey.created_by);
+
+  if (!user) {
+    throw new AppError('User not found', 401, 'USER_NOT_FOUND');
+  }
+
+  await apiKeyService.recordUse(apiKey, user, req);
+
+  req.user = user;
+  req.apiKey = apiKey;
+};
+
+/**
+ * Let the following authenticate accept API keys carrying the given scope
+ * GET and HEAD requests need readScope, everything else writeScope
+ */
+export const allowApiKey = (readScope, writeScope = readScope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = ['GET', 'HEAD'].includes(req.method) ? readScope : writeScope;
+    next();
+  };
+};
+
+// Verify JWT token (or an API key, where allowed) and attach user to request
 export const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getApiKey(req);
+
+    if (apiKey) {
+      await authenticateApiKey(req, apiKey);
+      return next();
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     
@@ -30,35 +136,32 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.jwt.secret);
 
-    // Check if session exists and is valid
-    const sessions = await query(
-      'SELECT * FROM user_sessions WHERE user_id = ? AND expires_at > NOW() LIMIT 1',
-      [decoded.userId]
-    );
+    // Special-purpose tokens (e.g. the 2FA login challenge) are not access tokens
+    if (decoded.purpose) {
+      throw new AppError('Invalid token', 401, 'INVALID_TOKEN');
+    }
+
+    // The token's own session must still exist (not logged out or revoked)
+    const session = await findSession(decoded);
 
-    if (sessions.length === 0) {
+    if (!session) {
       throw new AppError('Session expired or invalid', 401, 'SESSION_INVALID');
     }
 
+    if (!session.last_seen_at || Date.now() - new Date(session.last_seen_at).getTime() > LAST_SEEN_RESOLUTION_MS) {
+      await query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ?', [session.id]);
+    }
+
     // Get user details with roles
-    const users = await query(
-      `SELECT u.*, GROUP_CONCAT(ur.role) as roles
-       FROM users u
-       LEFT JOIN user_roles ur ON u.id = ur.user_id
-       WHERE u.id = ?
-       GROUP BY u.id`,
-      [decoded.userId]
-    );
-
-    if (users.length === 0) {
+    const user = await findUserWithRoles(decoded.userId);
+
+    if (!user) {
       throw new AppError('User not found', 401, 'USER_NOT_FOUND');
     }
 
-    const user = users[0];
-    user.roles = user.roles ? user.roles.split(',') : [];
-
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -100,6 +203,27 @@ export const requireAdmin = authorize('admin');
 // Check if user is client
 export const requireClient = authorize('client');
 
+// Refuse admins without 2FA when the require_2fa_admin setting is on
+export const requireAdminTwoFactor = async (req, res, next) => {
+  try {
+    if (
+      req.user.roles.includes('admin') &&
+      !req.user.totp_enabled &&
+      await settingsService.getBoolean('require_2fa_admin')
+    ) {
+      throw new AppError(
+        'Two-factor authentication must be enabled to use admin features',
+        403,
+        'TWO_FACTOR_REQUIRED'
+      );
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Optional authentication (doesn't fail if no token)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -112,19 +236,17 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, config.jwt.secret);
 
-    const users = await query(
-      `SELECT u.*, GROUP_CONCAT(ur.role) as roles
-       FROM users u
-       LEFT JOIN user_roles ur ON u.id = ur.user_id
-       WHERE u.id = ?
-       GROUP BY u.id`,
-      [decoded.userId]
-    );
-
-    if (users.length > 0) {
-      const user = users[0];
-      user.roles = user.roles ? user.roles.split(',') : [];
+    const session = decoded.purpose ? null : await findSession(decoded);
+
+    if (!session) {
+      return next();
+    }
+
+    const user = await findUserWithRoles(decoded.userId);
+
+    if (user) {
       req.user = user;
+      req.sessionId = session.id;
     }
 
     next();
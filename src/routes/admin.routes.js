@@ -1,5 +1,7 @@
 import express from 'express';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import { authenticate, requireAdmin, requireAdminTwoFactor } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
 import {
   getClients,
   getClientById,
@@ -10,14 +12,19 @@ import {
   getActivityLogs,
   toggleClientStatus,
   resetClientPassword,
+  unlockClientAccount,
+  unlockUserAccount,
   getClientStorageStats
 } from '../controllers/admin.controller.js';
 import { adminBrowseFiles } from '../controllers/browse.controller.js';
+import { adminGetStorageHistory } from '../controllers/storage.controller.js';
+import invoiceController from '../controllers/invoice.controller.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 router.use(requireAdmin);
+router.use(requireAdminTwoFactor);
 
 /**
  * @route   GET /api/v1/admin/clients
@@ -102,6 +109,20 @@ router.patch('/clients/:clientId/activate', async (req, res) => {
  */
 router.post('/clients/:clientId/reset-password', resetClientPassword);
 
+/**
+ * @route   POST /api/v1/admin/clients/:clientId/unlock
+ * @desc    Clear failed logins and lift a login lockout
+ * @access  Private (Admin)
+ */
+router.post('/clients/:clientId/unlock', unlockClientAccount);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/unlock
+ * @desc    Clear failed logins and lift a login lockout for any user (including admins)
+ * @access  Private (Admin)
+ */
+router.post('/users/:userId/unlock', unlockUserAccount);
+
 /**
  * @route   GET /api/v1/admin/clients/:clientId/storage-stats
  * @desc    Get client's S3 storage statistics
@@ -109,6 +130,13 @@ router.post('/clients/:clientId/reset-password', resetClientPassword);
  */
 router.get('/clients/:clientId/storage-stats', getClientStorageStats);
 
+/**
+ * @route   GET /api/v1/admin/clients/:clientId/storage-history
+ * @desc    Get client's daily storage snapshots and month-over-month deltas
+ * @access  Private (Admin)
+ */
+router.get('/clients/:clientId/storage-history', adminGetStorageHistory);
+
 /**
  * @route   GET /api/v1/admin/clients/:clientId/browse
  * @desc    Browse client's S3 files and folders
@@ -116,4 +144,62 @@ router.get('/clients/:clientId/storage-stats', getClientStorageStats);
  */
 router.get('/clients/:clientId/browse', adminBrowseFiles);
 
+/**
+ * @route   GET /api/v1/admin/invoices
+ * @desc    List invoices (filter by clientId, period, status)
+ * @access  Private (Admin)
+ */
+router.get('/invoices', [
+  query('clientId').optional().isUUID(),
+  query('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('period must be YYYY-MM'),
+  query('status').optional().isIn(['issued', 'paid', 'void']),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 }),
+  validate
+], invoiceController.adminListInvoices);
+
+/**
+ * @route   POST /api/v1/admin/invoices/generate
+ * @desc    Generate invoices for a period (defaults to the previous month)
+ * @access  Private (Admin)
+ */
+router.post('/invoices/generate', [
+  body('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('period must be YYYY-MM'),
+  body('clientId').optional().isUUID(),
+  body('regenerate').optional().isBoolean().toBoolean(),
+  validate
+], invoiceController.generateInvoices);
+
+/**
+ * @route   GET /api/v1/admin/invoices/:invoiceId
+ * @desc    Get invoice with line items
+ * @access  Private (Admin)
+ */
+router.get('/invoices/:invoiceId', [
+  param('invoiceId').isUUID(),
+  validate
+], invoiceController.adminGetInvoice);
+
+/**
+ * @route   GET /api/v1/admin/invoices/:invoiceId/export
+ * @desc    Export invoice as JSON, CSV or printable HTML
+ * @access  Private (Admin)
+ */
+router.get('/invoices/:invoiceId/export', [
+  param('invoiceId').isUUID(),
+  query('format').optional().isIn(['json', 'csv', 'html']),
+  validate
+], invoiceController.adminExportInvoice);
+
+/**
+ * @route   PATCH /api/v1/admin/invoices/:invoiceId/status
+ * @desc    Mark invoice as issued, paid or void
+ * @access  Private (Admin)
+ */
+router.patch('/invoices/:invoiceId/status', [
+  param('invoiceId').isUUID(),
+  body('status').isIn(['issued', 'paid', 'void']),
+  validate
+], invoiceController.updateInvoiceStatus);
+
 export default router;
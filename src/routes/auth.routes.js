@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import authController from '../controllers/auth.controller.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
@@ -57,6 +57,91 @@ router.post(
   authController.loginApp
 );
 
+/**
+ * @route   POST /api/v1/auth/app/storage-credentials
+ * @desc    Refresh the desktop app's temporary storage credentials
+ * @access  Private
+ */
+router.post('/app/storage-credentials', authenticate, authController.getAppStorageCredentials);
+
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Complete login with a 2FA code or recovery code
+ * @access  Public
+ */
+router.post(
+  '/login/2fa',
+  authLimiter,
+  [
+    body('challengeToken').notEmpty(),
+    body('code').if(body('recoveryCode').not().exists()).matches(/^\d{6}$/),
+    body('recoveryCode').optional().isString().isLength({ min: 10, max: 20 }),
+    validate
+  ],
+  authController.loginTwoFactor
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/providers
+ * @desc    List single sign-on providers
+ * @access  Public
+ */
+router.get('/oidc/providers', authController.getOidcProviders);
+
+/**
+ * @route   GET /api/v1/auth/oidc/:provider/authorize
+ * @desc    Start single sign-on; returns the identity provider URL
+ * @access  Public
+ */
+router.get(
+  '/oidc/:provider/authorize',
+  authLimiter,
+  [
+    param('provider').matches(/^[a-zA-Z0-9_-]{1,50}$/),
+    query('mode').optional().isIn(['web', 'app']),
+    validate
+  ],
+  authController.startOidcLogin
+);
+
+/**
+ * @route   POST /api/v1/auth/oidc/callback
+ * @desc    Complete single sign-on with the code and state from the provider redirect
+ * @access  Public
+ */
+router.post(
+  '/oidc/callback',
+  authLimiter,
+  [
+    body('code').isString().notEmpty().isLength({ max: 2048 }),
+    body('state').isString().notEmpty().isLength({ max: 128 }),
+    validate
+  ],
+  authController.completeOidcLogin
+);
+
+/**
+ * @route   GET /api/v1/auth/identities
+ * @desc    List linked single sign-on identities
+ * @access  Private
+ */
+router.get('/identities', authenticate, authController.getIdentities);
+
+/**
+ * @route   DELETE /api/v1/auth/identities/:id
+ * @desc    Unlink a single sign-on identity
+ * @access  Private
+ */
+router.delete(
+  '/identities/:id',
+  authenticate,
+  [
+    param('id').isUUID(),
+    validate
+  ],
+  authController.unlinkIdentity
+);
+
 /**
  * @route   POST /api/v1/auth/logout
  * @desc    Logout user
@@ -64,6 +149,28 @@ router.post(
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List active sessions (devices)
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Revoke one session without signing out other devices
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  [
+    param('id').isUUID(),
+    validate
+  ],
+  authController.revokeSession
+);
+
 /**
  * @route   GET /api/v1/auth/profile
  * @desc    Get current user profile
@@ -105,6 +212,140 @@ router.post(
   authController.changePassword
 );
 
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post(
+  '/2fa/setup',
+  authenticate,
+  authLimiter,
+  [
+    body('password').notEmpty(),
+    validate
+  ],
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm 2FA enrollment with a code and get recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  authLimiter,
+  [
+    body('code').matches(/^\d{6}$/),
+    validate
+  ],
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  authLimiter,
+  [
+    body('password').notEmpty(),
+    body('code').if(body('recoveryCode').not().exists()).matches(/^\d{6}$/),
+    body('recoveryCode').optional().isString().isLength({ min: 10, max: 20 }),
+    validate
+  ],
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Regenerate 2FA recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  authLimiter,
+  [
+    body('code').matches(/^\d{6}$/),
+    validate
+  ],
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Verify email address with an emailed token
+ * @access  Public
+ */
+router.post(
+  '/verify-email',
+  authLimiter,
+  [
+    body('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+    validate
+  ],
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/v1/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Public
+ */
+router.post(
+  '/resend-verification',
+  authLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    validate
+  ],
+  authController.resendVerification
+);
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  [
+    body('email').isEmail().normalizeEmail(),
+    validate
+  ],
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Reset password with an emailed token
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  authLimiter,
+  [
+    body('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+    body('newPassword').isLength({ min: 8 }).matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/),
+    validate
+  ],
+  authController.resetPassword
+);
+
 /**
  * @route   POST /api/v1/auth/refresh-token
  * @desc    Refresh access token
@@ -1,17 +1,19 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { allowApiKey, authenticate } from '../middleware/auth.js';
 import { browseFiles, getDownloadUrl, deleteFile } from '../controllers/browse.controller.js';
 
 const router = express.Router();
 
+// API keys need the browse scope to list and download
+
 // GET /api/v1/browse/files?prefix=folder1/subfolder/
-router.get('/files', authenticate, browseFiles);
+router.get('/files', allowApiKey('browse'), authenticate, browseFiles);
 
 // GET/POST /api/v1/browse/download?filePath=path/to/file.pdf or { filePath: "..." }
-router.get('/download', authenticate, getDownloadUrl);
-router.post('/download', authenticate, getDownloadUrl);
+router.get('/download', allowApiKey('browse'), authenticate, getDownloadUrl);
+router.post('/download', allowApiKey('browse'), authenticate, getDownloadUrl);
 
-// POST /api/v1/browse/delete - Delete a file
-router.post('/delete', authenticate, deleteFile);
+// POST /api/v1/browse/delete - Delete a file (API keys need files:write)
+router.post('/delete', allowApiKey('files:write'), authenticate, deleteFile);
 
 export default router;
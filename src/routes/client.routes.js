@@ -1,7 +1,11 @@
 import express from 'express';
+import { body, param, query } from 'express-validator';
 import clientController from '../controllers/client.controller.js';
+import invoiceController from '../controllers/invoice.controller.js';
+import { API_KEY_SCOPES } from '../services/apiKey.service.js';
 import { authenticate, requireClient } from '../middleware/auth.js';
 import { generalLimiter } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validator.js';
 
 const router = express.Router();
 
@@ -45,4 +49,68 @@ router.delete('/alerts/:alertId', clientController.dismissAlert);
  */
 router.get('/downloads', clientController.getDownloads);
 
+/**
+ * @route   GET /api/v1/clients/api-keys
+ * @desc    List API keys
+ * @access  Private (Client)
+ */
+router.get('/api-keys', clientController.getApiKeys);
+
+/**
+ * @route   POST /api/v1/clients/api-keys
+ * @desc    Create API key for a backup agent
+ * @access  Private (Client)
+ */
+router.post('/api-keys', [
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('scopes').isArray({ min: 1 }).withMessage(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`),
+  body('scopes.*').isIn(API_KEY_SCOPES),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 3650 }).toInt(),
+  validate
+], clientController.createApiKey);
+
+/**
+ * @route   DELETE /api/v1/clients/api-keys/:keyId
+ * @desc    Revoke API key
+ * @access  Private (Client)
+ */
+router.delete('/api-keys/:keyId', [
+  param('keyId').isUUID(),
+  validate
+], clientController.revokeApiKey);
+
+/**
+ * @route   GET /api/v1/clients/invoices
+ * @desc    Get invoices
+ * @access  Private (Client)
+ */
+router.get('/invoices', [
+  query('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('period must be YYYY-MM'),
+  query('status').optional().isIn(['issued', 'paid', 'void']),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 }),
+  validate
+], invoiceController.getMyInvoices);
+
+/**
+ * @route   GET /api/v1/clients/invoices/:invoiceId
+ * @desc    Get invoice with line items
+ * @access  Private (Client)
+ */
+router.get('/invoices/:invoiceId', [
+  param('invoiceId').isUUID(),
+  validate
+], invoiceController.getMyInvoice);
+
+/**
+ * @route   GET /api/v1/clients/invoices/:invoiceId/export
+ * @desc    Export invoice as JSON, CSV or printable HTML
+ * @access  Private (Client)
+ */
+router.get('/invoices/:invoiceId/export', [
+  param('invoiceId').isUUID(),
+  query('format').optional().isIn(['json', 'csv', 'html']),
+  validate
+], invoiceController.exportMyInvoice);
+
 export default router;
@@ -1,13 +1,14 @@
 import express from 'express';
-import { body, query as queryValidator } from 'express-validator';
+import { body, param, query as queryValidator } from 'express-validator';
 import fileController from '../controllers/file.controller.js';
-import { authenticate, requireClient } from '../middleware/auth.js';
+import { allowApiKey, authenticate, requireClient } from '../middleware/auth.js';
 import { uploadLimiter, downloadLimiter, generalLimiter } from '../middleware/rateLimiter.js';
 import { validate } from '../middleware/validator.js';
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication; API keys need files:read for GET and files:write otherwise
+router.use(allowApiKey('files:read', 'files:write'));
 router.use(authenticate);
 router.use(requireClient);
 
@@ -28,6 +29,69 @@ router.get(
   fileController.getFiles
 );
 
+/**
+ * @route   GET /api/v1/files/trash
+ * @desc    List items in the trash
+ * @access  Private (Client)
+ */
+router.get(
+  '/trash',
+  generalLimiter,
+  [
+    queryValidator('limit').optional().isInt({ min: 1, max: 100 }),
+    queryValidator('offset').optional().isInt({ min: 0 }),
+    validate
+  ],
+  fileController.getTrash
+);
+
+/**
+ * @route   POST /api/v1/files/trash/restore
+ * @desc    Restore items from the trash
+ * @access  Private (Client)
+ */
+router.post(
+  '/trash/restore',
+  generalLimiter,
+  [
+    body('fileIds').isArray({ min: 1, max: 1000 }),
+    body('fileIds.*').isUUID(),
+    validate
+  ],
+  fileController.restoreFromTrash
+);
+
+/**
+ * @route   DELETE /api/v1/files/trash
+ * @desc    Permanently delete items from the trash (all of them when fileIds is omitted)
+ * @access  Private (Client)
+ */
+router.delete(
+  '/trash',
+  generalLimiter,
+  [
+    body('fileIds').optional().isArray({ max: 1000 }),
+    body('fileIds.*').isUUID(),
+    validate
+  ],
+  fileController.purgeTrash
+);
+
+/**
+ * @route   GET /api/v1/files/operations/:operationId
+ * @desc    Get the status and progress of a move or copy
+ * @access  Private (Client)
+ */
+router.get(
+  '/operations/:operationId',
+  generalLimiter,
+  [
+    param('operationId').isUUID(),
+    validate
+  ],
+  fileController.getFileOperation
+);
+
 /**
  * @route   GET /api/v1/files/:fileId
  * @desc    Get file by ID
@@ -71,7 +135,7 @@ router.post(
 
 /**
  * @route   POST /api/v1/files/:fileId/confirm
- * @desc    Confirm successful upload
+ * @desc    Confirm an upload after checking the object in storage
  * @access  Private (Client)
  */
 router.post(
@@ -84,6 +148,86 @@ router.post(
   fileController.confirmUpload
 );
 
+/**
+ * @route   POST /api/v1/files/multipart
+ * @desc    Start a multipart upload for a large file
+ * @access  Private (Client)
+ */
+router.post(
+  '/multipart',
+  uploadLimiter,
+  [
+    body('fileName').trim().notEmpty().isLength({ max: 500 }),
+    body('fileSize').isInt({ min: 1 }).toInt(),
+    body('mimeType').trim().notEmpty(),
+    body('parentId').optional().isUUID(),
+    validate
+  ],
+  fileController.initiateMultipartUpload
+);
+
+/**
+ * @route   POST /api/v1/files/:fileId/multipart/part-urls
+ * @desc    Get presigned URLs for upload parts
+ * @access  Private (Client)
+ */
+router.post(
+  '/:fileId/multipart/part-urls',
+  generalLimiter,
+  [
+    param('fileId').isUUID(),
+    body('partNumbers').isArray({ min: 1, max: 100 }),
+    body('partNumbers.*').isInt({ min: 1, max: 10000 }).toInt(),
+    validate
+  ],
+  fileController.getMultipartPartUrls
+);
+
+/**
+ * @route   GET /api/v1/files/:fileId/multipart/parts
+ * @desc    List uploaded parts (to resume an interrupted upload)
+ * @access  Private (Client)
+ */
+router.get(
+  '/:fileId/multipart/parts',
+  generalLimiter,
+  [
+    param('fileId').isUUID(),
+    validate
+  ],
+  fileController.listMultipartParts
+);
+
+/**
+ * @route   POST /api/v1/files/:fileId/multipart/complete
+ * @desc    Complete a multipart upload
+ * @access  Private (Client)
+ */
+router.post(
+  '/:fileId/multipart/complete',
+  generalLimiter,
+  [
+    param('fileId').isUUID(),
+    validate
+  ],
+  fileController.completeMultipartUpload
+);
+
+/**
+ * @route   DELETE /api/v1/files/:fileId/multipart
+ * @desc    Abort a multipart upload
+ * @access  Private (Client)
+ */
+router.delete(
+  '/:fileId/multipart',
+  generalLimiter,
+  [
+    param('fileId').isUUID(),
+    validate
+  ],
+  fileController.abortMultipartUpload
+);
+
 /**
  * @route   GET /api/v1/files/:fileId/download-url
  * @desc    Get presigned URL for download
@@ -91,16 +235,97 @@ router.post(
  */
 router.get('/:fileId/download-url', downloadLimiter, fileController.getDownloadUrl);
 
+/**
+ * @route   GET /api/v1/files/:fileId/versions
+ * @desc    List stored versions of a file
+ * @access  Private (Client)
+ */
+router.get(
+  '/:fileId/versions',
+  generalLimiter,
+  [
+    param('fileId').isUUID(),
+    validate
+  ],
+  fileController.getFileVersions
+);
+
+/**
+ * @route   GET /api/v1/files/:fileId/versions/:versionId/download-url
+ * @desc    Get presigned URL for downloading a previous version
+ * @access  Private (Client)
+ */
+router.get(
+  '/:fileId/versions/:versionId/download-url',
+  downloadLimiter,
+  [
+    param('fileId').isUUID(),
+    param('versionId').notEmpty().isLength({ max: 1024 }),
+    validate
+  ],
+  fileController.getVersionDownloadUrl
+);
+
+/**
+ * @route   POST /api/v1/files/:fileId/versions/:versionId/restore
+ * @desc    Make a previous version the current one
+ * @access  Private (Client)
+ */
+router.post(
+  '/:fileId/versions/:versionId/restore',
+  uploadLimiter,
+  [
+    param('fileId').isUUID(),
+    param('versionId').notEmpty().isLength({ max: 1024 }),
+    validate
+  ],
+  fileController.restoreFileVersion
+);
+
+/**
+ * @route   PATCH /api/v1/files/:fileId
+ * @desc    Rename and/or move a file or folder (parentId null moves it to the top level)
+ * @access  Private (Client)
+ */
+router.patch(
+  '/:fileId',
+  generalLimiter,
+  [
+    param('fileId').isUUID(),
+    body('name').optional().trim().notEmpty().isLength({ max: 500 }).not().contains('/'),
+    body('parentId').optional({ values: 'null' }).isUUID(),
+    validate
+  ],
+  fileController.updateFile
+);
+
+/**
+ * @route   POST /api/v1/files/:fileId/copy
+ * @desc    Copy a file or folder (with its contents)
+ * @access  Private (Client)
+ */
+router.post(
+  '/:fileId/copy',
+  uploadLimiter,
+  [
+    param('fileId').isUUID(),
+    body('name').optional().trim().notEmpty().isLength({ max: 500 }).not().contains('/'),
+    body('parentId').optional({ values: 'null' }).isUUID(),
+    validate
+  ],
+  fileController.copyFile
+);
+
 /**
  * @route   DELETE /api/v1/files
- * @desc    Delete file(s)
+ * @desc    Move file(s) to the trash
  * @access  Private (Client)
  */
 router.delete(
   '/',
   generalLimiter,
   [
-    body('fileIds').isArray({ min: 1 }),
+    body('fileIds').isArray({ min: 1, max: 1000 }),
     body('fileIds.*').isUUID(),
     validate
   ],
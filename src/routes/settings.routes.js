@@ -1,27 +1,69 @@
 import express from 'express';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import settingsController from '../controllers/settings.controller.js';
+import { authenticate, requireAdmin, requireAdminTwoFactor } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 router.use(requireAdmin);
+router.use(requireAdminTwoFactor);
 
 /**
  * @route   GET /api/v1/settings
  * @desc    Get system settings
  * @access  Private (Admin)
  */
-router.get('/', (req, res) => {
-  res.json({ success: true, message: 'Get settings - TODO' });
-});
+router.get('/', settingsController.getSettings);
 
 /**
  * @route   PUT /api/v1/settings
  * @desc    Update system settings
  * @access  Private (Admin)
  */
-router.put('/', (req, res) => {
-  res.json({ success: true, message: 'Update settings - TODO' });
-});
+router.put('/', [
+  body().isObject().withMessage('Body must be an object of setting keys to values'),
+  validate
+], settingsController.updateSettings);
+
+/**
+ * @route   GET /api/v1/settings/history
+ * @desc    Get settings change history
+ * @access  Private (Admin)
+ */
+router.get('/history', [
+  query('key').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 }),
+  validate
+], settingsController.getHistory);
+
+/**
+ * @route   POST /api/v1/settings/history/:historyId/rollback
+ * @desc    Restore the value a setting had before this change
+ * @access  Private (Admin)
+ */
+router.post('/history/:historyId/rollback', [
+  param('historyId').isUUID(),
+  validate
+], settingsController.rollbackSetting);
+
+/**
+ * @route   GET /api/v1/settings/:key
+ * @desc    Get a single setting
+ * @access  Private (Admin)
+ */
+router.get('/:key', settingsController.getSetting);
+
+/**
+ * @route   PUT /api/v1/settings/:key
+ * @desc    Update a single setting
+ * @access  Private (Admin)
+ */
+router.put('/:key', [
+  body('value').exists().withMessage('value is required'),
+  validate
+], settingsController.updateSetting);
 
 export default router;
@@ -1,24 +1,158 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { body, param, query as queryValidator } from 'express-validator';
+import shareController from '../controllers/share.controller.js';
+import { authenticate, requireClient } from '../middleware/auth.js';
+import { downloadLimiter, generalLimiter } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validator.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/v1/share/create
  * @desc    Create shared link
- * @access  Private
+ * @access  Private (Client)
  */
-router.post('/create', authenticate, (req, res) => {
-  res.json({ success: true, message: 'Share routes - TODO' });
-});
+router.post(
+  '/create',
+  authenticate,
+  requireClient,
+  generalLimiter,
+  [
+    body('fileId').optional().isUUID(),
+    body('fileIds').optional().isArray({ min: 1, max: 1000 }),
+    body('fileIds.*').isUUID(),
+    body('expiresInHours').optional().isInt({ min: 1, max: 720 }).toInt(),
+    body('maxDownloads').optional().isInt({ min: 1 }).toInt(),
+    body('password').optional().isLength({ min: 4, max: 128 }),
+    body('recipients').optional().isArray({ min: 1, max: 20 }),
+    body('recipients.*').isEmail(),
+    validate
+  ],
+  shareController.createShare
+);
+
+/**
+ * @route   GET /api/v1/share
+ * @desc    List the caller's shared links
+ * @access  Private (Client)
+ */
+router.get(
+  '/',
+  authenticate,
+  requireClient,
+  generalLimiter,
+  [
+    queryValidator('fileId').optional().isUUID(),
+    queryValidator('status').optional().isIn(['active', 'inactive']),
+    queryValidator('limit').optional().isInt({ min: 1, max: 200 }),
+    queryValidator('offset').optional().isInt({ min: 0 }),
+    validate
+  ],
+  shareController.listShares
+);
+
+/**
+ * @route   GET /api/v1/share/:id/access-logs
+ * @desc    Get access log for a shared link
+ * @access  Private (Client)
+ */
+router.get(
+  '/:id/access-logs',
+  authenticate,
+  requireClient,
+  generalLimiter,
+  [
+    param('id').isUUID(),
+    queryValidator('limit').optional().isInt({ min: 1, max: 200 }),
+    queryValidator('offset').optional().isInt({ min: 0 }),
+    validate
+  ],
+  shareController.getAccessLogs
+);
+
+/**
+ * @route   PATCH /api/v1/share/:id
+ * @desc    Update shared link expiry, download cap, password or active flag
+ * @access  Private (Client)
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  requireClient,
+  generalLimiter,
+  [
+    param('id').isUUID(),
+    body('expiresAt').optional().isISO8601(),
+    body('maxDownloads').optional({ values: 'undefined' }).custom(value => value === null || (Number.isInteger(value) && value >= 1)),
+    body('password').optional({ values: 'undefined' }).custom(value => value === null || (typeof value === 'string' && value.length >= 4 && value.length <= 128)),
+    body('isActive').optional().isBoolean().toBoolean(),
+    validate
+  ],
+  shareController.updateShare
+);
+
+/**
+ * @route   DELETE /api/v1/share/:id
+ * @desc    Revoke shared link
+ * @access  Private (Client)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requireClient,
+  generalLimiter,
+  [
+    param('id').isUUID(),
+    validate
+  ],
+  shareController.revokeShare
+);
+
+const tokenRules = [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+  body('password').optional().isString()
+];
+
+/**
+ * @route   GET /api/v1/share/:token/contents
+ * @route   POST /api/v1/share/:token/contents
+ * @desc    List files in a folder or multi-file share (public)
+ * @access  Public
+ */
+router.get('/:token/contents', generalLimiter, [...tokenRules, validate], shareController.listShareContents);
+router.post('/:token/contents', generalLimiter, [...tokenRules, validate], shareController.listShareContents);
+
+/**
+ * @route   GET /api/v1/share/:token/files/:fileId
+ * @route   POST /api/v1/share/:token/files/:fileId
+ * @desc    Download one file from a folder or multi-file share (public)
+ * @access  Public
+ */
+router.get(
+  '/:token/files/:fileId',
+  downloadLimiter,
+  [...tokenRules, param('fileId').isUUID(), validate],
+  shareController.accessShareItem
+);
+router.post(
+  '/:token/files/:fileId',
+  downloadLimiter,
+  [...tokenRules, param('fileId').isUUID(), validate],
+  shareController.accessShareItem
+);
 
 /**
  * @route   GET /api/v1/share/:token
- * @desc    Access shared file (public)
+ * @desc    Access shared file or zip of a folder / multi-file share (public)
+ * @access  Public
+ */
+router.get('/:token', downloadLimiter, [...tokenRules, validate], shareController.accessShare);
+
+/**
+ * @route   POST /api/v1/share/:token
+ * @desc    Access password-protected share (public)
  * @access  Public
  */
-router.get('/:token', (req, res) => {
-  res.json({ success: true, message: 'Share access - TODO' });
-});
+router.post('/:token', downloadLimiter, [...tokenRules, validate], shareController.accessShare);
 
 export default router;
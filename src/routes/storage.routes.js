@@ -1,10 +1,24 @@
 import express from 'express';
+import { query as queryValidator } from 'express-validator';
 import { authenticate } from '../middleware/auth.js';
-import { getStorageStats } from '../controllers/storage.controller.js';
+import { validate } from '../middleware/validator.js';
+import { getStorageStats, getStorageHistory } from '../controllers/storage.controller.js';
 
 const router = express.Router();
 
 // GET /api/v1/storage/stats - Get storage statistics from S3
 router.get('/stats', authenticate, getStorageStats);
 
+// GET /api/v1/storage/history?from=2026-01-01&to=2026-06-30 - Daily snapshots with month-over-month deltas
+router.get(
+  '/history',
+  authenticate,
+  [
+    queryValidator('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    queryValidator('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+    validate
+  ],
+  getStorageHistory
+);
+
 export default router;
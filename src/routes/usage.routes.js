@@ -1,27 +1,35 @@
 import express from 'express';
+import { query as queryValidator } from 'express-validator';
+import usageController from '../controllers/usage.controller.js';
 import { authenticate, requireClient } from '../middleware/auth.js';
+import { generalLimiter } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validator.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 router.use(requireClient);
+router.use(generalLimiter);
+
+const rangeRules = [
+  queryValidator('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  queryValidator('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+  queryValidator('granularity').optional().isIn(['day', 'week', 'month']),
+  validate
+];
 
 /**
  * @route   GET /api/v1/usage/stats
  * @desc    Get usage statistics
  * @access  Private (Client)
  */
-router.get('/stats', (req, res) => {
-  res.json({ success: true, message: 'Usage stats - TODO' });
-});
+router.get('/stats', rangeRules, usageController.getStats);
 
 /**
  * @route   GET /api/v1/usage/downloads
  * @desc    Get download history
  * @access  Private (Client)
  */
-router.get('/downloads', (req, res) => {
-  res.json({ success: true, message: 'Download history - TODO' });
-});
+router.get('/downloads', rangeRules, usageController.getDownloads);
 
 export default router;
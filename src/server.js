@@ -9,6 +9,8 @@ import config from './config/index.js';
 import { testConnection, closePool } from './config/database.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import settingsService from './services/settings.service.js';
+import fileOperationService from './services/fileOperation.service.js';
 
 // Import routes
 import authRoutes from './routes/auth.routes.js';
@@ -68,8 +70,16 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Cron jobs
-// Reset monthly egress on the 1st of each month at 00:00
+// Invoice the previous month, then reset monthly egress on the 1st of each month at 00:00
 cron.schedule('0 0 1 * *', async () => {
+  try {
+    logger.info('Running monthly invoice generation');
+    const { default: invoiceService } = await import('./services/invoice.service.js');
+    await invoiceService.generateInvoices();
+  } catch (error) {
+    logger.error('Monthly invoice generation failed:', error);
+  }
+
   try {
     logger.info('Running monthly egress reset cron job');
     const { query } = await import('./config/database.js');
@@ -80,6 +90,56 @@ cron.schedule('0 0 1 * *', async () => {
   }
 });
 
+// Record daily storage snapshots at 01:00
+cron.schedule('0 1 * * *', async () => {
+  try {
+    logger.info('Running daily storage snapshot cron job');
+    const { default: snapshotService } = await import('./services/snapshot.service.js');
+    const result = await snapshotService.takeDailySnapshots();
+    logger.info(`Storage snapshots recorded: ${result.recorded} ok, ${result.failed} failed`);
+  } catch (error) {
+    logger.error('Storage snapshot job failed:', error);
+  }
+});
+
+// Deliver queued emails (and retry failed ones) every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    const { default: mailService } = await import('./services/mail.service.js');
+    const result = await mailService.processOutbox();
+    if (result.sent > 0 || result.failed > 0) {
+      logger.info(`Email outbox: ${result.sent} sent, ${result.failed} failed`);
+    }
+  } catch (error) {
+    logger.error('Email outbox job failed:', error);
+  }
+});
+
+// Verify unconfirmed uploads and expire abandoned ones every hour
+cron.schedule('15 * * * *', async () => {
+  try {
+    const { default: uploadService } = await import('./services/upload.service.js');
+    const result = await uploadService.reconcileUploads();
+    if (result.verified > 0 || result.failed > 0 || result.removed > 0 || result.errors > 0) {
+      logger.info(`Upload reconciliation: ${result.verified} verified, ${result.failed} failed (${result.aborted} multipart aborted), ${result.removed} failed removed, ${result.errors} errors`);
+    }
+  } catch (error) {
+    logger.error('Upload reconciliation job failed:', error);
+  }
+});
+
+// Purge items past the trash retention period daily at 03:00
+cron.schedule('0 3 * * *', async () => {
+  try {
+    logger.info('Running trash purge cron job');
+    const { default: trashService } = await import('./services/trash.service.js');
+    const result = await trashService.purgeExpired();
+    logger.info(`Trash purge: ${result.purgedItems} items (${result.deletedObjects} objects) older than ${result.retentionDays} days, ${result.failed} clients failed`);
+  } catch (error) {
+    logger.error('Trash purge failed:', error);
+  }
+});
+
 // Clean up expired sessions daily at 02:00
 cron.schedule('0 2 * * *', async () => {
   try {
@@ -101,6 +161,16 @@ async function startServer() {
       throw new Error('Database connection failed');
     }
 
+    // Warm the settings cache and keep it fresh
+    await settingsService.reload();
+    settingsService.startAutoRefresh();
+
+    // Moves and copies run in this process; any left unfinished by the last one never completed
+    const interrupted = await fileOperationService.failInterrupted();
+    if (interrupted > 0) {
+      logger.warn(`Marked ${interrupted} interrupted file operation(s) as failed`);
+    }
+
     // Start listening
     const server = app.listen(config.port, () => {
       logger.info(`🚀 TrueBackup Backend Server Started`);
@@ -114,6 +184,8 @@ async function startServer() {
     const shutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
       
+      settingsService.stopAutoRefresh();
+
       server.close(async () => {
         logger.info('HTTP server closed');
         await closePool();
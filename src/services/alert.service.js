@@ -0,0 +1,185 @@
+import { query } from '../config/database.js';
+import settingsService from './settings.service.js';
+import mailService from './mail.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Per-metric alert configuration
+ * Thresholds below 100% raise the warning type, 100% and above the limit type
+ */
+const METRICS = {
+  storage: {
+    settingKey: 'storage_alert_thresholds',
+    overrideColumn: 'storage_alert_thresholds',
+    warningType: 'storage_warning',
+    limitType: 'storage_limit',
+    warningMessage: percent => `You have used ${percent}% of your storage quota`,
+    limitMessage: percent => percent === 100
+      ? 'You have reached your storage quota!'
+      : `You have used ${percent}% of your storage quota!`
+  },
+  egress: {
+    settingKey: 'egress_alert_thresholds',
+    overrideColumn: 'egress_alert_thresholds',
+    warningType: 'egress_warning',
+    limitType: 'egress_limit',
+    warningMessage: percent => `You have used ${percent}% of your free egress limit`,
+    limitMessage: percent => percent === 100
+      ? 'You have exceeded your free egress limit!'
+      : `You have used ${percent}% of your free egress limit!`
+  }
+};
+
+const DEFAULT_THRESHOLDS = [80, 90, 100];
+
+class AlertService {
+  /**
+   * Current month as 'YYYY-MM' in database time, matching egress_usage.month_year
+   */
+  async currentPeriod() {
+    const [row] = await query("SELECT DATE_FORMAT(NOW(), '%Y-%m') as period");
+    return row.period;
+  }
+
+  /**
+   * Thresholds for a metric: the client's override if set, otherwise the system setting
+   */
+  async getThresholds(client, metric) {
+    const { settingKey, overrideColumn } = METRICS[metric];
+    let thresholds = client[overrideColumn];
+
+    if (typeof thresholds === 'string') {
+      try {
+        thresholds = JSON.parse(thresholds);
+      } catch (error) {
+        logger.warn(`Invalid ${overrideColumn} override for client ${client.id}`);
+        thresholds = null;
+      }
+    }
+
+    if (!Array.isArray(thresholds) || thresholds.length === 0) {
+      thresholds = await settingsService.getJson(settingKey, DEFAULT_THRESHOLDS);
+    }
+
+    return thresholds.map(Number).filter(t => Number.isFinite(t) && t > 0).sort((a, b) => a - b);
+  }
+
+  /**
+   * Raise alerts for newly crossed thresholds and clear alerts whose threshold
+   * usage has dropped back below. Only one active alert exists per threshold and period.
+   */
+  async evaluate(client, metric, usedPercent, period) {
+    const config = METRICS[metric];
+    const thresholds = await this.getThresholds(client, metric);
+
+    const active = await query(
+      `SELECT id, threshold_percent, period FROM alerts
+       WHERE client_id = ? AND alert_type IN (?, ?) AND active_marker = 1`,
+      [client.id, config.warningType, config.limitType]
+    );
+
+    // Clear alerts that no longer apply: usage fell below, the threshold was removed, or the period ended
+    const stale = active.filter(alert =>
+      alert.period !== period ||
+      !thresholds.includes(alert.threshold_percent) ||
+      usedPercent < alert.threshold_percent
+    );
+
+    if (stale.length > 0) {
+      await query(
+        `UPDATE alerts SET active_marker = NULL, cleared_at = NOW()
+         WHERE id IN (${stale.map(() => '?').join(', ')})`,
+        stale.map(alert => alert.id)
+      );
+    }
+
+    const raised = [];
+
+    for (const threshold of thresholds) {
+      if (usedPercent < threshold) continue;
+
+      const isLimit = threshold >= 100;
+      const alert = {
+        alertType: isLimit ? config.limitType : config.warningType,
+        message: isLimit ? config.limitMessage(threshold) : config.warningMessage(threshold),
+        thresholdPercent: threshold
+      };
+
+      // INSERT IGNORE relies on unique_active_alert so concurrent checks raise one alert
+      const result = await query(
+        `INSERT IGNORE INTO alerts (client_id, alert_type, message, threshold_percent, period)
+         VALUES (?, ?, ?, ?, ?)`,
+        [client.id, alert.alertType, alert.message, threshold, period]
+      );
+
+      if (result.affectedRows > 0) {
+        raised.push(alert);
+      }
+    }
+
+    if (raised.length > 0) {
+      logger.info(`Raised ${metric} alert(s) at ${raised.map(a => a.thresholdPercent).join(', ')}% for client ${client.id}`);
+
+      // One email for the highest threshold crossed, even if usage jumped past several
+      await mailService.enqueue('threshold_alert', client.email, {
+        name: client.name,
+        ...raised[raised.length - 1]
+      });
+    }
+
+    return { raised: raised.map(a => a.thresholdPercent), cleared: stale.length };
+  }
+
+  /**
+   * Evaluate storage and/or egress alerts for a client
+   */
+  async checkClient(clientId, metrics = ['storage', 'egress']) {
+    const period = await this.currentPeriod();
+
+    const clients = await query(
+      `SELECT c.id, c.name, c.email, c.storage_used_gb, c.storage_quota_gb, c.egress_free_limit_gb,
+              c.storage_alert_thresholds, c.egress_alert_thresholds,
+              COALESCE(e.egress_used_gb, 0) as egress_used_gb
+       FROM clients c
+       LEFT JOIN egress_usage e ON c.id = e.client_id AND e.month_year = ?
+       WHERE c.id = ?`,
+      [period, clientId]
+    );
+
+    if (clients.length === 0) {
+      return null;
+    }
+
+    const client = clients[0];
+    const percentOf = (used, limit) => (parseFloat(limit) > 0 ? (parseFloat(used) / parseFloat(limit)) * 100 : 0);
+    const results = {};
+
+    if (metrics.includes('storage')) {
+      results.storage = await this.evaluate(
+        client, 'storage', percentOf(client.storage_used_gb, client.storage_quota_gb), ''
+      );
+    }
+
+    if (metrics.includes('egress')) {
+      results.egress = await this.evaluate(
+        client, 'egress', percentOf(client.egress_used_gb, client.egress_free_limit_gb), period
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Run checkClient without letting alert failures break the calling request
+   */
+  async checkClientSafely(clientId, metrics) {
+    try {
+      return await this.checkClient(clientId, metrics);
+    } catch (error) {
+      logger.error(`Alert check failed for client ${clientId}:`, error);
+      return null;
+    }
+  }
+}
+
+export default new AlertService();
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import activityService from './activity.service.js';
+
+// Keys look like tbk_<43 base64url chars>; the prefix makes them recognizable in headers and secret scanners
+export const API_KEY_PREFIX = 'tbk_';
+export const API_KEY_SCOPES = ['files:read', 'files:write', 'browse'];
+
+export const MAX_API_KEYS_PER_CLIENT = 25;
+
+// Characters of the key kept in clear so users can tell their keys apart
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// last_used_at is only rewritten when older than this, to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * SHA-256 hex digest used to store and look up keys
+ * Keys are 256-bit random values, so a fast hash is sufficient
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyService {
+  /**
+   * Whether a bearer credential looks like an API key rather than a JWT
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Shape an api_keys row for API responses (never includes the hash)
+   */
+  formatKey(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      scopes: row.scopes,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      lastUsedIp: row.last_used_ip,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at,
+      status: row.revoked_at
+        ? 'revoked'
+        : row.expires_at && new Date(row.expires_at) <= new Date() ? 'expired' : 'active'
+    };
+  }
+
+  /**
+   * Create a key for a client
+   * Returns { key, apiKey } (the plain key is only available here),
+   * or null when the client already has MAX_API_KEYS_PER_CLIENT active keys
+   */
+  async create({ clientId, userId, name, scopes, expiresInDays = null }) {
+    const [{ active }] = await query(
+      `SELECT COUNT(*) as active FROM api_keys
+       WHERE client_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [clientId]
+    );
+
+    if (active >= MAX_API_KEYS_PER_CLIENT) {
+      return null;
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const id = uuidv4();
+
+    await query(
+      `INSERT INTO api_keys (id, client_id, created_by, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))`,
+      [
+        id,
+        clientId,
+        userId,
+        name,
+        key.slice(0, DISPLAY_PREFIX_LENGTH),
+        hashKey(key),
+        JSON.stringify([...new Set(scopes)]),
+        expiresInDays,
+        expiresInDays
+      ]
+    );
+
+    const [row] = await query('SELECT * FROM api_keys WHERE id = ?', [id]);
+
+    return { key, apiKey: this.formatKey(row) };
+  }
+
+  /**
+   * List a client's keys, newest first
+   */
+  async list(clientId) {
+    const rows = await query(
+      'SELECT * FROM api_keys WHERE client_id = ? ORDER BY created_at DESC',
+      [clientId]
+    );
+
+    return rows.map(row => this.formatKey(row));
+  }
+
+  /**
+   * Revoke a client's key; returns the key, or null when it doesn't exist
+   */
+  async revoke(clientId, keyId) {
+    const rows = await query('SELECT * FROM api_keys WHERE id = ? AND client_id = ?', [keyId, clientId]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    await query('UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [keyId]);
+
+    const [row] = await query('SELECT * FROM api_keys WHERE id = ?', [keyId]);
+    return this.formatKey(row);
+  }
+
+  /**
+   * Find the unrevoked, unexpired key matching a plain key, or null
+   */
+  async findActiveKey(key) {
+    const rows = await query(
+      `SELECT * FROM api_keys
+       WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [hashKey(key)]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Record a request made with a key: last-used details and an activity log entry
+   */
+  async recordUse(apiKey, user, req) {
+    if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+      await query(
+        'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?',
+        [req.ip || null, apiKey.id]
+      );
+    }
+
+    await activityService.logActivity({
+      userId: user.id,
+      userName: user.name,
+      userRole: 'client',
+      action: 'api_key_used',
+      details: `API key "${apiKey.name}" used for ${req.method} ${req.originalUrl.split('?')[0]}`,
+      resourceType: 'api_key',
+      resourceId: apiKey.id,
+      metadata: { keyPrefix: apiKey.key_prefix, scope: req.apiKeyScope },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+}
+
+export default new ApiKeyService();
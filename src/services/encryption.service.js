@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Derive a 256-bit key-encryption key from a configured secret
+ */
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * AES-256-GCM encrypt; output is base64(iv | tag | ciphertext)
+ * aad binds the ciphertext to where it is stored (e.g. the column name)
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Reverse of seal(); throws if the data or aad was tampered with
+ */
+function open(key, sealed, aad) {
+  const buffer = Buffer.from(sealed, 'base64');
+  const iv = buffer.subarray(0, IV_LENGTH);
+  const tag = buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = buffer.subarray(IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Envelope encryption for secrets stored in the database
+ *
+ * Each row gets its own random data key that encrypts the row's secret columns.
+ * The data key is stored wrapped (encrypted) with the versioned key-encryption key
+ * from ENCRYPTION_KEY. Rotating ENCRYPTION_KEY only re-wraps data keys; rows wrapped
+ * with a previous version stay readable while ENCRYPTION_PREVIOUS_KEYS lists it.
+ */
+class EncryptionService {
+  constructor() {
+    this.keys = null;
+  }
+
+  /**
+   * Key-encryption keys by version, loaded on first use
+   */
+  getKeys() {
+    if (!this.keys) {
+      const keys = new Map();
+
+      for (const entry of config.encryption.previousKeys.split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const version = parseInt(entry.slice(0, separator), 10);
+
+        if (separator === -1 || !Number.isInteger(version)) {
+          throw new Error('ENCRYPTION_PREVIOUS_KEYS must be a comma-separated list of version:key pairs');
+        }
+
+        keys.set(version, deriveKey(entry.slice(separator + 1)));
+      }
+
+      if (config.encryption.key) {
+        keys.set(config.encryption.keyVersion, deriveKey(config.encryption.key));
+      }
+
+      this.keys = keys;
+    }
+
+    return this.keys;
+  }
+
+  /**
+   * Key-encryption key for a version
+   */
+  getKey(version) {
+    const key = this.getKeys().get(version);
+
+    if (!key) {
+      throw new Error(`Encryption key version ${version} is not configured`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Version new data keys are wrapped with
+   */
+  get activeVersion() {
+    if (!config.encryption.key) {
+      throw new Error('ENCRYPTION_KEY is not configured');
+    }
+
+    return config.encryption.keyVersion;
+  }
+
+  /**
+   * Encrypt several named values under one new data key
+   * Returns { dataKey, keyVersion, values } with values keyed like the input
+   */
+  encryptValues(values) {
+    const keyVersion = this.activeVersion;
+    const dataKey = crypto.randomBytes(32);
+    const encrypted = {};
+
+    for (const [name, value] of Object.entries(values)) {
+      encrypted[name] = seal(dataKey, String(value), name);
+    }
+
+    return {
+      dataKey: seal(this.getKey(keyVersion), dataKey, `data_key:v${keyVersion}`),
+      keyVersion,
+      values: encrypted
+    };
+  }
+
+  /**
+   * Decrypt named values encrypted by encryptValues()
+   */
+  decryptValues(values, dataKey, keyVersion) {
+    const key = open(this.getKey(keyVersion), dataKey, `data_key:v${keyVersion}`);
+    const decrypted = {};
+
+    for (const [name, value] of Object.entries(values)) {
+      decrypted[name] = open(key, value, name).toString('utf8');
+    }
+
+    return decrypted;
+  }
+
+  /**
+   * Re-wrap a data key with the active key-encryption key (the encrypted values don't change)
+   */
+  rewrapDataKey(dataKey, keyVersion) {
+    const activeVersion = this.activeVersion;
+    const key = open(this.getKey(keyVersion), dataKey, `data_key:v${keyVersion}`);
+
+    return {
+      dataKey: seal(this.getKey(activeVersion), key, `data_key:v${activeVersion}`),
+      keyVersion: activeVersion
+    };
+  }
+
+  /**
+   * Encrypt S3 credentials into client_storage_config column values
+   */
+  encryptStorageCredentials(accessKeyId, secretAccessKey) {
+    const { dataKey, keyVersion, values } = this.encryptValues({
+      access_key_id: accessKeyId,
+      secret_access_key: secretAccessKey
+    });
+
+    return {
+      access_key_id: values.access_key_id,
+      secret_access_key: values.secret_access_key,
+      data_key: dataKey,
+      key_version: keyVersion
+    };
+  }
+
+  /**
+   * Plaintext S3 credentials from a client_storage_config row
+   * Rows without a data key are legacy plaintext (not yet migrated) and pass through
+   */
+  decryptStorageCredentials(storageConfig) {
+    if (!storageConfig.data_key) {
+      return {
+        accessKeyId: storageConfig.access_key_id,
+        secretAccessKey: storageConfig.secret_access_key
+      };
+    }
+
+    const { access_key_id, secret_access_key } = this.decryptValues(
+      {
+        access_key_id: storageConfig.access_key_id,
+        secret_access_key: storageConfig.secret_access_key
+      },
+      storageConfig.data_key,
+      storageConfig.key_version
+    );
+
+    return { accessKeyId: access_key_id, secretAccessKey: secret_access_key };
+  }
+}
+
+export default new EncryptionService();
@@ -0,0 +1,490 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query, transaction } from '../config/database.js';
+import s3Service from './s3.service.js';
+import activityService from './activity.service.js';
+import alertService from './alert.service.js';
+import logger from '../utils/logger.js';
+
+// Operations this small finish within the request; larger ones run in the background
+const INLINE_MAX_FILES = 20;
+const INLINE_MAX_BYTES = 1024 * 1024 * 1024;
+
+// Minimum time between progress writes
+const PROGRESS_INTERVAL_MS = 1000;
+
+const S3_DELETE_BATCH_SIZE = 100;
+
+// A file or folder and everything below it, parents before their contents
+const SUBTREE_SQL = `
+  WITH RECURSIVE tree AS (
+    SELECT id, 0 as depth FROM files WHERE id = ? AND deleted_at IS NULL
+    UNION ALL
+    SELECT f.id, t.depth + 1 FROM files f
+    JOIN tree t ON f.parent_id = t.id
+    WHERE f.deleted_at IS NULL
+  )
+  SELECT f.*, t.depth FROM tree t
+  JOIN files f ON f.id = t.id
+  ORDER BY t.depth ASC`;
+
+/**
+ * Paths for a subtree placed at rootPath (rows ordered parents first); Map of id -> path
+ */
+function placeSubtree(rows, rootPath) {
+  const paths = new Map();
+
+  for (const row of rows) {
+    paths.set(row.id, row.depth === 0 ? rootPath : `${paths.get(row.parent_id)}/${row.name}`);
+  }
+
+  return paths;
+}
+
+/**
+ * Whether a row's object is moved or copied along with it
+ */
+function hasStoredObject(row) {
+  return row.type === 'file' && row.s3_key && row.upload_status === 'verified';
+}
+
+/**
+ * Keys among the given ones that a live or trashed file still points to
+ */
+async function findKeysInUse(clientId, keys) {
+  if (keys.length === 0) return new Set();
+
+  const rows = await query(
+    `SELECT DISTINCT s3_key FROM files
+     WHERE client_id = ? AND s3_key IN (${keys.map(() => '?').join(', ')})
+       AND (deleted_at IS NULL OR (trash_root_id IS NOT NULL AND purged_at IS NULL))`,
+    [clientId, ...keys]
+  );
+
+  return new Set(rows.map(row => row.s3_key));
+}
+
+/**
+ * Best-effort removal of objects (copies left by a failed operation, or old keys after a move)
+ */
+async function deleteObjects(storageConfig, keys) {
+  for (let i = 0; i < keys.length; i += S3_DELETE_BATCH_SIZE) {
+    try {
+      await s3Service.deleteFiles(storageConfig, keys.slice(i, i + S3_DELETE_BATCH_SIZE));
+    } catch (error) {
+      logger.error('Could not remove objects after a file operation:', error);
+    }
+  }
+}
+
+/**
+ * Move/rename and copy of files and folders with their contents
+ *
+ * Objects are copied server-side to keys matching the new paths first; the database is
+ * only changed (in one transaction) once every copy succeeded, so a failed operation
+ * leaves the files as they were. Progress is stored in file_operations.
+ */
+class FileOperationService {
+  /**
+   * A live file or folder with everything below it, parents first (empty when it doesn't exist)
+   */
+  async getSubtree(fileId) {
+    return query(SUBTREE_SQL, [fileId]);
+  }
+
+  /**
+   * The rows of a subtree that a copy includes: folders, and files whose upload is verified
+   */
+  copyableRows(rows) {
+    return rows.filter(row => row.type === 'folder' || hasStoredObject(row));
+  }
+
+  /**
+   * Item count and the bytes that have to be copied for a subtree
+   */
+  summarize(rows) {
+    const files = rows.filter(hasStoredObject);
+
+    return {
+      totalItems: rows.length,
+      fileCount: files.length,
+      totalBytes: files.reduce((sum, row) => sum + Number(row.size_bytes), 0)
+    };
+  }
+
+  /**
+   * Keys the stored objects of a subtree are written to when it's placed at targetPath
+   */
+  targetKeys(storageConfig, rows, targetPath) {
+    const paths = placeSubtree(rows, targetPath);
+    const keys = [];
+
+    for (const row of rows.filter(hasStoredObject)) {
+      const key = s3Service.generateS3Key(storageConfig.bucket_prefix, paths.get(row.id));
+      if (key !== row.s3_key) keys.push(key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Whether an operation of this size is run within the request
+   */
+  isInline({ fileCount, totalBytes }) {
+    return fileCount <= INLINE_MAX_FILES && totalBytes <= INLINE_MAX_BYTES;
+  }
+
+  /**
+   * Record a new operation; returns null while another one of the client's operations is unfinished
+   */
+  async create({ clientId, userId, operation, fileId, targetParentId, targetName, totalItems, totalBytes }) {
+    const id = uuidv4();
+
+    const result = await query(
+      `INSERT INTO file_operations
+         (id, client_id, user_id, operation, file_id, target_parent_id, target_name, total_items, total_bytes)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?
+       FROM DUAL
+       WHERE NOT EXISTS (
+         SELECT 1 FROM file_operations WHERE client_id = ? AND status IN ('pending', 'running')
+       )`,
+      [id, clientId, userId, operation, fileId, targetParentId, targetName, totalItems, totalBytes, clientId]
+    );
+
+    return result.affectedRows > 0 ? this.get(id, clientId) : null;
+  }
+
+  /**
+   * Get one of a client's operations, or null
+   */
+  async get(operationId, clientId) {
+    const rows = await query(
+      'SELECT * FROM file_operations WHERE id = ? AND client_id = ?',
+      [operationId, clientId]
+    );
+
+    return rows.length > 0 ? this.formatOperation(rows[0]) : null;
+  }
+
+  /**
+   * Format an operation row for API responses
+   */
+  formatOperation(row) {
+    const totalBytes = Number(row.total_bytes);
+    const percent = totalBytes > 0
+      ? Math.floor((Number(row.processed_bytes) / totalBytes) * 100)
+      : (row.total_items > 0 ? Math.floor((row.processed_items / row.total_items) * 100) : 100);
+
+    return {
+      id: row.id,
+      operation: row.operation,
+      fileId: row.file_id,
+      targetParentId: row.target_parent_id,
+      targetName: row.target_name,
+      status: row.status,
+      progress: {
+        totalItems: row.total_items,
+        processedItems: row.processed_items,
+        totalBytes,
+        processedBytes: Number(row.processed_bytes),
+        percent: row.status === 'completed' ? 100 : Math.min(percent, 99)
+      },
+      resultFileId: row.result_file_id,
+      error: row.error_message,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  /**
+   * Run a recorded operation to the end; never throws (failures are stored on the operation)
+   * context: { operation, clientId, storageConfig, root, rows, targetParentId, targetName, targetPath, actor }
+   * Returns the finished operation
+   */
+  async run(operationId, context) {
+    await query(
+      "UPDATE file_operations SET status = 'running', started_at = NOW() WHERE id = ?",
+      [operationId]
+    );
+
+    try {
+      const resultFileId = context.operation === 'copy'
+        ? await this.copy(operationId, context)
+        : await this.move(operationId, context);
+
+      await query(
+        `UPDATE file_operations
+         SET status = 'completed', processed_items = total_items, processed_bytes = total_bytes,
+             target_keys = NULL, result_file_id = ?, completed_at = NOW()
+         WHERE id = ?`,
+        [resultFileId, operationId]
+      );
+
+      await activityService.logActivity({
+        ...context.actor,
+        action: context.operation === 'copy' ? 'file_copy' : 'file_move',
+        details: context.operation === 'copy'
+          ? `Copied ${context.root.path} to ${context.targetPath}`
+          : `Moved ${context.root.path} to ${context.targetPath}`,
+        resourceType: context.root.type,
+        resourceId: resultFileId,
+        metadata: { operationId, items: context.rows.length }
+      });
+
+      logger.info(`File ${context.operation} ${operationId} completed: ${context.root.path} -> ${context.targetPath}`);
+    } catch (error) {
+      logger.error(`File ${context.operation} ${operationId} failed:`, error);
+
+      await query(
+        "UPDATE file_operations SET status = 'failed', target_keys = NULL, error_message = ?, completed_at = NOW() WHERE id = ?",
+        [error.message, operationId]
+      ).catch(updateError => logger.error('Could not record failed file operation:', updateError));
+    }
+
+    return this.get(operationId, context.clientId);
+  }
+
+  /**
+   * Store progress, at most once per PROGRESS_INTERVAL_MS unless forced
+   */
+  async updateProgress(operationId, tracker, force = false) {
+    if (!force && Date.now() - tracker.writtenAt < PROGRESS_INTERVAL_MS) return;
+
+    tracker.writtenAt = Date.now();
+    await query(
+      'UPDATE file_operations SET processed_items = ?, processed_bytes = ? WHERE id = ?',
+      [tracker.items, tracker.bytes, operationId]
+    );
+  }
+
+  /**
+   * Copy each item's object to the key for its new path, calling onCopied(row, newKey, etag)
+   * Objects copied so far are removed again when a copy fails; the keys are recorded on the
+   * operation first, so failInterrupted can remove them when the server stops halfway
+   */
+  async copyObjects(operationId, { storageConfig, rows }, newPaths, onCopied) {
+    const tracker = { items: 0, bytes: 0, writtenAt: 0 };
+    const copiedKeys = [];
+
+    const targetKeys = rows
+      .filter(hasStoredObject)
+      .map(row => [row, s3Service.generateS3Key(storageConfig.bucket_prefix, newPaths.get(row.id))])
+      .filter(([row, key]) => key !== row.s3_key)
+      .map(([, key]) => key);
+    await query('UPDATE file_operations SET target_keys = ? WHERE id = ?', [JSON.stringify(targetKeys), operationId]);
+
+    try {
+      for (const row of rows) {
+        if (hasStoredObject(row)) {
+          const newKey = s3Service.generateS3Key(storageConfig.bucket_prefix, newPaths.get(row.id));
+
+          if (newKey !== row.s3_key) {
+            const copy = await s3Service.copyObject(storageConfig, row.s3_key, newKey, Number(row.size_bytes));
+            copiedKeys.push(newKey);
+            onCopied(row, newKey, copy.etag);
+          }
+
+          tracker.bytes += Number(row.size_bytes);
+        }
+
+        tracker.items++;
+        await this.updateProgress(operationId, tracker);
+      }
+
+      await this.updateProgress(operationId, tracker, true);
+      return copiedKeys;
+    } catch (error) {
+      await deleteObjects(storageConfig, copiedKeys);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename and/or move an item; returns its id
+   */
+  async move(operationId, context) {
+    const { clientId, storageConfig, root, rows, targetParentId, targetName, targetPath } = context;
+
+    const movedKeys = new Map();
+    const copiedKeys = await this.copyObjects(operationId, context, placeSubtree(rows, targetPath), (row, newKey) => {
+      movedKeys.set(row.id, { oldKey: row.s3_key, newKey });
+    });
+
+    try {
+      await transaction(async (conn) => {
+        // Lock the subtree as it is now; its objects were copied for the rows read at the start
+        const [current] = await conn.execute(`${SUBTREE_SQL} FOR UPDATE`, [root.id]);
+
+        if (current.length === 0) {
+          throw new Error('The item was deleted while it was being moved');
+        }
+
+        const original = new Map(rows.map(row => [row.id, row]));
+        const changed = current.length !== rows.length || current.some(row =>
+          !original.has(row.id) ||
+          row.s3_key !== original.get(row.id).s3_key ||
+          row.upload_status !== original.get(row.id).upload_status
+        );
+
+        if (changed) {
+          throw new Error('Files were added, removed or uploaded in the item while it was being moved');
+        }
+
+        const [taken] = await conn.execute(
+          'SELECT id FROM files WHERE client_id = ? AND path = ? AND deleted_at IS NULL AND id <> ? LIMIT 1',
+          [clientId, targetPath, root.id]
+        );
+
+        if (taken.length > 0) {
+          throw new Error(`${targetPath} was created while the item was being moved`);
+        }
+
+        const paths = placeSubtree(current, targetPath);
+
+        for (const row of current) {
+          await conn.execute(
+            'UPDATE files SET path = ?, s3_key = ? WHERE id = ?',
+            [paths.get(row.id), movedKeys.get(row.id)?.newKey || row.s3_key, row.id]
+          );
+        }
+
+        await conn.execute(
+          'UPDATE files SET name = ?, parent_id = ? WHERE id = ?',
+          [targetName, targetParentId, root.id]
+        );
+      });
+    } catch (error) {
+      await deleteObjects(storageConfig, copiedKeys);
+      throw error;
+    }
+
+    // Old objects go once nothing points to them (a trashed file may share the key)
+    const oldKeys = [...movedKeys.values()].map(moved => moved.oldKey);
+    const inUse = await findKeysInUse(clientId, oldKeys);
+    await deleteObjects(storageConfig, oldKeys.filter(key => !inUse.has(key)));
+
+    return root.id;
+  }
+
+  /**
+   * Copy an item (with its contents) into a folder; returns the new item's id
+   * Files whose upload isn't verified are left out
+   */
+  async copy(operationId, context) {
+    const { clientId, storageConfig, root, rows, targetParentId, targetName, targetPath } = context;
+
+    const included = this.copyableRows(rows);
+    const newPaths = placeSubtree(rows, targetPath);
+    const newIds = new Map(included.map(row => [row.id, uuidv4()]));
+    const copies = new Map();
+
+    const copiedKeys = await this.copyObjects(operationId, { ...context, rows: included }, newPaths, (row, newKey, etag) => {
+      copies.set(row.id, { s3Key: newKey, etag });
+    });
+
+    try {
+      await transaction(async (conn) => {
+        if (targetParentId) {
+          const [parents] = await conn.execute(
+            "SELECT id FROM files WHERE id = ? AND client_id = ? AND type = 'folder' AND deleted_at IS NULL",
+            [targetParentId, clientId]
+          );
+
+          if (parents.length === 0) {
+            throw new Error('The destination folder was deleted while the item was being copied');
+          }
+        }
+
+        const [taken] = await conn.execute(
+          'SELECT id FROM files WHERE client_id = ? AND path = ? AND deleted_at IS NULL LIMIT 1',
+          [clientId, targetPath]
+        );
+
+        if (taken.length > 0) {
+          throw new Error(`${targetPath} was created while the item was being copied`);
+        }
+
+        for (const row of included) {
+          const copy = copies.get(row.id);
+
+          await conn.execute(
+            `INSERT INTO files
+               (id, client_id, name, size_bytes, type, mime_type, path, parent_id, s3_key, s3_etag,
+                upload_status, upload_verified_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'verified', ?)`,
+            [
+              newIds.get(row.id),
+              clientId,
+              row.depth === 0 ? targetName : row.name,
+              row.size_bytes,
+              row.type,
+              row.mime_type,
+              newPaths.get(row.id),
+              row.depth === 0 ? targetParentId : newIds.get(row.parent_id),
+              copy?.s3Key || null,
+              copy?.etag || null,
+              copy ? new Date() : null
+            ]
+          );
+        }
+      });
+    } catch (error) {
+      await deleteObjects(storageConfig, copiedKeys);
+      throw error;
+    }
+
+    await query('CALL recalculate_client_storage(?)', [clientId]);
+    await alertService.checkClientSafely(clientId, ['storage']);
+
+    return newIds.get(root.id);
+  }
+
+  /**
+   * Mark operations cut off by a restart as failed (their changes were never committed), removing
+   * the objects they had copied
+   */
+  async failInterrupted() {
+    const interrupted = await query(
+      `SELECT id, client_id, target_keys FROM file_operations
+       WHERE status IN ('pending', 'running') AND target_keys IS NOT NULL`
+    );
+
+    for (const operation of interrupted) {
+      let keys = operation.target_keys;
+
+      if (typeof keys === 'string') {
+        try {
+          keys = JSON.parse(keys);
+        } catch (error) {
+          logger.warn(`Invalid target_keys on file operation ${operation.id}`);
+          continue;
+        }
+      }
+
+      try {
+        const storageConfigs = await query('SELECT * FROM client_storage_config WHERE client_id = ?', [operation.client_id]);
+        if (!storageConfigs[0] || !Array.isArray(keys)) continue;
+
+        // A move that committed before the restart points its files at these keys
+        for (let i = 0; i < keys.length; i += S3_DELETE_BATCH_SIZE) {
+          const batch = keys.slice(i, i + S3_DELETE_BATCH_SIZE);
+          const inUse = await findKeysInUse(operation.client_id, batch);
+          await deleteObjects(storageConfigs[0], batch.filter(key => !inUse.has(key)));
+        }
+      } catch (error) {
+        logger.error(`Could not remove objects of interrupted file operation ${operation.id}:`, error);
+      }
+    }
+
+    const result = await query(
+      `UPDATE file_operations
+       SET status = 'failed', target_keys = NULL, error_message = 'Interrupted by a server restart',
+           completed_at = NOW()
+       WHERE status IN ('pending', 'running')`
+    );
+
+    return result.affectedRows;
+  }
+}
+
+export default new FileOperationService();
@@ -0,0 +1,311 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query, transaction } from '../config/database.js';
+import usageService from './usage.service.js';
+import logger from '../utils/logger.js';
+import { escapeHtml, csvCell } from '../utils/escape.js';
+
+/**
+ * First day of the month after a 'YYYY-MM' period, as 'YYYY-MM-DD'
+ */
+function nextMonthStart(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+}
+
+class InvoiceService {
+  /**
+   * The month before the current one in server local time (matching the cron schedule), as 'YYYY-MM'
+   */
+  previousPeriod(now = new Date()) {
+    const previous = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    return `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Compute a client's line items for a period from egress_usage and storage_snapshots
+   */
+  async computeCharges(client, period, pricing) {
+    const periodStart = `${period}-01`;
+    const periodEnd = nextMonthStart(period);
+
+    const [egress] = await query(
+      'SELECT COALESCE(SUM(egress_used_gb), 0) as egress_gb FROM egress_usage WHERE client_id = ? AND month_year = ?',
+      [client.id, period]
+    );
+
+    // Storage is billed on the average of the month's daily snapshots (active + deleted versions)
+    const [snapshots] = await query(
+      `SELECT COUNT(*) as days, COALESCE(AVG(active_bytes + deleted_bytes), 0) as avg_bytes
+       FROM storage_snapshots
+       WHERE client_id = ? AND snapshot_date >= ? AND snapshot_date < ?`,
+      [client.id, periodStart, periodEnd]
+    );
+
+    const snapshotDays = Number(snapshots.days);
+    const storageGb = snapshotDays > 0
+      ? Number(snapshots.avg_bytes) / (1024 ** 3)
+      : parseFloat(client.storage_used_gb);
+    const egressGb = parseFloat(egress.egress_gb);
+    const egressFreeLimitGb = parseFloat(client.egress_free_limit_gb);
+
+    const cost = usageService.calculateCost({ storageGb, egressGb, egressFreeLimitGb }, pricing);
+
+    const items = [
+      {
+        itemType: 'storage',
+        description: snapshotDays > 0
+          ? `Storage (average of ${snapshotDays} daily snapshot(s))`
+          : 'Storage (current usage, no snapshots recorded)',
+        quantity: cost.storageGb,
+        unitPriceInr: pricing.storagePricePerGb.inr,
+        unitPriceUsd: pricing.storagePricePerGb.usd,
+        amountInr: cost.storage.inr,
+        amountUsd: cost.storage.usd,
+        metadata: { snapshotDays }
+      },
+      {
+        itemType: 'egress',
+        description: `Egress overage (${cost.egressGb} GB used, ${egressFreeLimitGb} GB free)`,
+        quantity: cost.chargeableEgressGb,
+        unitPriceInr: pricing.egressOveragePricePerGb.inr,
+        unitPriceUsd: pricing.egressOveragePricePerGb.usd,
+        amountInr: cost.egress.inr,
+        amountUsd: cost.egress.usd,
+        metadata: { egressGb: cost.egressGb, egressFreeLimitGb }
+      }
+    ];
+
+    return { items, total: cost.total };
+  }
+
+  /**
+   * Generate invoices for a period
+   * Existing invoices are kept unless `regenerate` is set; paid invoices are never replaced
+   */
+  async generateInvoices(period = this.previousPeriod(), { clientId = null, regenerate = false } = {}) {
+    const pricing = await usageService.getPricing();
+
+    let sql = 'SELECT id, name, storage_used_gb, egress_free_limit_gb FROM clients WHERE created_at < ?';
+    const params = [nextMonthStart(period)];
+
+    if (clientId) {
+      sql += ' AND id = ?';
+      params.push(clientId);
+    }
+
+    const clients = await query(sql, params);
+    const result = { period, generated: 0, skipped: 0, failed: 0 };
+
+    for (const client of clients) {
+      try {
+        const existing = await query(
+          'SELECT id, status FROM invoices WHERE client_id = ? AND period = ?',
+          [client.id, period]
+        );
+
+        if (existing.length > 0 && (!regenerate || existing[0].status === 'paid')) {
+          result.skipped++;
+          continue;
+        }
+
+        const { items, total } = await this.computeCharges(client, period, pricing);
+        const invoiceId = uuidv4();
+        const invoiceNumber = `INV-${period.replace('-', '')}-${client.id.slice(0, 8).toUpperCase()}`;
+
+        await transaction(async (conn) => {
+          if (existing.length > 0) {
+            await conn.execute('DELETE FROM invoices WHERE id = ?', [existing[0].id]);
+          }
+
+          await conn.execute(
+            `INSERT INTO invoices (id, client_id, invoice_number, period, total_inr, total_usd, pricing)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [invoiceId, client.id, invoiceNumber, period, total.inr, total.usd, JSON.stringify(pricing)]
+          );
+
+          for (const item of items) {
+            await conn.execute(
+              `INSERT INTO invoice_line_items
+               (invoice_id, item_type, description, quantity, unit, unit_price_inr, unit_price_usd, amount_inr, amount_usd, metadata)
+               VALUES (?, ?, ?, ?, 'GB', ?, ?, ?, ?, ?)`,
+              [
+                invoiceId,
+                item.itemType,
+                item.description,
+                item.quantity,
+                item.unitPriceInr,
+                item.unitPriceUsd,
+                item.amountInr,
+                item.amountUsd,
+                JSON.stringify(item.metadata)
+              ]
+            );
+          }
+        });
+
+        result.generated++;
+      } catch (error) {
+        result.failed++;
+        logger.error(`Invoice generation failed for client ${client.id} (${period}):`, error);
+      }
+    }
+
+    logger.info(`Invoices for ${period}: ${result.generated} generated, ${result.skipped} skipped, ${result.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Get an invoice with its line items and client details
+   * Pass clientId to restrict the lookup to one client's invoices
+   */
+  async getInvoice(invoiceId, clientId = null) {
+    let sql = `SELECT i.*, c.name as client_name, c.email as client_email, c.company as client_company
+               FROM invoices i
+               JOIN clients c ON i.client_id = c.id
+               WHERE i.id = ?`;
+    const params = [invoiceId];
+
+    if (clientId) {
+      sql += ' AND i.client_id = ?';
+      params.push(clientId);
+    }
+
+    const invoices = await query(sql, params);
+
+    if (invoices.length === 0) {
+      return null;
+    }
+
+    const items = await query(
+      `SELECT item_type, description, quantity, unit, unit_price_inr, unit_price_usd, amount_inr, amount_usd, metadata
+       FROM invoice_line_items
+       WHERE invoice_id = ?
+       ORDER BY item_type DESC`,
+      [invoiceId]
+    );
+
+    return this.formatInvoice(invoices[0], items);
+  }
+
+  /**
+   * Shape invoice and line item rows for API responses
+   */
+  formatInvoice(invoice, items = []) {
+    return {
+      id: invoice.id,
+      invoiceNumber: invoice.invoice_number,
+      period: invoice.period,
+      status: invoice.status,
+      client: {
+        id: invoice.client_id,
+        name: invoice.client_name,
+        email: invoice.client_email,
+        company: invoice.client_company
+      },
+      total: { inr: parseFloat(invoice.total_inr), usd: parseFloat(invoice.total_usd) },
+      pricing: invoice.pricing,
+      issuedAt: invoice.issued_at,
+      paidAt: invoice.paid_at,
+      lineItems: items.map(item => ({
+        itemType: item.item_type,
+        description: item.description,
+        quantity: parseFloat(item.quantity),
+        unit: item.unit,
+        unitPrice: { inr: parseFloat(item.unit_price_inr), usd: parseFloat(item.unit_price_usd) },
+        amount: { inr: parseFloat(item.amount_inr), usd: parseFloat(item.amount_usd) },
+        metadata: item.metadata
+      }))
+    };
+  }
+
+  /**
+   * Render an invoice as CSV (one row per line item plus a total row)
+   */
+  toCsv(invoice) {
+    const header = [
+      'invoice_number', 'period', 'client', 'item_type', 'description', 'quantity', 'unit',
+      'unit_price_inr', 'amount_inr', 'unit_price_usd', 'amount_usd'
+    ];
+
+    const rows = invoice.lineItems.map(item => [
+      invoice.invoiceNumber, invoice.period, invoice.client.name, item.itemType, item.description,
+      item.quantity, item.unit, item.unitPrice.inr, item.amount.inr, item.unitPrice.usd, item.amount.usd
+    ]);
+
+    rows.push([
+      invoice.invoiceNumber, invoice.period, invoice.client.name, 'total', 'Total', '', '',
+      '', invoice.total.inr, '', invoice.total.usd
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render an invoice as a printable HTML document
+   */
+  toHtml(invoice) {
+    const rows = invoice.lineItems.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td>
+          <td class="num">&#8377;${escapeHtml(item.unitPrice.inr)} / $${escapeHtml(item.unitPrice.usd)}</td>
+          <td class="num">&#8377;${escapeHtml(item.amount.inr.toFixed(2))}</td>
+          <td class="num">$${escapeHtml(item.amount.usd.toFixed(2))}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 40px; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #555; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+    .num { text-align: right; }
+    tfoot td { font-weight: bold; border-top: 2px solid #222; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>TrueBackup Invoice</h1>
+  <div class="meta">
+    <div>Invoice: ${escapeHtml(invoice.invoiceNumber)}</div>
+    <div>Period: ${escapeHtml(invoice.period)}</div>
+    <div>Status: ${escapeHtml(invoice.status)}</div>
+    <div>Issued: ${escapeHtml(new Date(invoice.issuedAt).toISOString().slice(0, 10))}</div>
+  </div>
+  <div class="meta">
+    <div><strong>${escapeHtml(invoice.client.name)}</strong></div>
+    ${invoice.client.company ? `<div>${escapeHtml(invoice.client.company)}</div>` : ''}
+    <div>${escapeHtml(invoice.client.email)}</div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th>
+        <th class="num">Quantity</th>
+        <th class="num">Unit price</th>
+        <th class="num">Amount (INR)</th>
+        <th class="num">Amount (USD)</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="3">Total</td>
+        <td class="num">&#8377;${escapeHtml(invoice.total.inr.toFixed(2))}</td>
+        <td class="num">$${escapeHtml(invoice.total.usd.toFixed(2))}</td>
+      </tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/database.js';
+import config from '../config/index.js';
+import { renderTemplate } from '../templates/mail.templates.js';
+import logger from '../utils/logger.js';
+
+// Messages claimed per outbox run
+const BATCH_SIZE = 20;
+
+// Messages stuck in 'sending' longer than this (e.g. after a crash) are retried
+const STALE_SENDING_MINUTES = 10;
+
+class MailService {
+  constructor() {
+    this.transporter = null;
+    this.processing = false;
+  }
+
+  /**
+   * Create the nodemailer transport for the configured transport type
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      if (config.email.transport === 'file') {
+        // Build the raw message only; send() writes it to disk
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+      } else {
+        this.transporter = nodemailer.createTransport({
+          host: config.email.host,
+          port: config.email.port,
+          secure: config.email.secure,
+          auth: config.email.user
+            ? { user: config.email.user, pass: config.email.password }
+            : undefined
+        });
+      }
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Deliver one message through the configured transport
+   */
+  async send({ id, to, subject, text, html }) {
+    const info = await this.getTransporter().sendMail({
+      from: config.email.from,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (config.email.transport === 'file') {
+      await fs.mkdir(config.email.fileDir, { recursive: true });
+      const file = path.join(config.email.fileDir, `${Date.now()}-${id}.eml`);
+      await fs.writeFile(file, info.message);
+      logger.info(`Email ${id} written to ${file}`);
+    } else {
+      logger.info(`Email ${id} sent to ${to}`);
+    }
+  }
+
+  /**
+   * Render a template and store it in the outbox, then kick off delivery
+   * Never throws: a mail failure must not break the request that triggered it
+   */
+  async enqueue(template, to, data) {
+    try {
+      const { subject, text, html } = renderTemplate(template, data);
+      const id = uuidv4();
+
+      await query(
+        `INSERT INTO email_outbox (id, template, to_email, subject, text_body, html_body, max_attempts)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, template, to, subject, text, html, config.email.maxAttempts]
+      );
+
+      setImmediate(() => {
+        this.processOutbox().catch(error => logger.error('Email outbox processing failed:', error));
+      });
+
+      return id;
+    } catch (error) {
+      logger.error(`Failed to queue ${template} email to ${to}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Send due outbox messages, retrying failures with exponential backoff
+   */
+  async processOutbox() {
+    // One run at a time per process; other processes are kept out by the atomic claim below
+    if (this.processing) {
+      return { sent: 0, failed: 0 };
+    }
+
+    this.processing = true;
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      await query(
+        `UPDATE email_outbox SET status = 'pending'
+         WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ${STALE_SENDING_MINUTES} MINUTE)`
+      );
+
+      const due = await query(
+        `SELECT id FROM email_outbox
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC
+         LIMIT ${BATCH_SIZE}`
+      );
+
+      for (const { id } of due) {
+        const claim = await query(
+          `UPDATE email_outbox SET status = 'sending', attempts = attempts + 1
+           WHERE id = ? AND status = 'pending'`,
+          [id]
+        );
+
+        if (claim.affectedRows === 0) continue;
+
+        const [message] = await query('SELECT * FROM email_outbox WHERE id = ?', [id]);
+
+        try {
+          await this.send({
+            id,
+            to: message.to_email,
+            subject: message.subject,
+            text: message.text_body,
+            html: message.html_body
+          });
+
+          await query(
+            "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = ?",
+            [id]
+          );
+          sent++;
+        } catch (error) {
+          const exhausted = message.attempts >= message.max_attempts;
+          // 1, 2, 4, 8... minutes between attempts
+          const delayMinutes = 2 ** (message.attempts - 1);
+
+          await query(
+            `UPDATE email_outbox
+             SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ${delayMinutes} MINUTE)
+             WHERE id = ?`,
+            [exhausted ? 'failed' : 'pending', String(error.message).slice(0, 1000), id]
+          );
+
+          failed++;
+          logger.warn(`Email ${id} attempt ${message.attempts} failed${exhausted ? ' (giving up)' : ''}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return { sent, failed };
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,392 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { query } from '../config/database.js';
+import config from '../config/index.js';
+
+const ROLES = ['admin', 'client'];
+
+// Signature algorithms accepted on ID tokens (never 'none' or HMAC)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents change rarely; signing keys are refetched when an unknown kid shows up
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Random URL-safe string
+ */
+function randomToken(bytes) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * SHA-256 hex digest used to store the state parameter
+ */
+function hashState(state) {
+  return crypto.createHash('sha256').update(state).digest('hex');
+}
+
+/**
+ * Fetch a JSON document from a provider, failing on HTTP errors and timeouts
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new Error(`${url} failed: ${reason}`);
+  }
+
+  if (!body) {
+    throw new Error(`${url} did not return JSON`);
+  }
+
+  return body;
+}
+
+/**
+ * Validate one OIDC_PROVIDERS entry and fill in defaults
+ */
+function normalizeProvider(entry) {
+  if (!entry || !/^[a-z0-9_-]{1,50}$/i.test(entry.id || '')) {
+    throw new Error('OIDC_PROVIDERS: every provider needs an id of up to 50 letters, digits, _ or -');
+  }
+
+  if (!entry.issuer || !entry.clientId) {
+    throw new Error(`OIDC_PROVIDERS: provider ${entry.id} needs an issuer and clientId`);
+  }
+
+  const roleMapping = entry.roleMapping || {};
+  const defaultRole = entry.defaultRole === undefined ? 'client' : entry.defaultRole;
+
+  if (Object.values(roleMapping).some(role => !ROLES.includes(role)) || (defaultRole !== null && !ROLES.includes(defaultRole))) {
+    throw new Error(`OIDC_PROVIDERS: provider ${entry.id} can only map to the roles ${ROLES.join(', ')}`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    issuer: entry.issuer,
+    clientId: entry.clientId,
+    clientSecret: entry.clientSecret || null,
+    scopes: entry.scopes || 'openid email profile',
+    redirectUri: entry.redirectUri || config.oidc.redirectUri || `${config.app.frontendUrl}/auth/oidc/callback`,
+    roleClaim: entry.roleClaim || 'groups',
+    roleMapping,
+    defaultRole,
+    autoProvision: entry.autoProvision !== false,
+    linkByEmail: entry.linkByEmail !== false,
+    allowedDomains: (entry.allowedDomains || []).map(domain => domain.toLowerCase())
+  };
+}
+
+/**
+ * OpenID Connect authorization code flow (with PKCE) against the configured identity providers
+ */
+class OidcService {
+  constructor() {
+    this.providers = null;
+    this.metadata = new Map();
+    this.jwks = new Map();
+  }
+
+  /**
+   * Configured providers by id, parsed from OIDC_PROVIDERS on first use
+   */
+  getProviders() {
+    if (!this.providers) {
+      let entries;
+
+      try {
+        entries = JSON.parse(config.oidc.providers);
+      } catch (error) {
+        throw new Error('OIDC_PROVIDERS must be a JSON array');
+      }
+
+      if (!Array.isArray(entries)) {
+        throw new Error('OIDC_PROVIDERS must be a JSON array');
+      }
+
+      this.providers = new Map(entries.map(entry => {
+        const provider = normalizeProvider(entry);
+        return [provider.id, provider];
+      }));
+    }
+
+    return this.providers;
+  }
+
+  /**
+   * Get a provider by id, or null
+   */
+  getProvider(id) {
+    return this.getProviders().get(id) || null;
+  }
+
+  /**
+   * Providers users can choose from on the login page
+   */
+  listProviders() {
+    return [...this.getProviders().values()].map(provider => ({ id: provider.id, name: provider.name }));
+  }
+
+  /**
+   * The provider's discovery document
+   */
+  async getMetadata(provider) {
+    const cached = this.metadata.get(provider.id);
+
+    if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+      return cached.document;
+    }
+
+    const document = await fetchJson(`${provider.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+
+    if (document.issuer !== provider.issuer) {
+      throw new Error(`Discovery issuer ${document.issuer} does not match configured issuer ${provider.issuer}`);
+    }
+
+    this.metadata.set(provider.id, { document, fetchedAt: Date.now() });
+    return document;
+  }
+
+  /**
+   * Public key for a kid from the provider's JWKS
+   */
+  async getSigningKey(provider, kid) {
+    const findKey = keys => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    let cached = this.jwks.get(provider.id);
+    let jwk = cached ? findKey(cached.keys) : null;
+
+    if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_MIN_REFRESH_MS)) {
+      const metadata = await this.getMetadata(provider);
+      const { keys = [] } = await fetchJson(metadata.jwks_uri);
+
+      cached = { keys, fetchedAt: Date.now() };
+      this.jwks.set(provider.id, cached);
+      jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+      throw new Error(`No signing key ${kid || ''} in the provider's JWKS`);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a login: store the state, nonce and PKCE verifier and build the provider URL
+   * mode is 'web' or 'app' and decides which login response the callback returns
+   */
+  async createAuthorizationRequest(provider, mode = 'web') {
+    const metadata = await this.getMetadata(provider);
+
+    const state = randomToken(32);
+    const nonce = randomToken(32);
+    const codeVerifier = randomToken(48);
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    await query('DELETE FROM oidc_login_states WHERE expires_at <= NOW()');
+
+    await query(
+      `INSERT INTO oidc_login_states (state_hash, provider, nonce, code_verifier, mode, expires_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [hashState(state), provider.id, nonce, codeVerifier, mode, config.oidc.stateExpiresMinutes]
+    );
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', provider.redirectUri);
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  /**
+   * Take a pending login by its state parameter; each state can be used once
+   * Returns the oidc_login_states row, or null when unknown, expired or already used
+   */
+  async consumeState(state) {
+    const stateHash = hashState(state);
+
+    const rows = await query(
+      'SELECT * FROM oidc_login_states WHERE state_hash = ? AND expires_at > NOW()',
+      [stateHash]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    // Only the request that deletes the row may continue
+    const result = await query('DELETE FROM oidc_login_states WHERE state_hash = ?', [stateHash]);
+
+    return result.affectedRows > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Exchange the authorization code and return the verified ID token claims
+   */
+  async completeAuthorization(provider, code, loginState) {
+    const metadata = await this.getMetadata(provider);
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: loginState.code_verifier
+    });
+
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+
+    if (!tokens.id_token) {
+      throw new Error('Token response has no id_token');
+    }
+
+    return this.verifyIdToken(provider, tokens.id_token, loginState.nonce);
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   */
+  async verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+      throw new Error('Malformed ID token');
+    }
+
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match');
+    }
+
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Roles for a new user from the provider's role claim and mapping
+   * Falls back to the provider's defaultRole; empty when nothing applies
+   */
+  mapRoles(provider, claims) {
+    const claim = claims[provider.roleClaim];
+    const values = Array.isArray(claim) ? claim : claim ? [claim] : [];
+
+    const roles = new Set(values.map(value => provider.roleMapping[String(value)]).filter(Boolean));
+
+    if (roles.size === 0 && provider.defaultRole) {
+      roles.add(provider.defaultRole);
+    }
+
+    return [...roles];
+  }
+
+  /**
+   * Whether an email is in one of the provider's allowed domains (if it restricts them)
+   */
+  isAllowedEmail(provider, email) {
+    if (provider.allowedDomains.length === 0) {
+      return true;
+    }
+
+    const domain = String(email).split('@').pop().toLowerCase();
+    return provider.allowedDomains.includes(domain);
+  }
+
+  /**
+   * Id of the user an external identity is linked to, or null
+   */
+  async findLinkedUserId(providerId, subject) {
+    const rows = await query(
+      'SELECT user_id FROM user_identities WHERE provider = ? AND subject = ?',
+      [providerId, subject]
+    );
+
+    return rows.length > 0 ? rows[0].user_id : null;
+  }
+
+  /**
+   * Record a login through a linked identity
+   */
+  async touchIdentity(providerId, subject, email) {
+    await query(
+      'UPDATE user_identities SET last_login_at = NOW(), email = ? WHERE provider = ? AND subject = ?',
+      [email || null, providerId, subject]
+    );
+  }
+
+  /**
+   * Link an external identity to a user (conn: optional open transaction)
+   */
+  async linkIdentity(userId, providerId, claims, conn = null) {
+    const sql = `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+                 VALUES (?, ?, ?, ?, NOW())`;
+    const params = [userId, providerId, claims.sub, claims.email || null];
+
+    if (conn) {
+      await conn.execute(sql, params);
+    } else {
+      await query(sql, params);
+    }
+  }
+
+  /**
+   * Identities linked to a user
+   */
+  async listIdentities(userId) {
+    const rows = await query(
+      'SELECT * FROM user_identities WHERE user_id = ? ORDER BY created_at ASC',
+      [userId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      provider: row.provider,
+      providerName: this.getProvider(row.provider)?.name || row.provider,
+      email: row.email,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Remove one of a user's identities; returns false when it doesn't exist
+   */
+  async unlinkIdentity(userId, identityId) {
+    const result = await query(
+      'DELETE FROM user_identities WHERE id = ? AND user_id = ?',
+      [identityId, userId]
+    );
+
+    return result.affectedRows > 0;
+  }
+}
+
+export default new OidcService();
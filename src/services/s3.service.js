@@ -1,8 +1,68 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command, HeadObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  UploadPartCopyCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { STSClient, AssumeRoleCommand } from '@aws-sdk/client-sts';
 import config from '../config/index.js';
+import encryptionService from './encryption.service.js';
 import logger from '../utils/logger.js';
 
+// Objects above 5 GiB can't be copied in one request; larger ones are copied in parts of this size
+const MAX_SINGLE_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+const COPY_PART_BYTES = 512 * 1024 * 1024;
+
+/**
+ * CopySource value for a key (and optionally one of its versions)
+ */
+function copySource(bucketName, key, versionId) {
+  const source = `${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  return versionId ? `${source}?versionId=${encodeURIComponent(versionId)}` : source;
+}
+
+/**
+ * Session policy limiting assumed-role credentials to one bucket prefix
+ * Reads, writes and listing only; deletes go through the API
+ */
+function buildPrefixPolicy(bucketName, prefix = '') {
+  // End the prefix at a "/" so client-1 doesn't also match client-10/
+  const scope = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+
+  const statements = [
+    {
+      Effect: 'Allow',
+      Action: [
+        's3:GetObject',
+        's3:GetObjectVersion',
+        's3:PutObject',
+        's3:AbortMultipartUpload',
+        's3:ListMultipartUploadParts'
+      ],
+      Resource: [`arn:aws:s3:::${bucketName}/${scope}*`]
+    },
+    {
+      Effect: 'Allow',
+      Action: ['s3:ListBucket', 's3:ListBucketVersions', 's3:GetBucketLocation'],
+      Resource: [`arn:aws:s3:::${bucketName}`],
+      ...(scope && { Condition: { StringLike: { 's3:prefix': [`${scope}*`] } } })
+    }
+  ];
+
+  return { Version: '2012-10-17', Statement: statements };
+}
+
 class S3Service {
   /**
    * Create S3 client for a specific client's storage configuration
@@ -11,10 +71,7 @@ class S3Service {
     return new S3Client({
       region: storageConfig.region,
       endpoint: `https://${storageConfig.endpoint}`,
-      credentials: {
-        accessKeyId: storageConfig.access_key_id,
-        secretAccessKey: storageConfig.secret_access_key
-      },
+      credentials: encryptionService.decryptStorageCredentials(storageConfig),
       forcePathStyle: true // Required for Wasabi and some S3 providers
     });
   }
@@ -43,16 +100,173 @@ class S3Service {
     }
   }
 
+  /**
+   * Start a multipart upload using client's S3 config; returns the upload id
+   */
+  async createMultipartUpload(storageConfig, key, contentType) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+
+      const response = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: storageConfig.bucket_name,
+        Key: key,
+        ContentType: contentType
+      }));
+
+      logger.info(`Started multipart upload for: ${key} on bucket ${storageConfig.bucket_name}`);
+      return response.UploadId;
+    } catch (error) {
+      logger.error('Error starting multipart upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate presigned URLs for parts of a multipart upload
+   * Returns [{ partNumber, url }]
+   */
+  async getUploadPartUrls(storageConfig, key, uploadId, partNumbers, expiresIn = 3600) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+
+      return await Promise.all(partNumbers.map(async (partNumber) => ({
+        partNumber,
+        url: await getSignedUrl(s3Client, new UploadPartCommand({
+          Bucket: storageConfig.bucket_name,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber
+        }), { expiresIn })
+      })));
+    } catch (error) {
+      logger.error('Error generating upload part URLs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the parts already uploaded for a multipart upload
+   * Returns [{ partNumber, etag, sizeBytes, lastModified }] in part order
+   */
+  async listUploadedParts(storageConfig, key, uploadId) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+      const parts = [];
+      let partNumberMarker = undefined;
+
+      do {
+        const response = await s3Client.send(new ListPartsCommand({
+          Bucket: storageConfig.bucket_name,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: partNumberMarker
+        }));
+
+        for (const part of (response.Parts || [])) {
+          parts.push({
+            partNumber: part.PartNumber,
+            etag: part.ETag,
+            sizeBytes: part.Size,
+            lastModified: part.LastModified
+          });
+        }
+
+        partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+      } while (partNumberMarker);
+
+      return parts;
+    } catch (error) {
+      logger.error('Error listing upload parts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assemble the uploaded parts ([{ partNumber, etag }]) into the final object; returns its etag
+   */
+  async completeMultipartUpload(storageConfig, key, uploadId, parts) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+
+      const response = await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: storageConfig.bucket_name,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      }));
+
+      logger.info(`Completed multipart upload for: ${key} on bucket ${storageConfig.bucket_name}`);
+      return response.ETag;
+    } catch (error) {
+      logger.error('Error completing multipart upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort a multipart upload and discard its parts
+   */
+  async abortMultipartUpload(storageConfig, key, uploadId) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+
+      await s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: storageConfig.bucket_name,
+        Key: key,
+        UploadId: uploadId
+      }));
+
+      logger.info(`Aborted multipart upload for: ${key} on bucket ${storageConfig.bucket_name}`);
+      return true;
+    } catch (error) {
+      logger.error('Error aborting multipart upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Size, ETag and version id of a stored object, or null when it doesn't exist
+   * versionId is null unless the bucket has versioning enabled (the shared "null" version can be overwritten)
+   */
+  async headObject(storageConfig, key) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+
+      const response = await s3Client.send(new HeadObjectCommand({
+        Bucket: storageConfig.bucket_name,
+        Key: key
+      }));
+
+      return {
+        sizeBytes: response.ContentLength,
+        etag: response.ETag,
+        versionId: response.VersionId && response.VersionId !== 'null' ? response.VersionId : null,
+        lastModified: response.LastModified
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+
+      logger.error('Error reading object metadata:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate presigned URL for file download using client's S3 config
+   * versionId selects an earlier version of the object
    */
-  async getDownloadUrl(storageConfig, key, expiresIn = 3600) {
+  async getDownloadUrl(storageConfig, key, expiresIn = 3600, versionId = null) {
     try {
       const s3Client = this.createClientS3(storageConfig);
       
       const command = new GetObjectCommand({
         Bucket: storageConfig.bucket_name,
-        Key: key
+        Key: key,
+        ...(versionId && { VersionId: versionId })
       });
 
       const url = await getSignedUrl(s3Client, command, { expiresIn });
@@ -65,20 +279,168 @@ class S3Service {
     }
   }
 
+  /**
+   * Open a readable stream of an object using client's S3 config
+   */
+  async getObjectStream(storageConfig, key) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+
+      const command = new GetObjectCommand({
+        Bucket: storageConfig.bucket_name,
+        Key: key
+      });
+
+      const response = await s3Client.send(command);
+      return response.Body;
+    } catch (error) {
+      logger.error('Error opening object stream:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Versions and delete markers of one object, newest first
+   * Buckets without versioning return the current object with version id "null"
+   */
+  async listObjectVersions(storageConfig, key) {
+    try {
+      const s3Client = this.createClientS3(storageConfig);
+      const versions = [];
+
+      let keyMarker = undefined;
+      let versionIdMarker = undefined;
+
+      do {
+        const response = await s3Client.send(new ListObjectVersionsCommand({
+          Bucket: storageConfig.bucket_name,
+          Prefix: key,
+          KeyMarker: keyMarker,
+          VersionIdMarker: versionIdMarker
+        }));
+
+        // The prefix also matches longer keys, e.g. "report.pdf.bak"
+        for (const version of (response.Versions || [])) {
+          if (version.Key !== key) continue;
+          versions.push({
+            versionId: version.VersionId,
+            isLatest: version.IsLatest === true,
+            isDeleteMarker: false,
+            sizeBytes: version.Size,
+            etag: version.ETag,
+            lastModified: version.LastModified
+          });
+        }
+
+        for (const marker of (response.DeleteMarkers || [])) {
+          if (marker.Key !== key) continue;
+          versions.push({
+            versionId: marker.VersionId,
+            isLatest: marker.IsLatest === true,
+            isDeleteMarker: true,
+            sizeBytes: 0,
+            etag: null,
+            lastModified: marker.LastModified
+          });
+        }
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+
+        // Versions are listed key by key and the exact key sorts first, so stop once the listing moves past it
+        if (keyMarker && keyMarker !== key) break;
+      } while (keyMarker);
+
+      return versions.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+    } catch (error) {
+      logger.error('Error listing object versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy an object (or one of its versions) inside the client's bucket without downloading it
+   * sizeBytes is the source size; objects over 5 GiB are copied as a multipart upload
+   * Returns the new object's ETag and version id
+   */
+  async copyObject(storageConfig, sourceKey, destinationKey, sizeBytes, sourceVersionId = null) {
+    const s3Client = this.createClientS3(storageConfig);
+    const source = copySource(storageConfig.bucket_name, sourceKey, sourceVersionId);
+
+    try {
+      if (sizeBytes <= MAX_SINGLE_COPY_BYTES) {
+        const response = await s3Client.send(new CopyObjectCommand({
+          Bucket: storageConfig.bucket_name,
+          Key: destinationKey,
+          CopySource: source
+        }));
+
+        logger.info(`Copied ${sourceKey} to ${destinationKey} on bucket ${storageConfig.bucket_name}`);
+        return { etag: response.CopyObjectResult?.ETag, versionId: response.VersionId || null };
+      }
+
+      const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: storageConfig.bucket_name,
+        Key: destinationKey
+      }));
+
+      try {
+        const parts = [];
+
+        for (let start = 0, partNumber = 1; start < sizeBytes; start += COPY_PART_BYTES, partNumber++) {
+          const end = Math.min(start + COPY_PART_BYTES, sizeBytes) - 1;
+
+          const response = await s3Client.send(new UploadPartCopyCommand({
+            Bucket: storageConfig.bucket_name,
+            Key: destinationKey,
+            UploadId,
+            PartNumber: partNumber,
+            CopySource: source,
+            CopySourceRange: `bytes=${start}-${end}`
+          }));
+
+          parts.push({ PartNumber: partNumber, ETag: response.CopyPartResult.ETag });
+        }
+
+        const response = await s3Client.send(new CompleteMultipartUploadCommand({
+          Bucket: storageConfig.bucket_name,
+          Key: destinationKey,
+          UploadId,
+          MultipartUpload: { Parts: parts }
+        }));
+
+        logger.info(`Copied ${sourceKey} to ${destinationKey} in ${parts.length} parts on bucket ${storageConfig.bucket_name}`);
+        return { etag: response.ETag, versionId: response.VersionId || null };
+      } catch (error) {
+        await s3Client.send(new AbortMultipartUploadCommand({
+          Bucket: storageConfig.bucket_name,
+          Key: destinationKey,
+          UploadId
+        })).catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error copying object:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete file from S3 using client's config
+   * With a versionId that version is removed for good (instead of adding a delete marker)
    */
-  async deleteFile(storageConfig, key) {
+  async deleteFile(storageConfig, key, versionId = null) {
     try {
       const s3Client = this.createClientS3(storageConfig);
       
       const command = new DeleteObjectCommand({
         Bucket: storageConfig.bucket_name,
-        Key: key
+        Key: key,
+        ...(versionId && { VersionId: versionId })
       });
 
       await s3Client.send(command);
-      logger.info(`Deleted file: ${key} from bucket ${storageConfig.bucket_name}`);
+      logger.info(`Deleted file: ${key}${versionId ? ` (version ${versionId})` : ''} from bucket ${storageConfig.bucket_name}`);
       return true;
     } catch (error) {
       logger.error('Error deleting file:', error);
@@ -122,6 +484,34 @@ class S3Service {
     }
   }
 
+  /**
+   * Issue short-lived credentials scoped to the client's bucket prefix
+   * Uses STS AssumeRole on the storage config's role with a session policy
+   */
+  async getScopedCredentials(storageConfig, sessionName, durationSeconds) {
+    const sts = new STSClient({
+      region: storageConfig.region,
+      endpoint: storageConfig.sts_endpoint ? `https://${storageConfig.sts_endpoint}` : undefined,
+      credentials: encryptionService.decryptStorageCredentials(storageConfig)
+    });
+
+    const response = await sts.send(new AssumeRoleCommand({
+      RoleArn: storageConfig.sts_role_arn,
+      RoleSessionName: sessionName,
+      DurationSeconds: durationSeconds,
+      Policy: JSON.stringify(buildPrefixPolicy(storageConfig.bucket_name, storageConfig.bucket_prefix || ''))
+    }));
+
+    logger.info(`Issued scoped credentials for bucket ${storageConfig.bucket_name} (${sessionName})`);
+
+    return {
+      accessKeyId: response.Credentials.AccessKeyId,
+      secretAccessKey: response.Credentials.SecretAccessKey,
+      sessionToken: response.Credentials.SessionToken,
+      expiresAt: response.Credentials.Expiration
+    };
+  }
+
   /**
    * Verify and test client storage configuration
    */
@@ -143,6 +533,65 @@ class S3Service {
     }
   }
 
+  /**
+   * Sum active and deleted (non-current version) bytes under a prefix
+   */
+  async getBucketUsage(storageConfig, prefix = '') {
+    const s3Client = this.createClientS3(storageConfig);
+
+    let activeBytes = 0;
+    let objectCount = 0;
+    let continuationToken = undefined;
+
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: storageConfig.bucket_name,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of (response.Contents || [])) {
+        activeBytes += object.Size || 0;
+        objectCount++;
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    let deletedBytes = 0;
+    let deletedObjectCount = 0;
+
+    try {
+      let keyMarker = undefined;
+      let versionIdMarker = undefined;
+
+      do {
+        const response = await s3Client.send(new ListObjectVersionsCommand({
+          Bucket: storageConfig.bucket_name,
+          Prefix: prefix,
+          KeyMarker: keyMarker,
+          VersionIdMarker: versionIdMarker
+        }));
+
+        deletedObjectCount += (response.DeleteMarkers || []).length;
+
+        for (const version of (response.Versions || [])) {
+          if (version.IsLatest === false) {
+            deletedBytes += version.Size || 0;
+          }
+        }
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+      } while (keyMarker);
+    } catch (error) {
+      // Versioning might not be enabled, that's okay
+      logger.info(`Versioning not enabled or error for bucket ${storageConfig.bucket_name}: ${error.message}`);
+    }
+
+    return { activeBytes, objectCount, deletedBytes, deletedObjectCount };
+  }
+
   /**
    * Generate unique S3 key for client file
    */
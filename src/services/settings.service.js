@@ -0,0 +1,391 @@
+import { query, transaction } from '../config/database.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Validate a { inr, usd } price object
+ */
+function validatePrice(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object with inr and usd prices';
+  }
+
+  const extra = Object.keys(value).filter(k => !['inr', 'usd'].includes(k));
+  if (extra.length > 0) {
+    return `has unknown field(s): ${extra.join(', ')}`;
+  }
+
+  for (const currency of ['inr', 'usd']) {
+    if (typeof value[currency] !== 'number' || !Number.isFinite(value[currency]) || value[currency] < 0) {
+      return `${currency} must be a non-negative number`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an ascending list of percentage thresholds
+ */
+function validateThresholds(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > 10) {
+    return 'must be an array of 1 to 10 percentages';
+  }
+
+  for (let i = 0; i < value.length; i++) {
+    if (!Number.isInteger(value[i]) || value[i] < 1 || value[i] > 1000) {
+      return 'percentages must be integers between 1 and 1000';
+    }
+    if (i > 0 && value[i] <= value[i - 1]) {
+      return 'percentages must be in ascending order';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Schema for every writable setting
+ * type: 'boolean' | 'number' | 'integer' | 'json' (json settings supply their own validate)
+ */
+const SETTING_SCHEMAS = {
+  egress_free_limit_gb: { type: 'number', min: 0, max: 1000000 },
+  egress_overage_price_per_gb: { type: 'json', shape: '{ "inr": number, "usd": number }', validate: validatePrice },
+  storage_price_per_gb: { type: 'json', shape: '{ "inr": number, "usd": number }', validate: validatePrice },
+  block_downloads_on_overage: { type: 'boolean' },
+  egress_alert_thresholds: { type: 'json', shape: 'ascending integer[] (percent)', validate: validateThresholds },
+  storage_alert_thresholds: { type: 'json', shape: 'ascending integer[] (percent)', validate: validateThresholds },
+  default_storage_quota_gb: { type: 'number', min: 1, max: 1000000 },
+  session_timeout_minutes: { type: 'integer', min: 5, max: 10080 },
+  require_2fa_admin: { type: 'boolean' },
+  require_email_verification: { type: 'boolean' },
+  trash_retention_days: { type: 'integer', min: 1, max: 3650 }
+};
+
+class SettingsService {
+  constructor() {
+    // In-process copy of system_settings (key -> parsed value) for hot paths
+    this.cache = null;
+    this.cacheVersion = 0;
+    this.loading = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Reload the settings cache from the database
+   * A load that finishes after a newer one has started is discarded
+   */
+  reload() {
+    const version = ++this.cacheVersion;
+
+    const loading = query('SELECT `key`, value FROM system_settings')
+      .then(rows => {
+        if (version === this.cacheVersion) {
+          this.cache = new Map(rows.map(row => [row.key, row.value]));
+        }
+      })
+      .finally(() => {
+        if (this.loading === loading) {
+          this.loading = null;
+        }
+      });
+
+    this.loading = loading;
+    return loading;
+  }
+
+  /**
+   * Reload the cache periodically so changes made by other processes are picked up
+   */
+  startAutoRefresh(intervalSeconds = config.app.settingsRefreshSeconds) {
+    this.stopAutoRefresh();
+
+    this.refreshTimer = setInterval(() => {
+      this.reload().catch(error => logger.error('Settings cache refresh failed:', error));
+    }, intervalSeconds * 1000);
+
+    // Don't keep the process alive just for this timer
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Stop the periodic cache reload
+   */
+  stopAutoRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Get a cached setting value, loading the cache on first use
+   */
+  async getValue(key, defaultValue = null) {
+    while (!this.cache) {
+      await (this.loading || this.reload());
+    }
+
+    return this.cache.has(key) ? this.cache.get(key) : defaultValue;
+  }
+
+  /**
+   * Get a cached boolean setting
+   */
+  async getBoolean(key, defaultValue = false) {
+    const value = await this.getValue(key, defaultValue);
+    // Older rows may hold the string 'true' instead of a JSON boolean
+    return value === true || value === 'true';
+  }
+
+  /**
+   * Get a cached numeric setting
+   */
+  async getNumber(key, defaultValue = 0) {
+    const value = Number(await this.getValue(key, defaultValue));
+    return Number.isFinite(value) ? value : defaultValue;
+  }
+
+  /**
+   * Get a cached JSON (object or array) setting
+   */
+  async getJson(key, defaultValue = null) {
+    const value = await this.getValue(key, defaultValue);
+
+    if (typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        logger.warn(`Invalid JSON in system setting ${key}`);
+        return defaultValue;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Public description of a setting's schema
+   */
+  describeSchema(key) {
+    const schema = SETTING_SCHEMAS[key];
+    if (!schema) return null;
+
+    const { validate, ...description } = schema;
+    return description;
+  }
+
+  /**
+   * Validate a value against its key's schema
+   * Returns an error message, or null when valid
+   */
+  validateSetting(key, value) {
+    const schema = SETTING_SCHEMAS[key];
+
+    if (!schema) {
+      return `Unknown setting: ${key}`;
+    }
+
+    switch (schema.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') return `${key} must be a boolean`;
+        break;
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+        if (schema.type === 'integer' && !Number.isInteger(value)) return `${key} must be an integer`;
+        if (value < schema.min || value > schema.max) {
+          return `${key} must be between ${schema.min} and ${schema.max}`;
+        }
+        break;
+      case 'json': {
+        const error = schema.validate(value);
+        if (error) return `${key} ${error}`;
+        break;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Shape a system_settings row for API responses
+   */
+  formatSetting(row) {
+    return {
+      key: row.key,
+      value: row.value,
+      description: row.description,
+      schema: this.describeSchema(row.key),
+      updatedBy: row.updated_by,
+      updatedByName: row.updated_by_name || null,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get all settings
+   */
+  async getAll() {
+    const rows = await query(
+      `SELECT s.\`key\`, s.value, s.description, s.updated_by, s.updated_at, u.name as updated_by_name
+       FROM system_settings s
+       LEFT JOIN users u ON s.updated_by = u.id
+       ORDER BY s.\`key\` ASC`
+    );
+
+    return rows.map(row => this.formatSetting(row));
+  }
+
+  /**
+   * Get a single setting, or null when it does not exist
+   */
+  async get(key) {
+    const rows = await query(
+      `SELECT s.\`key\`, s.value, s.description, s.updated_by, s.updated_at, u.name as updated_by_name
+       FROM system_settings s
+       LEFT JOIN users u ON s.updated_by = u.id
+       WHERE s.\`key\` = ?`,
+      [key]
+    );
+
+    return rows.length > 0 ? this.formatSetting(rows[0]) : null;
+  }
+
+  /**
+   * Write a single setting and its history row inside an open transaction
+   * Returns the history entry, or null when the value is unchanged
+   */
+  async writeSetting(conn, key, value, userId, changeType = 'update', rolledBackFrom = null) {
+    const [rows] = await conn.execute(
+      'SELECT value FROM system_settings WHERE `key` = ? FOR UPDATE',
+      [key]
+    );
+
+    const oldValue = rows.length > 0 ? rows[0].value : null;
+
+    if (rows.length > 0 && JSON.stringify(oldValue) === JSON.stringify(value)) {
+      return null;
+    }
+
+    if (rows.length > 0) {
+      await conn.execute(
+        'UPDATE system_settings SET value = ?, updated_by = ? WHERE `key` = ?',
+        [JSON.stringify(value), userId, key]
+      );
+    } else {
+      await conn.execute(
+        'INSERT INTO system_settings (`key`, value, updated_by) VALUES (?, ?, ?)',
+        [key, JSON.stringify(value), userId]
+      );
+    }
+
+    await conn.execute(
+      `INSERT INTO system_settings_history
+       (setting_key, old_value, new_value, change_type, rolled_back_from, changed_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [key, oldValue === null ? null : JSON.stringify(oldValue), JSON.stringify(value), changeType, rolledBackFrom, userId]
+    );
+
+    return { key, oldValue, newValue: value };
+  }
+
+  /**
+   * Update several settings atomically
+   * Callers must validate values first; returns the settings that actually changed
+   */
+  async update(changes, userId) {
+    const changed = await transaction(async (conn) => {
+      const results = [];
+
+      for (const [key, value] of Object.entries(changes)) {
+        const result = await this.writeSetting(conn, key, value, userId);
+        if (result) results.push(result);
+      }
+
+      return results;
+    });
+
+    if (changed.length > 0) {
+      logger.info(`Settings updated: ${changed.map(c => c.key).join(', ')}`);
+      await this.reload().catch(error => logger.error('Settings cache reload failed:', error));
+    }
+
+    return changed;
+  }
+
+  /**
+   * Get setting change history with pagination
+   */
+  async getHistory({ key = null, limit = 50, offset = 0 } = {}) {
+    const where = key ? 'WHERE h.setting_key = ?' : '';
+    const params = key ? [key] : [];
+
+    const rows = await query(
+      `SELECT h.*, u.name as changed_by_name
+       FROM system_settings_history h
+       LEFT JOIN users u ON h.changed_by = u.id
+       ${where}
+       ORDER BY h.created_at DESC, h.id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    );
+
+    const [{ total }] = await query(
+      `SELECT COUNT(*) as total FROM system_settings_history h ${where}`,
+      params
+    );
+
+    return {
+      history: rows.map(row => this.formatHistory(row)),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    };
+  }
+
+  /**
+   * Get a single history entry, or null when it does not exist
+   */
+  async getHistoryEntry(historyId) {
+    const rows = await query('SELECT * FROM system_settings_history WHERE id = ?', [historyId]);
+    return rows.length > 0 ? this.formatHistory(rows[0]) : null;
+  }
+
+  /**
+   * Shape a system_settings_history row for API responses
+   */
+  formatHistory(row) {
+    return {
+      id: row.id,
+      key: row.setting_key,
+      oldValue: row.old_value,
+      newValue: row.new_value,
+      changeType: row.change_type,
+      rolledBackFrom: row.rolled_back_from,
+      changedBy: row.changed_by,
+      changedByName: row.changed_by_name || null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Restore the value a setting had before the given history entry
+   * Callers must validate entry.oldValue against the current schema first
+   */
+  async rollback(entry, userId) {
+    const result = await transaction(conn =>
+      this.writeSetting(conn, entry.key, entry.oldValue, userId, 'rollback', entry.id)
+    );
+
+    if (result) {
+      await this.reload().catch(error => logger.error('Settings cache reload failed:', error));
+    }
+
+    return result;
+  }
+}
+
+export default new SettingsService();
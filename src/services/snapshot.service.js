@@ -0,0 +1,126 @@
+import { query } from '../config/database.js';
+import s3Service from './s3.service.js';
+import usageService from './usage.service.js';
+import logger from '../utils/logger.js';
+
+class SnapshotService {
+  /**
+   * Today's date (YYYY-MM-DD) in server local time, matching the cron schedule and invoice periods
+   */
+  today(now = new Date()) {
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Record today's storage snapshot for every client with verified storage
+   */
+  async takeDailySnapshots(snapshotDate = this.today()) {
+    const clients = await query(
+      `SELECT c.id as client_id, cs.bucket_name, cs.endpoint, cs.region,
+              cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version, cs.bucket_prefix
+       FROM clients c
+       JOIN client_storage_config cs ON c.id = cs.client_id
+       WHERE cs.is_verified = TRUE`
+    );
+
+    let recorded = 0;
+    let failed = 0;
+
+    // One client at a time to keep S3 listing load predictable
+    for (const client of clients) {
+      try {
+        await this.takeSnapshot(client, snapshotDate);
+        recorded++;
+      } catch (error) {
+        failed++;
+        logger.error(`Storage snapshot failed for client ${client.client_id}:`, error);
+      }
+    }
+
+    return { snapshotDate, recorded, failed };
+  }
+
+  /**
+   * Record a snapshot for one client (re-running on the same day overwrites it)
+   */
+  async takeSnapshot(client, snapshotDate) {
+    const usage = await s3Service.getBucketUsage(client, client.bucket_prefix || '');
+
+    await query(
+      `INSERT INTO storage_snapshots
+       (client_id, snapshot_date, active_bytes, object_count, deleted_bytes, deleted_object_count)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         active_bytes = VALUES(active_bytes),
+         object_count = VALUES(object_count),
+         deleted_bytes = VALUES(deleted_bytes),
+         deleted_object_count = VALUES(deleted_object_count),
+         created_at = NOW()`,
+      [
+        client.client_id,
+        snapshotDate,
+        usage.activeBytes,
+        usage.objectCount,
+        usage.deletedBytes,
+        usage.deletedObjectCount
+      ]
+    );
+
+    return usage;
+  }
+
+  /**
+   * Get snapshots in a date range plus month-over-month deltas
+   * Each month is represented by its latest snapshot
+   */
+  async getHistory(clientId, from, to) {
+    const rows = await query(
+      `SELECT DATE_FORMAT(snapshot_date, '%Y-%m-%d') as date, active_bytes, object_count,
+              deleted_bytes, deleted_object_count
+       FROM storage_snapshots
+       WHERE client_id = ? AND snapshot_date >= ? AND snapshot_date <= ?
+       ORDER BY snapshot_date ASC`,
+      [clientId, from, to]
+    );
+
+    const snapshots = rows.map(r => ({
+      date: r.date,
+      activeBytes: Number(r.active_bytes),
+      activeGb: usageService.bytesToGb(r.active_bytes),
+      objectCount: r.object_count,
+      deletedBytes: Number(r.deleted_bytes),
+      deletedGb: usageService.bytesToGb(r.deleted_bytes),
+      deletedObjectCount: r.deleted_object_count,
+      totalBytes: Number(r.active_bytes) + Number(r.deleted_bytes),
+      totalGb: usageService.bytesToGb(Number(r.active_bytes) + Number(r.deleted_bytes))
+    }));
+
+    const lastByMonth = {};
+    snapshots.forEach(s => { lastByMonth[s.date.slice(0, 7)] = s; });
+
+    let previous = null;
+    const monthly = Object.entries(lastByMonth).map(([month, s]) => {
+      const entry = {
+        month,
+        date: s.date,
+        activeBytes: s.activeBytes,
+        totalBytes: s.totalBytes,
+        objectCount: s.objectCount,
+        activeBytesDelta: previous ? s.activeBytes - previous.activeBytes : null,
+        totalBytesDelta: previous ? s.totalBytes - previous.totalBytes : null,
+        objectCountDelta: previous ? s.objectCount - previous.objectCount : null,
+        activeGrowthPercent: previous && previous.activeBytes > 0
+          ? parseFloat((((s.activeBytes - previous.activeBytes) / previous.activeBytes) * 100).toFixed(2))
+          : null
+      };
+      previous = s;
+      return entry;
+    });
+
+    return { snapshots, monthly };
+  }
+}
+
+export default new SnapshotService();
@@ -0,0 +1,605 @@
+import { query, transaction } from '../config/database.js';
+import s3Service from './s3.service.js';
+import settingsService from './settings.service.js';
+import alertService from './alert.service.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Rows per UPDATE / S3 delete batch, and trashed items purged per client in one scheduled run
+const BATCH_SIZE = 500;
+const S3_DELETE_BATCH_SIZE = 100;
+const PURGE_ITEMS_PER_RUN = 1000;
+
+/**
+ * "?, ?, ?" for an IN list (queries run as prepared statements)
+ */
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Split an array into chunks of at most size elements
+ */
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * The client's storage config, or null when none is set up
+ */
+async function findStorageConfig(clientId) {
+  const storageConfigs = await query('SELECT * FROM client_storage_config WHERE client_id = ?', [clientId]);
+  return storageConfigs[0] || null;
+}
+
+/**
+ * Stored objects of a trash item moving from rootPath to path: each verified file's current key,
+ * the key for its restored path and its pinned version. Files keeping their key are only listed
+ * when they have a pinned version to put back.
+ */
+function planObjects(storageConfig, rows, rootPath, path) {
+  const objects = [];
+
+  for (const row of rows) {
+    if (row.type !== 'file' || !row.s3_key || row.upload_id || row.upload_status !== 'verified') continue;
+
+    const key = storageConfig && path !== rootPath
+      ? s3Service.generateS3Key(storageConfig.bucket_prefix, path + row.path.slice(rootPath.length))
+      : row.s3_key;
+
+    if (key !== row.s3_key || row.s3_version_id) {
+      objects.push({
+        id: row.id,
+        oldKey: row.s3_key,
+        key,
+        versionId: row.s3_version_id,
+        sizeBytes: Number(row.size_bytes)
+      });
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Keys among the given ones used by a live file
+ */
+async function findLiveKeys(execute, clientId, keys) {
+  const live = [];
+
+  for (const batch of chunk([...new Set(keys)], BATCH_SIZE)) {
+    const rows = await execute(
+      `SELECT DISTINCT s3_key FROM files
+       WHERE client_id = ? AND s3_key IN (${placeholders(batch)}) AND deleted_at IS NULL`,
+      [clientId, ...batch]
+    );
+
+    live.push(...rows.map(row => row.s3_key));
+  }
+
+  return live;
+}
+
+/**
+ * Put a restored file's content at its key: copy it over from the old key (its pinned version
+ * when there is one), or make the pinned version current again when something replaced it
+ * Returns whether a new key was written
+ */
+async function restoreObject(storageConfig, object) {
+  if (object.key !== object.oldKey) {
+    await s3Service.copyObject(storageConfig, object.oldKey, object.key, object.sizeBytes, object.versionId);
+    return true;
+  }
+
+  const current = await s3Service.headObject(storageConfig, object.key);
+
+  if (current?.versionId !== object.versionId) {
+    await s3Service.copyObject(storageConfig, object.key, object.key, object.sizeBytes, object.versionId);
+  }
+
+  return false;
+}
+
+/**
+ * Delete the stored objects of files going away, leaving keys and pinned versions that rows not
+ * in skipIds still use. Returns the number of keys removed.
+ */
+async function removeObjects(clientId, storageConfig, files, skipIds = new Set()) {
+  const keys = [...new Set(files.map(row => row.s3_key))];
+
+  // A live file (or another trashed one) at the same path shares the key
+  const users = await query(
+    `SELECT id, s3_key FROM files
+     WHERE client_id = ? AND s3_key IN (${placeholders(keys)})
+       AND (deleted_at IS NULL OR (trash_root_id IS NOT NULL AND purged_at IS NULL))`,
+    [clientId, ...keys]
+  );
+  const keysInUse = new Set(users.filter(row => !skipIds.has(row.id)).map(row => row.s3_key));
+
+  const removedKeys = new Set();
+  const pinned = files.filter(row => row.s3_version_id);
+
+  if (pinned.length > 0) {
+    const versionIds = [...new Set(pinned.map(row => row.s3_version_id))];
+    const pinners = await query(
+      `SELECT id, s3_key, s3_version_id FROM files
+       WHERE client_id = ? AND s3_version_id IN (${placeholders(versionIds)})
+         AND trash_root_id IS NOT NULL AND purged_at IS NULL`,
+      [clientId, ...versionIds]
+    );
+    const versionsInUse = new Set(
+      pinners.filter(row => !skipIds.has(row.id)).map(row => `${row.s3_key}\n${row.s3_version_id}`)
+    );
+
+    for (const row of pinned) {
+      if (versionsInUse.has(`${row.s3_key}\n${row.s3_version_id}`)) continue;
+
+      await s3Service.deleteFile(storageConfig, row.s3_key, row.s3_version_id);
+      removedKeys.add(row.s3_key);
+    }
+  }
+
+  const toDelete = keys.filter(key => !keysInUse.has(key));
+
+  for (const keyBatch of chunk(toDelete, S3_DELETE_BATCH_SIZE)) {
+    await s3Service.deleteFiles(storageConfig, keyBatch);
+    keyBatch.forEach(key => removedKeys.add(key));
+  }
+
+  return removedKeys.size;
+}
+
+/**
+ * Best-effort removal of objects (copies of a restore that didn't go through)
+ */
+async function deleteObjects(storageConfig, keys) {
+  for (const batch of chunk(keys, S3_DELETE_BATCH_SIZE)) {
+    try {
+      await s3Service.deleteFiles(storageConfig, batch);
+    } catch (error) {
+      logger.error('Could not remove objects after a restore:', error);
+    }
+  }
+}
+
+/**
+ * Deleted files and folders stay in the trash (objects kept in storage) until restored or purged
+ *
+ * Every row that goes to the trash gets trash_root_id: the id of the item the user deleted,
+ * so a deleted folder is listed, restored and purged together with its contents.
+ *
+ * Object keys follow paths, so a new file at a trashed file's path gets the same key. In versioned
+ * buckets the trashed row keeps the version id of its content (s3_version_id) and is restored and
+ * purged by that version; without versioning, writes onto such keys are refused (findUnpinnedKeys).
+ */
+class TrashService {
+  /**
+   * Days items stay in the trash (trash_retention_days setting)
+   */
+  async getRetentionDays() {
+    return settingsService.getNumber('trash_retention_days', DEFAULT_RETENTION_DAYS);
+  }
+
+  /**
+   * Recalculate live and trashed storage for a client and refresh its storage alerts
+   */
+  async refreshUsage(clientId) {
+    await query('CALL recalculate_client_storage(?)', [clientId]);
+    await alertService.checkClientSafely(clientId, ['storage']);
+  }
+
+  /**
+   * Move items (folders with everything below them) to the trash
+   * Returns the ids of the items that were trashed; missing or already deleted ones are skipped
+   */
+  async trashItems(clientId, fileIds) {
+    const trashed = await transaction(async (conn) => {
+      const [roots] = await conn.execute(
+        `SELECT id FROM files
+         WHERE id IN (${placeholders(fileIds)}) AND client_id = ? AND deleted_at IS NULL`,
+        [...fileIds, clientId]
+      );
+
+      const trashedIds = [];
+
+      for (const root of roots) {
+        // Contents trashed earlier on their own stay separate trash items
+        const [tree] = await conn.execute(
+          `WITH RECURSIVE tree AS (
+             SELECT id FROM files WHERE id = ? AND deleted_at IS NULL
+             UNION ALL
+             SELECT f.id FROM files f
+             JOIN tree t ON f.parent_id = t.id
+             WHERE f.deleted_at IS NULL
+           )
+           SELECT id FROM tree`,
+          [root.id]
+        );
+
+        // Already trashed along with a folder earlier in this request
+        if (tree.length === 0) continue;
+
+        for (const ids of chunk(tree.map(row => row.id), BATCH_SIZE)) {
+          await conn.execute(
+            `UPDATE files SET deleted_at = NOW(), trash_root_id = ?
+             WHERE id IN (${placeholders(ids)}) AND deleted_at IS NULL`,
+            [root.id, ...ids]
+          );
+        }
+
+        trashedIds.push(root.id);
+      }
+
+      return trashedIds;
+    });
+
+    if (trashed.length > 0) {
+      await this.pinVersions(clientId, trashed);
+      await this.refreshUsage(clientId);
+    }
+
+    return trashed;
+  }
+
+  /**
+   * Record the current object version of each stored file in the given trash items
+   * Objects that are missing, or in a bucket without versioning, are left unpinned
+   */
+  async pinVersions(clientId, rootIds) {
+    const storageConfig = await findStorageConfig(clientId);
+
+    if (!storageConfig) return;
+
+    for (const ids of chunk(rootIds, BATCH_SIZE)) {
+      const files = await query(
+        `SELECT id, s3_key FROM files
+         WHERE trash_root_id IN (${placeholders(ids)}) AND type = 'file' AND s3_key IS NOT NULL
+           AND upload_id IS NULL AND purged_at IS NULL AND s3_version_id IS NULL`,
+        ids
+      );
+
+      for (const file of files) {
+        try {
+          const object = await s3Service.headObject(storageConfig, file.s3_key);
+
+          if (object?.versionId) {
+            await query('UPDATE files SET s3_version_id = ? WHERE id = ?', [object.versionId, file.id]);
+          }
+        } catch (error) {
+          logger.error(`Could not pin the object version of trashed file ${file.id}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Keys among the given ones that hold the only copy of a trashed file (no pinned version),
+   * so writing to them would replace the trashed content
+   */
+  async findUnpinnedKeys(clientId, keys) {
+    const unpinned = new Set();
+
+    for (const batch of chunk([...new Set(keys)], BATCH_SIZE)) {
+      const rows = await query(
+        `SELECT DISTINCT s3_key FROM files
+         WHERE client_id = ? AND s3_key IN (${placeholders(batch)})
+           AND trash_root_id IS NOT NULL AND purged_at IS NULL
+           AND type = 'file' AND upload_status = 'verified' AND s3_version_id IS NULL`,
+        [clientId, ...batch]
+      );
+
+      rows.forEach(row => unpinned.add(row.s3_key));
+    }
+
+    return [...unpinned];
+  }
+
+  /**
+   * Items in a client's trash, most recently deleted first, with their size and when they'll be purged
+   */
+  async listTrash(clientId, { limit = 50, offset = 0 } = {}) {
+    const parsedLimit = parseInt(limit);
+    const parsedOffset = parseInt(offset);
+
+    const rows = await query(
+      `SELECT r.id, r.name, r.type, r.path, r.mime_type, r.deleted_at,
+              COUNT(f.id) - 1 as contained_items,
+              COALESCE(SUM(CASE WHEN f.type = 'file' THEN f.size_bytes ELSE 0 END), 0) as size_bytes
+       FROM files r
+       JOIN files f ON f.trash_root_id = r.id AND f.purged_at IS NULL
+       WHERE r.client_id = ? AND r.trash_root_id = r.id
+         AND r.deleted_at IS NOT NULL AND r.purged_at IS NULL
+       GROUP BY r.id
+       ORDER BY r.deleted_at DESC
+       LIMIT ${parsedLimit} OFFSET ${parsedOffset}`,
+      [clientId]
+    );
+
+    const [count] = await query(
+      `SELECT COUNT(*) as total FROM files
+       WHERE client_id = ? AND trash_root_id = id AND deleted_at IS NOT NULL AND purged_at IS NULL`,
+      [clientId]
+    );
+
+    const retentionDays = await this.getRetentionDays();
+
+    return {
+      retentionDays,
+      total: count.total,
+      items: rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        path: row.path,
+        mimeType: row.mime_type,
+        sizeBytes: Number(row.size_bytes),
+        containedItems: Number(row.contained_items),
+        deletedAt: row.deleted_at,
+        purgeAt: new Date(new Date(row.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+      }))
+    };
+  }
+
+  /**
+   * Restore trashed items to where they were deleted from
+   * Items whose folder is gone go back to the top level, with their objects copied to keys for the
+   * new paths; items whose path (or one of whose keys) is now taken are left in the trash
+   * Returns { restored: [ids], conflicts: [{ id, name, path }] }
+   */
+  async restoreItems(clientId, fileIds) {
+    const storageConfig = await findStorageConfig(clientId);
+
+    // Where each item goes back to, and which can't
+    const { plans, conflicts } = await transaction(async (conn) => {
+      const execute = async (sql, params) => (await conn.execute(sql, params))[0];
+
+      const roots = await execute(
+        `SELECT id, name, path, parent_id FROM files
+         WHERE id IN (${placeholders(fileIds)}) AND client_id = ? AND trash_root_id = id
+           AND deleted_at IS NOT NULL AND purged_at IS NULL`,
+        [...fileIds, clientId]
+      );
+
+      const plans = [];
+      const conflicts = [];
+      const claimedPaths = new Set();
+
+      for (const root of roots) {
+        let parentId = root.parent_id;
+        let path = root.path;
+
+        if (parentId) {
+          const parents = await execute('SELECT path FROM files WHERE id = ? AND deleted_at IS NULL', [parentId]);
+
+          if (parents.length > 0) {
+            path = `${parents[0].path}/${root.name}`;
+          } else {
+            parentId = null;
+            path = root.name;
+          }
+        }
+
+        const taken = await execute(
+          'SELECT id FROM files WHERE client_id = ? AND path = ? AND deleted_at IS NULL LIMIT 1',
+          [clientId, path]
+        );
+
+        const rows = await execute(
+          `SELECT id, type, path, s3_key, s3_version_id, size_bytes, upload_status, upload_id FROM files
+           WHERE trash_root_id = ? AND purged_at IS NULL`,
+          [root.id]
+        );
+        const objects = planObjects(storageConfig, rows, root.path, path);
+        const keys = objects.map(object => object.key);
+
+        // A file created at the old path since uses the key; so may another trashed file without a pinned version
+        const keyTaken = keys.length > 0 && (
+          (await findLiveKeys(execute, clientId, keys)).length > 0 ||
+          (await this.findUnpinnedKeys(clientId, objects.filter(o => o.key !== o.oldKey).map(o => o.key))).length > 0
+        );
+
+        if (taken.length > 0 || keyTaken || claimedPaths.has(path)) {
+          conflicts.push({ id: root.id, name: root.name, path });
+          continue;
+        }
+
+        claimedPaths.add(path);
+        plans.push({ root, parentId, path, objects });
+      }
+
+      return { plans, conflicts };
+    });
+
+    // Storage first, outside the transaction; the rows only change once every object is in place
+    const copiedKeys = [];
+
+    try {
+      for (const plan of plans) {
+        plan.copiedKeys = [];
+
+        for (const object of plan.objects) {
+          if (await restoreObject(storageConfig, object)) {
+            plan.copiedKeys.push(object.key);
+            copiedKeys.push(object.key);
+          }
+        }
+      }
+    } catch (error) {
+      await deleteObjects(storageConfig, copiedKeys);
+      throw error;
+    }
+
+    let restoredPlans;
+
+    try {
+      restoredPlans = await transaction(async (conn) => {
+        const execute = async (sql, params) => (await conn.execute(sql, params))[0];
+        const done = [];
+
+        for (const plan of plans) {
+          const { root, parentId, path, objects } = plan;
+
+          // Check again: the item may have been purged, or its path or keys taken, in the meantime
+          const current = await execute(
+            `SELECT id FROM files
+             WHERE id = ? AND trash_root_id = id AND deleted_at IS NOT NULL AND purged_at IS NULL
+             FOR UPDATE`,
+            [root.id]
+          );
+          const taken = await execute(
+            'SELECT id FROM files WHERE client_id = ? AND path = ? AND deleted_at IS NULL LIMIT 1',
+            [clientId, path]
+          );
+          const liveKeys = await findLiveKeys(execute, clientId, objects.map(object => object.key));
+
+          if (current.length === 0 || taken.length > 0 || liveKeys.length > 0) {
+            conflicts.push({ id: root.id, name: root.name, path });
+            continue;
+          }
+
+          // Contents keep their place below the item; only the item's own path may have changed
+          await conn.execute(
+            `UPDATE files
+             SET path = CONCAT(?, SUBSTRING(path, CHAR_LENGTH(?) + 1)), deleted_at = NULL,
+                 trash_root_id = NULL, s3_version_id = NULL
+             WHERE trash_root_id = ? AND purged_at IS NULL`,
+            [path, root.path, root.id]
+          );
+
+          for (const object of objects.filter(o => o.key !== o.oldKey)) {
+            await conn.execute('UPDATE files SET s3_key = ? WHERE id = ?', [object.key, object.id]);
+          }
+
+          await conn.execute('UPDATE files SET parent_id = ? WHERE id = ?', [parentId, root.id]);
+
+          done.push(plan);
+        }
+
+        return done;
+      });
+    } catch (error) {
+      await deleteObjects(storageConfig, copiedKeys);
+      throw error;
+    }
+
+    const restoredIds = new Set(restoredPlans.map(plan => plan.root.id));
+    const discarded = plans.filter(plan => !restoredIds.has(plan.root.id));
+    await deleteObjects(storageConfig, discarded.flatMap(plan => plan.copiedKeys));
+
+    // Content copied to a new key is no longer needed at the old one
+    const moved = restoredPlans.flatMap(plan => plan.objects.filter(o => o.key !== o.oldKey));
+    if (moved.length > 0) {
+      const oldFiles = moved.map(o => ({ id: o.id, s3_key: o.oldKey, s3_version_id: o.versionId }));
+
+      try {
+        await removeObjects(clientId, storageConfig, oldFiles);
+      } catch (error) {
+        logger.error('Could not remove objects left behind by a restore:', error);
+      }
+    }
+
+    if (restoredPlans.length > 0) {
+      await this.refreshUsage(clientId);
+    }
+
+    return { restored: restoredPlans.map(plan => plan.root.id), conflicts };
+  }
+
+  /**
+   * Permanently delete trashed items (all of the client's trash when fileIds is null)
+   * Pinned versions are removed for good; the key itself is deleted unless another file still uses it
+   * Returns { purged: [ids], deletedObjects }
+   */
+  async purgeItems(clientId, fileIds = null) {
+    const rootFilter = fileIds
+      ? `trash_root_id IN (${placeholders(fileIds)})`
+      : 'trash_root_id IS NOT NULL';
+
+    const rows = await query(
+      `SELECT id, type, s3_key, s3_version_id, upload_id, trash_root_id FROM files
+       WHERE client_id = ? AND ${rootFilter} AND deleted_at IS NOT NULL AND purged_at IS NULL`,
+      [clientId, ...(fileIds || [])]
+    );
+
+    if (rows.length === 0) {
+      return { purged: [], deletedObjects: 0 };
+    }
+
+    const storageConfig = await findStorageConfig(clientId);
+    const purgingIds = new Set(rows.map(row => row.id));
+
+    let deletedObjects = 0;
+
+    for (const batch of chunk(rows, BATCH_SIZE)) {
+      const files = batch.filter(row => row.type === 'file' && row.s3_key);
+
+      if (storageConfig && files.length > 0) {
+        for (const file of files.filter(row => row.upload_id)) {
+          await s3Service.abortMultipartUpload(storageConfig, file.s3_key, file.upload_id).catch(() => {});
+        }
+
+        deletedObjects += await removeObjects(clientId, storageConfig, files, purgingIds);
+      }
+
+      const ids = batch.map(row => row.id);
+      await query(
+        `UPDATE files SET purged_at = NOW(), upload_id = NULL WHERE id IN (${placeholders(ids)})`,
+        ids
+      );
+    }
+
+    await this.refreshUsage(clientId);
+
+    const purged = [...new Set(rows.map(row => row.trash_root_id))];
+    logger.info(`Purged ${purged.length} trash item(s) (${deletedObjects} objects) for client ${clientId}`);
+
+    return { purged, deletedObjects };
+  }
+
+  /**
+   * Purge items that have been in the trash longer than the retention period
+   */
+  async purgeExpired() {
+    const retentionDays = await this.getRetentionDays();
+
+    const clients = await query(
+      `SELECT DISTINCT client_id FROM files
+       WHERE trash_root_id = id AND purged_at IS NULL
+         AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [retentionDays]
+    );
+
+    let purgedItems = 0;
+    let deletedObjects = 0;
+    let failed = 0;
+
+    for (const { client_id: clientId } of clients) {
+      try {
+        const roots = await query(
+          `SELECT id FROM files
+           WHERE client_id = ? AND trash_root_id = id AND purged_at IS NULL
+             AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+           ORDER BY deleted_at ASC
+           LIMIT ${PURGE_ITEMS_PER_RUN}`,
+          [clientId, retentionDays]
+        );
+
+        const result = await this.purgeItems(clientId, roots.map(row => row.id));
+        purgedItems += result.purged.length;
+        deletedObjects += result.deletedObjects;
+      } catch (error) {
+        failed++;
+        logger.error(`Trash purge failed for client ${clientId}:`, error);
+      }
+    }
+
+    return { retentionDays, purgedItems, deletedObjects, failed };
+  }
+}
+
+export default new TrashService();
@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import { query, transaction } from '../config/database.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by all authenticator apps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Accept codes from one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const ISSUER = 'TrueBackup';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as unpadded base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode unpadded base32
+ */
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ */
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * SHA-256 hex digest used to store recovery codes
+ */
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Recovery codes are compared without dashes or case
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+class TwoFactorService {
+  /**
+   * New random TOTP secret (160 bits, base32)
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * otpauth:// URI for authenticator app enrollment (usually shown as a QR code)
+   */
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Find the time step a code is valid for, or null
+   * Steps at or before lastUsedStep are rejected so a code can't be replayed
+   */
+  matchCode(secret, code, lastUsedStep = null) {
+    if (!/^\d{6}$/.test(String(code))) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const step = currentStep + drift;
+
+      if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = hotp(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a pending secret for enrollment, replacing any earlier unconfirmed one
+   */
+  async startEnrollment(user) {
+    const secret = this.generateSecret();
+
+    await query(
+      'UPDATE users SET totp_secret = ?, totp_last_used_step = NULL WHERE id = ? AND totp_enabled = FALSE',
+      [secret, user.id]
+    );
+
+    return {
+      secret,
+      otpauthUri: this.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret
+   * Returns fresh recovery codes, or null when the code is wrong
+   */
+  async completeEnrollment(user, code) {
+    const step = this.matchCode(user.totp_secret, code);
+
+    if (step === null) {
+      return null;
+    }
+
+    return transaction(async (conn) => {
+      await conn.execute(
+        `UPDATE users
+         SET totp_enabled = TRUE, totp_enabled_at = NOW(), totp_last_used_step = ?
+         WHERE id = ?`,
+        [step, user.id]
+      );
+
+      return this.replaceRecoveryCodes(conn, user.id);
+    });
+  }
+
+  /**
+   * Check a TOTP code for an enrolled user and record its step so it can't be reused
+   */
+  async verifyCode(user, code) {
+    const step = this.matchCode(user.totp_secret, code, user.totp_last_used_step);
+
+    if (step === null) {
+      return false;
+    }
+
+    // Conditional update so two concurrent requests can't both use the same code
+    const result = await query(
+      `UPDATE users SET totp_last_used_step = ?
+       WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+      [step, user.id, step]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Consume a one-time recovery code
+   */
+  async useRecoveryCode(userId, code) {
+    const result = await query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashCode(normalizeRecoveryCode(code))]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Verify either a TOTP code or a recovery code
+   * Returns 'totp', 'recovery_code', or null when neither is valid
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (code) {
+      return (await this.verifyCode(user, code)) ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      return (await this.useRecoveryCode(user.id, recoveryCode)) ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace all recovery codes for a user inside an open transaction
+   * Returns the plain codes; only hashes are stored
+   */
+  async replaceRecoveryCodes(conn, userId) {
+    await conn.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+
+      await conn.execute(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hashCode(raw)]
+      );
+    }
+
+    return codes;
+  }
+
+  /**
+   * Issue a new set of recovery codes, invalidating the old ones
+   */
+  async regenerateRecoveryCodes(userId) {
+    return transaction(conn => this.replaceRecoveryCodes(conn, userId));
+  }
+
+  /**
+   * Turn 2FA off and remove the secret and recovery codes
+   */
+  async disable(userId) {
+    await transaction(async (conn) => {
+      await conn.execute(
+        `UPDATE users
+         SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+         WHERE id = ?`,
+        [userId]
+      );
+
+      await conn.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    });
+  }
+
+  /**
+   * 2FA status for a user row
+   */
+  async getStatus(user) {
+    const [{ remaining }] = await query(
+      'SELECT COUNT(*) as remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+
+    return {
+      enabled: Boolean(user.totp_enabled),
+      enabledAt: user.totp_enabled_at || null,
+      recoveryCodesRemaining: user.totp_enabled ? remaining : 0
+    };
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,204 @@
+import { query } from '../config/database.js';
+import config from '../config/index.js';
+import s3Service from './s3.service.js';
+import alertService from './alert.service.js';
+import logger from '../utils/logger.js';
+
+// Rows looked at per status in one reconciliation run
+const RECONCILE_BATCH_SIZE = 500;
+
+const FILE_WITH_STORAGE_SQL = `
+  SELECT f.id, f.client_id, f.name, f.size_bytes, f.s3_key, f.upload_id, f.upload_status,
+         cs.bucket_name, cs.endpoint, cs.region,
+         cs.access_key_id, cs.secret_access_key, cs.data_key, cs.key_version
+  FROM files f
+  JOIN client_storage_config cs ON f.client_id = cs.client_id`;
+
+/**
+ * ETag without quotes or weak prefix, for comparison
+ */
+function normalizeEtag(etag) {
+  return etag ? String(etag).replace(/^W\//, '').replace(/"/g, '').toLowerCase() : null;
+}
+
+/**
+ * Upload lifecycle of file rows: pending (row created, bytes on their way),
+ * uploaded (client reported done, not yet checked), verified (object matches), failed
+ */
+class UploadService {
+  /**
+   * Check the stored object against its file row with a HEAD request and record the outcome
+   * storageConfig is the client's storage config; expectedEtag is the ETag the client got from S3 (optional)
+   * Returns { status, reason, etag }; found is false (and the row untouched) when the object isn't stored yet
+   */
+  async verifyUpload(file, storageConfig, expectedEtag = null) {
+    const object = await s3Service.headObject(storageConfig, file.s3_key);
+
+    if (!object) {
+      return { found: false, status: file.upload_status, reason: 'Object not found in storage', etag: null };
+    }
+
+    let reason = null;
+
+    if (Number(object.sizeBytes) !== Number(file.size_bytes)) {
+      reason = `Stored object is ${object.sizeBytes} bytes, expected ${file.size_bytes}`;
+    } else if (expectedEtag && normalizeEtag(expectedEtag) !== normalizeEtag(object.etag)) {
+      reason = 'Stored object ETag does not match the uploaded one';
+    }
+
+    const status = reason ? 'failed' : 'verified';
+
+    await query(
+      `UPDATE files
+       SET upload_status = ?, s3_etag = ?, upload_verified_at = IF(? = 'verified', NOW(), NULL)
+       WHERE id = ? AND upload_id IS NULL`,
+      [status, object.etag || null, status, file.id]
+    );
+
+    if (reason) {
+      logger.warn(`Upload verification failed for file ${file.id}: ${reason}`);
+    }
+
+    return { found: true, status, reason, etag: object.etag };
+  }
+
+  /**
+   * Settle uploads nobody finished: re-check rows left 'uploaded' when S3 couldn't be reached,
+   * then expire rows still pending after UPLOAD_PENDING_EXPIRES_HOURS
+   * (multipart uploads are aborted; single uploads whose object did arrive are verified instead)
+   * and finally remove failed rows of that age
+   */
+  async reconcileUploads() {
+    const result = { verified: 0, failed: 0, aborted: 0, removed: 0, errors: 0 };
+    const touchedClients = new Set();
+
+    const record = (file, status) => {
+      result[status === 'verified' ? 'verified' : 'failed']++;
+      touchedClients.add(file.client_id);
+    };
+
+    const uploaded = await query(
+      `${FILE_WITH_STORAGE_SQL}
+       WHERE f.upload_status = 'uploaded' AND f.upload_id IS NULL AND f.deleted_at IS NULL
+       ORDER BY f.created_at ASC
+       LIMIT ${RECONCILE_BATCH_SIZE}`
+    );
+
+    for (const file of uploaded) {
+      try {
+        const outcome = await this.verifyUpload(file, file);
+
+        if (!outcome.found) {
+          await query("UPDATE files SET upload_status = 'pending' WHERE id = ? AND upload_status = 'uploaded'", [file.id]);
+        } else {
+          record(file, outcome.status);
+        }
+      } catch (error) {
+        result.errors++;
+        logger.error(`Upload verification failed for file ${file.id}:`, error);
+      }
+    }
+
+    const stale = await query(
+      `${FILE_WITH_STORAGE_SQL}
+       WHERE f.upload_status = 'pending' AND f.deleted_at IS NULL
+         AND f.created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+       ORDER BY f.created_at ASC
+       LIMIT ${RECONCILE_BATCH_SIZE}`,
+      [config.app.uploadPendingExpiresHours]
+    );
+
+    for (const file of stale) {
+      try {
+        if (file.upload_id) {
+          try {
+            await s3Service.abortMultipartUpload(file, file.s3_key, file.upload_id);
+          } catch (error) {
+            // Already completed or removed by a bucket lifecycle rule
+            if (error.name !== 'NoSuchUpload') throw error;
+          }
+
+          await query(
+            "UPDATE files SET upload_status = 'failed', upload_id = NULL WHERE id = ? AND upload_id = ?",
+            [file.id, file.upload_id]
+          );
+          result.aborted++;
+          record(file, 'failed');
+          continue;
+        }
+
+        const outcome = await this.verifyUpload(file, file);
+
+        if (!outcome.found) {
+          await query("UPDATE files SET upload_status = 'failed' WHERE id = ? AND upload_status = 'pending'", [file.id]);
+        }
+
+        record(file, outcome.found ? outcome.status : 'failed');
+      } catch (error) {
+        result.errors++;
+        logger.error(`Expiring upload failed for file ${file.id}:`, error);
+      }
+    }
+
+    result.removed = await this.removeFailedUploads();
+
+    for (const clientId of touchedClients) {
+      await query('CALL recalculate_client_storage(?)', [clientId]);
+      await alertService.checkClientSafely(clientId, ['storage']);
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete failed upload rows older than UPLOAD_PENDING_EXPIRES_HOURS so they stop being listed
+   * and holding their path; the (partial or wrong) object goes too unless another file uses the key
+   * Returns the number of rows removed
+   */
+  async removeFailedUploads() {
+    const failed = await query(
+      `${FILE_WITH_STORAGE_SQL}
+       WHERE f.upload_status = 'failed' AND f.deleted_at IS NULL
+         AND f.created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+       ORDER BY f.created_at ASC
+       LIMIT ${RECONCILE_BATCH_SIZE}`,
+      [config.app.uploadPendingExpiresHours]
+    );
+
+    let removed = 0;
+
+    for (const file of failed) {
+      try {
+        await query(
+          "UPDATE files SET deleted_at = NOW() WHERE id = ? AND upload_status = 'failed' AND deleted_at IS NULL",
+          [file.id]
+        );
+
+        if (!file.s3_key) {
+          removed++;
+          continue;
+        }
+
+        const users = await query(
+          `SELECT id FROM files
+           WHERE client_id = ? AND s3_key = ? AND id <> ?
+             AND (deleted_at IS NULL OR (trash_root_id IS NOT NULL AND purged_at IS NULL))
+           LIMIT 1`,
+          [file.client_id, file.s3_key, file.id]
+        );
+
+        if (users.length === 0) {
+          await s3Service.deleteFile(file, file.s3_key);
+        }
+
+        removed++;
+      } catch (error) {
+        logger.error(`Removing failed upload ${file.id} failed:`, error);
+      }
+    }
+
+    return removed;
+  }
+}
+
+export default new UploadService();
@@ -0,0 +1,100 @@
+import settingsService from './settings.service.js';
+
+const BYTES_PER_GB = 1024 ** 3;
+
+class UsageService {
+  /**
+   * Get pricing from system settings
+   */
+  async getPricing() {
+    const [storage, egress] = await Promise.all([
+      settingsService.getJson('storage_price_per_gb', { inr: 0, usd: 0 }),
+      settingsService.getJson('egress_overage_price_per_gb', { inr: 0, usd: 0 })
+    ]);
+
+    return {
+      storagePricePerGb: { inr: Number(storage.inr || 0), usd: Number(storage.usd || 0) },
+      egressOveragePricePerGb: { inr: Number(egress.inr || 0), usd: Number(egress.usd || 0) }
+    };
+  }
+
+  /**
+   * Calculate storage and egress overage cost in INR and USD
+   */
+  calculateCost({ storageGb, egressGb, egressFreeLimitGb }, pricing) {
+    const chargeableEgressGb = Math.max(0, egressGb - egressFreeLimitGb);
+    const money = value => parseFloat(value.toFixed(2));
+
+    const storage = {
+      inr: money(storageGb * pricing.storagePricePerGb.inr),
+      usd: money(storageGb * pricing.storagePricePerGb.usd)
+    };
+    const egress = {
+      inr: money(chargeableEgressGb * pricing.egressOveragePricePerGb.inr),
+      usd: money(chargeableEgressGb * pricing.egressOveragePricePerGb.usd)
+    };
+
+    return {
+      storageGb: parseFloat(storageGb.toFixed(4)),
+      egressGb: parseFloat(egressGb.toFixed(4)),
+      chargeableEgressGb: parseFloat(chargeableEgressGb.toFixed(4)),
+      storage,
+      egress,
+      total: {
+        inr: money(storage.inr + egress.inr),
+        usd: money(storage.usd + egress.usd)
+      }
+    };
+  }
+
+  /**
+   * Map a 'YYYY-MM-DD' day to its bucket key for the given granularity
+   * Weeks are keyed by their Monday, months by 'YYYY-MM'
+   */
+  bucketKey(day, granularity) {
+    if (granularity === 'month') {
+      return day.slice(0, 7);
+    }
+
+    if (granularity === 'week') {
+      const date = new Date(`${day}T00:00:00Z`);
+      const offset = (date.getUTCDay() + 6) % 7; // Days since Monday
+      date.setUTCDate(date.getUTCDate() - offset);
+      return date.toISOString().slice(0, 10);
+    }
+
+    return day;
+  }
+
+  /**
+   * List every day ('YYYY-MM-DD') from `from` to `to` inclusive
+   */
+  listDays(from, to) {
+    const days = [];
+    const cursor = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+
+    while (cursor <= end) {
+      days.push(cursor.toISOString().slice(0, 10));
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return days;
+  }
+
+  /**
+   * List ordered bucket keys covering `from` to `to`
+   */
+  listBuckets(from, to, granularity) {
+    return [...new Set(this.listDays(from, to).map(day => this.bucketKey(day, granularity)))];
+  }
+
+  /**
+   * Convert bytes to GB rounded for API responses
+   */
+  bytesToGb(bytes) {
+    return parseFloat((Number(bytes) / BYTES_PER_GB).toFixed(4));
+  }
+}
+
+export default new UsageService();
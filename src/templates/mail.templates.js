@@ -0,0 +1,163 @@
+/**
+ * Email templates
+ * Each template receives a data object and returns { subject, text, html }
+ */
+
+import { escapeHtml } from '../utils/escape.js';
+
+/**
+ * Wrap paragraphs (and an optional call-to-action link) in the common HTML layout
+ */
+function layout(paragraphs, action = null) {
+  const body = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n      ');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#fff;text-decoration:none;border-radius:4px;">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <div style="max-width: 560px; margin: 0 auto; padding: 24px;">
+      <h2 style="margin-top: 0;">TrueBackup</h2>
+      ${body}
+      ${button}
+      <p style="color: #888; font-size: 12px;">This is an automated message from TrueBackup.</p>
+    </div>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Build a template result from plain paragraphs
+ */
+function message(subject, paragraphs, action = null) {
+  const text = [...paragraphs, ...(action ? [`${action.label}: ${action.url}`] : [])].join('\n\n');
+  return { subject, text: `${text}\n`, html: layout(paragraphs, action) };
+}
+
+const templates = {
+  /**
+   * Storage or egress threshold crossed
+   * data: { name, alertType, message, thresholdPercent }
+   */
+  threshold_alert: ({ name, alertType, message: alertMessage, thresholdPercent }) => {
+    const metric = alertType.startsWith('storage') ? 'Storage' : 'Egress';
+    return message(
+      `${metric} usage alert: ${thresholdPercent}% reached`,
+      [
+        `Hello ${name},`,
+        alertMessage,
+        'You can review your usage in the TrueBackup dashboard.'
+      ]
+    );
+  },
+
+  /**
+   * Password reset by an administrator
+   * data: { name }
+   */
+  admin_password_reset: ({ name }) => message(
+    'Your TrueBackup password was reset',
+    [
+      `Hello ${name},`,
+      'An administrator has reset the password for your TrueBackup account and all active sessions have been signed out.',
+      'Your administrator will share the new password with you. If you did not expect this change, please contact support.'
+    ]
+  ),
+
+  /**
+   * Email address verification link for self-registered accounts
+   * data: { name, verifyUrl, expiresHours }
+   */
+  email_verification: ({ name, verifyUrl, expiresHours }) => message(
+    'Verify your TrueBackup email address',
+    [
+      `Hello ${name},`,
+      `Please confirm your email address to finish setting up your TrueBackup account. The link expires in ${expiresHours} hours.`,
+      'If you did not create an account, you can ignore this email.'
+    ],
+    { label: 'Verify email', url: verifyUrl }
+  ),
+
+  /**
+   * Self-service password reset link
+   * data: { name, resetUrl, expiresMinutes }
+   */
+  password_reset_request: ({ name, resetUrl, expiresMinutes }) => message(
+    'Reset your TrueBackup password',
+    [
+      `Hello ${name},`,
+      `We received a request to reset your TrueBackup password. The link below can be used once and expires in ${expiresMinutes} minutes.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ],
+    { label: 'Reset password', url: resetUrl }
+  ),
+
+  /**
+   * Password changed through the reset flow
+   * data: { name }
+   */
+  password_reset_complete: ({ name }) => message(
+    'Your TrueBackup password was changed',
+    [
+      `Hello ${name},`,
+      'Your password was reset and all active sessions have been signed out.',
+      'If you did not make this change, please contact support immediately.'
+    ]
+  ),
+
+  /**
+   * Account suspended by an administrator
+   * data: { name }
+   */
+  account_suspended: ({ name }) => message(
+    'Your TrueBackup account has been suspended',
+    [
+      `Hello ${name},`,
+      'Your TrueBackup account has been suspended. Uploads, downloads and share links are unavailable until it is reactivated.',
+      'Please contact support if you believe this is a mistake.'
+    ]
+  ),
+
+  /**
+   * Account reactivated by an administrator
+   * data: { name }
+   */
+  account_activated: ({ name }) => message(
+    'Your TrueBackup account has been reactivated',
+    [
+      `Hello ${name},`,
+      'Your TrueBackup account is active again. You can upload, download and share files as before.'
+    ]
+  ),
+
+  /**
+   * A share link was sent to a recipient
+   * data: { senderName, fileName, shareUrl, expiresAt, passwordProtected }
+   */
+  share_link_created: ({ senderName, fileName, shareUrl, expiresAt, passwordProtected }) => message(
+    `${senderName} shared "${fileName}" with you`,
+    [
+      `${senderName} has shared "${fileName}" with you on TrueBackup.`,
+      `This link expires on ${new Date(expiresAt).toUTCString()}.`,
+      ...(passwordProtected ? ['The link is password protected; the sender will give you the password separately.'] : [])
+    ],
+    { label: 'Open shared file', url: shareUrl }
+  )
+};
+
+/**
+ * Render a named template
+ */
+export function renderTemplate(name, data) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+}
+
+export default templates;
@@ -0,0 +1,29 @@
+/**
+ * Escaping for values written into generated documents
+ */
+
+/**
+ * Escape a value for HTML output
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Quote a value for CSV output
+ * Text that a spreadsheet would read as a formula gets a leading ' (plain numbers are left alone)
+ */
+export function csvCell(value) {
+  let text = String(value ?? '');
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+const logActivity = jest.fn();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  default: {},
+  query,
+  transaction: jest.fn()
+}));
+jest.unstable_mockModule('../src/services/activity.service.js', () => ({
+  default: { logActivity }
+}));
+
+const { default: config } = await import('../src/config/index.js');
+const { default: authController } = await import('../src/controllers/auth.controller.js');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const session = {
+  id: 'session-1',
+  ip_address: '10.0.0.1',
+  user_id: 'user-1',
+  email: 'jane@example.com',
+  name: 'Jane'
+};
+
+/**
+ * Refresh token for the session, shaped like the ones login issues
+ */
+function refreshTokenFor(sessionId = session.id, secret = config.jwt.refreshSecret) {
+  return jwt.sign(
+    { userId: session.user_id, nonce: crypto.randomBytes(16).toString('hex') },
+    secret,
+    { expiresIn: '7d', jwtid: sessionId }
+  );
+}
+
+/**
+ * Call the handler and collect what it sent or passed to next()
+ */
+async function refresh(refreshToken) {
+  const req = { body: { refreshToken }, ip: '10.0.0.2', get: () => 'jest' };
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+
+  await authController.refreshToken(req, res, next);
+
+  return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+}
+
+/**
+ * Queries issued, matched by SQL text
+ */
+const calls = pattern => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+afterEach(() => {
+  query.mockReset();
+  logActivity.mockReset();
+});
+
+describe('refresh token rotation', () => {
+  test('swaps the current refresh token for a new pair', async () => {
+    query
+      .mockResolvedValueOnce([session])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    const presented = refreshTokenFor();
+    const { body, error } = await refresh(presented);
+
+    expect(error).toBeUndefined();
+    expect(body.success).toBe(true);
+
+    const { accessToken, refreshToken } = body.data;
+    expect(refreshToken).not.toBe(presented);
+    expect(jwt.verify(accessToken, config.jwt.secret).jti).toBe(session.id);
+    expect(jwt.verify(refreshToken, config.jwt.refreshSecret).jti).toBe(session.id);
+
+    // Only the presented token may be swapped, and the session stores the new hashes
+    const [[, params]] = calls(/UPDATE user_sessions/);
+    expect(params[0]).toBe(sha256(accessToken));
+    expect(params[1]).toBe(sha256(refreshToken));
+    expect(params.slice(3)).toEqual([session.id, sha256(presented)]);
+
+    expect(calls(/DELETE FROM user_sessions/)).toHaveLength(0);
+  });
+
+  test('revokes the session when a rotated-out token is presented again', async () => {
+    query
+      .mockResolvedValueOnce([session])
+      .mockResolvedValueOnce({ affectedRows: 0 })
+      .mockResolvedValueOnce({ affectedRows: 1 })
+      .mockResolvedValueOnce([{ id: session.user_id, roles: 'client' }]);
+
+    const { body, error } = await refresh(refreshTokenFor());
+
+    expect(body).toBeUndefined();
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe('REFRESH_TOKEN_REUSED');
+
+    const [[, params]] = calls(/DELETE FROM user_sessions/);
+    expect(params).toEqual([session.id]);
+
+    expect(logActivity).toHaveBeenCalledWith(expect.objectContaining({
+      userId: session.user_id,
+      action: 'refresh_token_reuse',
+      resourceId: session.id
+    }));
+  });
+
+  test('refuses tokens of sessions that are gone', async () => {
+    query.mockResolvedValueOnce([]);
+
+    const { error } = await refresh(refreshTokenFor('revoked-session'));
+
+    expect(error.code).toBe('SESSION_INVALID');
+    expect(calls(/UPDATE user_sessions/)).toHaveLength(0);
+  });
+
+  test('refuses tokens not signed with the refresh secret', async () => {
+    const { error } = await refresh(refreshTokenFor(session.id, config.jwt.secret));
+
+    expect(error).toBeInstanceOf(jwt.JsonWebTokenError);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('needs a token', async () => {
+    const { error } = await refresh(undefined);
+
+    expect(error.code).toBe('TOKEN_REQUIRED');
+  });
+});
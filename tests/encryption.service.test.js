@@ -0,0 +1,117 @@
+import config from '../src/config/index.js';
+import encryptionService from '../src/services/encryption.service.js';
+
+const original = { ...config.encryption };
+
+/**
+ * Point the service at a key setup (keys are loaded once, so drop the cached ones)
+ */
+function useKeys({ key, keyVersion, previousKeys = '' }) {
+  Object.assign(config.encryption, { key, keyVersion, previousKeys });
+  encryptionService.keys = null;
+}
+
+afterAll(() => {
+  useKeys(original);
+});
+
+describe('storage credentials', () => {
+  beforeEach(() => {
+    useKeys({ key: 'current-secret', keyVersion: 1 });
+  });
+
+  test('round-trip through the stored column values', () => {
+    const row = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret/with+chars');
+
+    expect(row.key_version).toBe(1);
+    expect(row.access_key_id).not.toContain('AKIAEXAMPLE');
+    expect(row.secret_access_key).not.toContain('secret/with+chars');
+
+    expect(encryptionService.decryptStorageCredentials(row)).toEqual({
+      accessKeyId: 'AKIAEXAMPLE',
+      secretAccessKey: 'secret/with+chars'
+    });
+  });
+
+  test('use a fresh data key and IV for every row', () => {
+    const first = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret');
+    const second = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret');
+
+    expect(second.data_key).not.toBe(first.data_key);
+    expect(second.access_key_id).not.toBe(first.access_key_id);
+  });
+
+  test('pass legacy plaintext rows (no data key) through', () => {
+    expect(encryptionService.decryptStorageCredentials({
+      access_key_id: 'AKIAPLAIN',
+      secret_access_key: 'plain-secret',
+      data_key: null,
+      key_version: null
+    })).toEqual({ accessKeyId: 'AKIAPLAIN', secretAccessKey: 'plain-secret' });
+  });
+
+  test('refuse values moved to another column', () => {
+    const row = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret');
+
+    expect(() => encryptionService.decryptStorageCredentials({
+      ...row,
+      access_key_id: row.secret_access_key,
+      secret_access_key: row.access_key_id
+    })).toThrow();
+  });
+
+  test('refuse tampered ciphertext', () => {
+    const row = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret');
+    const bytes = Buffer.from(row.secret_access_key, 'base64');
+    bytes[bytes.length - 1] ^= 1;
+
+    expect(() => encryptionService.decryptStorageCredentials({
+      ...row,
+      secret_access_key: bytes.toString('base64')
+    })).toThrow();
+  });
+
+  test('need ENCRYPTION_KEY to encrypt', () => {
+    useKeys({ key: undefined, keyVersion: 1 });
+
+    expect(() => encryptionService.encryptStorageCredentials('a', 'b')).toThrow('ENCRYPTION_KEY is not configured');
+  });
+});
+
+describe('key rotation', () => {
+  test('rewraps a data key with the new key without changing the values', () => {
+    useKeys({ key: 'old-secret', keyVersion: 1 });
+    const row = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret');
+
+    useKeys({ key: 'new-secret', keyVersion: 2, previousKeys: '1:old-secret' });
+
+    // Still readable with the previous key listed
+    expect(encryptionService.decryptStorageCredentials(row).accessKeyId).toBe('AKIAEXAMPLE');
+
+    const rewrapped = encryptionService.rewrapDataKey(row.data_key, row.key_version);
+    expect(rewrapped.keyVersion).toBe(2);
+
+    const migrated = { ...row, data_key: rewrapped.dataKey, key_version: rewrapped.keyVersion };
+
+    // Readable once the old key is retired
+    useKeys({ key: 'new-secret', keyVersion: 2 });
+    expect(encryptionService.decryptStorageCredentials(migrated)).toEqual({
+      accessKeyId: 'AKIAEXAMPLE',
+      secretAccessKey: 'secret'
+    });
+    expect(() => encryptionService.decryptStorageCredentials(row)).toThrow('Encryption key version 1 is not configured');
+  });
+
+  test('binds a wrapped data key to its version', () => {
+    useKeys({ key: 'same-secret', keyVersion: 2, previousKeys: '1:same-secret' });
+    const row = encryptionService.encryptStorageCredentials('AKIAEXAMPLE', 'secret');
+
+    expect(() => encryptionService.decryptStorageCredentials({ ...row, key_version: 1 })).toThrow();
+  });
+
+  test('rejects a malformed ENCRYPTION_PREVIOUS_KEYS', () => {
+    useKeys({ key: 'new-secret', keyVersion: 2, previousKeys: 'old-secret' });
+
+    expect(() => encryptionService.getKeys()).toThrow(/ENCRYPTION_PREVIOUS_KEYS/);
+  });
+});
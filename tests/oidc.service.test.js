@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/config/database.js', () => ({ query: jest.fn() }));
+
+const { default: oidcService } = await import('../src/services/oidc.service.js');
+
+const provider = {
+  id: 'test',
+  issuer: 'https://idp.example.com',
+  clientId: 'truebackup'
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+/**
+ * ID token signed with the provider's key (overrides change claims or signing options)
+ */
+function idToken(claims = {}, options = {}) {
+  return jwt.sign(
+    { sub: 'user-123', nonce: 'nonce-1', email: 'jane@example.com', ...claims },
+    'key' in options ? options.key : privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer: provider.issuer,
+      audience: provider.clientId,
+      expiresIn: '5m',
+      ...options.sign
+    }
+  );
+}
+
+beforeEach(() => {
+  // Serve the provider's JWKS from the cache so nothing is fetched
+  oidcService.jwks.set(provider.id, {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }],
+    fetchedAt: Date.now()
+  });
+});
+
+describe('verifyIdToken', () => {
+  test('returns the claims of a valid token', async () => {
+    const claims = await oidcService.verifyIdToken(provider, idToken(), 'nonce-1');
+
+    expect(claims.sub).toBe('user-123');
+    expect(claims.email).toBe('jane@example.com');
+  });
+
+  test('rejects a nonce from another login', async () => {
+    await expect(oidcService.verifyIdToken(provider, idToken(), 'nonce-2')).rejects.toThrow('nonce');
+    await expect(oidcService.verifyIdToken(provider, idToken({ nonce: undefined }), 'nonce-1')).rejects.toThrow('nonce');
+  });
+
+  test('rejects a token issued for another client', async () => {
+    const token = idToken({}, { sign: { audience: 'someone-else' } });
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow(/audience/);
+  });
+
+  test('rejects a token from another issuer', async () => {
+    const token = idToken({}, { sign: { issuer: 'https://evil.example.com' } });
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow(/issuer/);
+  });
+
+  test('rejects an expired token', async () => {
+    const token = idToken({}, { sign: { expiresIn: -60 } });
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow(/expired/);
+  });
+
+  test('rejects a token signed with another key', async () => {
+    const token = idToken({}, { key: otherKeys.privateKey });
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow(/signature/);
+  });
+
+  test('rejects unsigned tokens', async () => {
+    const token = idToken({}, { key: null, sign: { algorithm: 'none' } });
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow(/signature is required/);
+  });
+
+  test('rejects HMAC tokens keyed with the public key', async () => {
+    const secret = publicKey.export({ format: 'pem', type: 'spki' });
+    const token = jwt.sign(
+      { sub: 'user-123', nonce: 'nonce-1' },
+      secret,
+      { algorithm: 'HS256', keyid: 'key-1', issuer: provider.issuer, audience: provider.clientId }
+    );
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow(/invalid algorithm/);
+  });
+
+  test('rejects a token without a subject', async () => {
+    const token = idToken({ sub: undefined });
+
+    await expect(oidcService.verifyIdToken(provider, token, 'nonce-1')).rejects.toThrow('subject');
+  });
+
+  test('rejects malformed tokens', async () => {
+    await expect(oidcService.verifyIdToken(provider, 'not-a-jwt', 'nonce-1')).rejects.toThrow('Malformed ID token');
+  });
+});
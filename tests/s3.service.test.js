@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+
+const send = jest.fn();
+
+jest.unstable_mockModule('@aws-sdk/client-sts', () => ({
+  STSClient: jest.fn(() => ({ send })),
+  AssumeRoleCommand: jest.fn(input => ({ input }))
+}));
+
+const { default: s3Service } = await import('../src/services/s3.service.js');
+
+const storageConfig = {
+  bucket_name: 'shared-bucket',
+  region: 'us-east-1',
+  access_key_id: 'AKIAPLAIN',
+  secret_access_key: 'plain-secret',
+  data_key: null,
+  key_version: null,
+  sts_role_arn: 'arn:aws:iam::123456789012:role/truebackup-app'
+};
+
+/**
+ * Session policy sent with the AssumeRole call for a bucket prefix
+ */
+async function policyFor(bucketPrefix) {
+  send.mockResolvedValueOnce({
+    Credentials: { AccessKeyId: 'ASIA', SecretAccessKey: 'secret', SessionToken: 'token', Expiration: new Date() }
+  });
+
+  await s3Service.getScopedCredentials({ ...storageConfig, bucket_prefix: bucketPrefix }, 'jest', 3600);
+
+  return JSON.parse(send.mock.calls.at(-1)[0].input.Policy);
+}
+
+describe('scoped credentials policy', () => {
+  test('ends the prefix at a slash so it does not match longer prefixes', async () => {
+    const [objects, listing] = (await policyFor('client-1')).Statement;
+
+    expect(objects.Resource).toEqual(['arn:aws:s3:::shared-bucket/client-1/*']);
+    expect(listing.Condition.StringLike['s3:prefix']).toEqual(['client-1/*']);
+  });
+
+  test('does not double a trailing slash', async () => {
+    const [objects, listing] = (await policyFor('client-1//')).Statement;
+
+    expect(objects.Resource).toEqual(['arn:aws:s3:::shared-bucket/client-1/*']);
+    expect(listing.Condition.StringLike['s3:prefix']).toEqual(['client-1/*']);
+  });
+
+  test('covers the whole bucket without a prefix', async () => {
+    const [objects, listing] = (await policyFor('')).Statement;
+
+    expect(objects.Resource).toEqual(['arn:aws:s3:::shared-bucket/*']);
+    expect(listing.Condition).toBeUndefined();
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+const execute = jest.fn();
+const s3 = {
+  generateS3Key: (prefix, path) => `${prefix}/${path}`,
+  headObject: jest.fn(),
+  copyObject: jest.fn(),
+  deleteFile: jest.fn(),
+  deleteFiles: jest.fn()
+};
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  default: {},
+  query,
+  transaction: async (callback) => callback({ execute })
+}));
+jest.unstable_mockModule('../src/services/s3.service.js', () => ({ default: s3 }));
+jest.unstable_mockModule('../src/services/settings.service.js', () => ({
+  default: { getNumber: jest.fn() }
+}));
+jest.unstable_mockModule('../src/services/alert.service.js', () => ({
+  default: { checkClientSafely: jest.fn() }
+}));
+
+const { default: trashService } = await import('../src/services/trash.service.js');
+
+const storageConfig = { client_id: 'client-1', bucket_name: 'bucket', bucket_prefix: 'p' };
+
+// A file trashed from folder A; A went to the trash after it, and a new A/x has been created since
+const trashed = {
+  id: 'x',
+  name: 'x',
+  type: 'file',
+  path: 'A/x',
+  parent_id: 'old-a',
+  s3_key: 'p/A/x',
+  s3_version_id: 'v1',
+  size_bytes: 1024,
+  upload_status: 'verified',
+  upload_id: null
+};
+
+/**
+ * Answer the service's SQL against a tree: live rows by path and key, and the trashed file
+ */
+function useTree({ livePaths = ['A/x'], liveKeys = ['p/A/x'], failUpdate = false } = {}) {
+  const answer = async (sql, params) => {
+    if (/FROM client_storage_config/.test(sql)) return [storageConfig];
+    if (/FOR UPDATE/.test(sql)) return [{ id: trashed.id }];
+    if (/trash_root_id = id/.test(sql)) return [trashed];
+    if (/SELECT path FROM files WHERE id = \?/.test(sql)) return [];
+    if (/path = \? AND deleted_at IS NULL/.test(sql)) return livePaths.includes(params[1]) ? [{ id: 'live' }] : [];
+    if (/^SELECT id, type, path/.test(sql.trim())) return [trashed];
+    if (/deleted_at IS NULL OR/.test(sql)) {
+      return params.slice(1).filter(key => liveKeys.includes(key)).map(s3_key => ({ id: 'live', s3_key }));
+    }
+    if (/SELECT DISTINCT s3_key[\s\S]*deleted_at IS NULL/.test(sql)) {
+      return params.slice(1).filter(key => liveKeys.includes(key)).map(s3_key => ({ s3_key }));
+    }
+    if (/^UPDATE files\s+SET path/.test(sql.trim()) && failUpdate) throw new Error('lock wait timeout');
+    if (/^UPDATE|^CALL/.test(sql.trim())) return { affectedRows: 1 };
+    return [];
+  };
+
+  query.mockImplementation(answer);
+  execute.mockImplementation(async (sql, params) => [await answer(sql, params)]);
+}
+
+/**
+ * Statements sent in the transactions, matched by SQL text
+ */
+const executed = pattern => execute.mock.calls.filter(([sql]) => pattern.test(sql));
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('restoring a file whose folder is gone', () => {
+  test('copies its pinned version to the key of the new path instead of over the live file', async () => {
+    useTree();
+
+    const result = await trashService.restoreItems('client-1', ['x']);
+
+    expect(result).toEqual({ restored: ['x'], conflicts: [] });
+    expect(s3.copyObject).toHaveBeenCalledTimes(1);
+    expect(s3.copyObject).toHaveBeenCalledWith(storageConfig, 'p/A/x', 'p/x', 1024, 'v1');
+    expect(s3.headObject).not.toHaveBeenCalled();
+
+    expect(executed(/SET s3_key = \?/).map(([, params]) => params)).toEqual([['p/x', 'x']]);
+    expect(executed(/SET parent_id = \?/).map(([, params]) => params)).toEqual([[null, 'x']]);
+
+    // The old version was only kept for the trashed file; the key itself belongs to the live one
+    expect(s3.deleteFile).toHaveBeenCalledWith(storageConfig, 'p/A/x', 'v1');
+    expect(s3.deleteFiles).not.toHaveBeenCalled();
+  });
+
+  test('copies nothing while the new path is taken', async () => {
+    useTree({ livePaths: ['A/x', 'x'], liveKeys: ['p/A/x', 'p/x'] });
+
+    const result = await trashService.restoreItems('client-1', ['x']);
+
+    expect(result).toEqual({ restored: [], conflicts: [{ id: 'x', name: 'x', path: 'x' }] });
+    expect(s3.copyObject).not.toHaveBeenCalled();
+    expect(executed(/^\s*UPDATE/)).toHaveLength(0);
+  });
+
+  test('removes its copies when the rows cannot be updated', async () => {
+    useTree({ failUpdate: true });
+
+    await expect(trashService.restoreItems('client-1', ['x'])).rejects.toThrow('lock wait timeout');
+
+    expect(s3.deleteFiles).toHaveBeenCalledWith(storageConfig, ['p/x']);
+    expect(s3.deleteFile).not.toHaveBeenCalled();
+  });
+});
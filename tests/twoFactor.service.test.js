@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+const transaction = jest.fn();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({ query, transaction }));
+
+const { default: twoFactorService } = await import('../src/services/twoFactor.service.js');
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Freeze the clock at a unix time (seconds)
+ */
+function setTime(seconds) {
+  jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  query.mockReset();
+  transaction.mockReset();
+});
+
+describe('matchCode', () => {
+  test('accepts the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    setTime(59);
+    expect(twoFactorService.matchCode(RFC_SECRET, '287082')).toBe(1);
+
+    setTime(1111111109);
+    expect(twoFactorService.matchCode(RFC_SECRET, '081804')).toBe(37037036);
+
+    setTime(1234567890);
+    expect(twoFactorService.matchCode(RFC_SECRET, '005924')).toBe(41152263);
+  });
+
+  test('allows one step of clock drift either side, but not two', () => {
+    // 081804 is the code for step 37037036 (t = 1111111080..1111111109)
+    setTime(1111111079);
+    expect(twoFactorService.matchCode(RFC_SECRET, '081804')).toBe(37037036);
+
+    setTime(1111111139);
+    expect(twoFactorService.matchCode(RFC_SECRET, '081804')).toBe(37037036);
+
+    setTime(1111111049);
+    expect(twoFactorService.matchCode(RFC_SECRET, '081804')).toBeNull();
+
+    setTime(1111111140);
+    expect(twoFactorService.matchCode(RFC_SECRET, '081804')).toBeNull();
+  });
+
+  test('rejects codes from steps at or before the last used one', () => {
+    setTime(59);
+    expect(twoFactorService.matchCode(RFC_SECRET, '287082', 1)).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, '287082', 0)).toBe(1);
+  });
+
+  test('rejects malformed codes', () => {
+    setTime(59);
+    expect(twoFactorService.matchCode(RFC_SECRET, '28708')).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, '2870822')).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, '')).toBeNull();
+  });
+
+  test('generates 160-bit base32 secrets', () => {
+    const secret = twoFactorService.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(twoFactorService.generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  test('describes the secret the way authenticator apps expect', () => {
+    const uri = new URL(twoFactorService.buildOtpauthUri(RFC_SECRET, 'jane@example.com'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/TrueBackup:jane@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'TrueBackup',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
+
+describe('verifyCode', () => {
+  const user = { id: 'user-1', totp_secret: RFC_SECRET, totp_last_used_step: null };
+
+  test('records the step of an accepted code', async () => {
+    setTime(59);
+    query.mockResolvedValue({ affectedRows: 1 });
+
+    await expect(twoFactorService.verifyCode(user, '287082')).resolves.toBe(true);
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/totp_last_used_step < \?/);
+    expect(params).toEqual([1, 'user-1', 1]);
+  });
+
+  test('rejects a code already used by a concurrent request', async () => {
+    setTime(59);
+    query.mockResolvedValue({ affectedRows: 0 });
+
+    await expect(twoFactorService.verifyCode(user, '287082')).resolves.toBe(false);
+  });
+
+  test('rejects a replayed code without touching the database', async () => {
+    setTime(59);
+
+    await expect(twoFactorService.verifyCode({ ...user, totp_last_used_step: 1 }, '287082')).resolves.toBe(false);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('recovery codes', () => {
+  test('stores only hashes of the codes it returns', async () => {
+    const conn = { execute: jest.fn().mockResolvedValue([{}]) };
+
+    const codes = await twoFactorService.replaceRecoveryCodes(conn, 'user-1');
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    expect(conn.execute.mock.calls[0][0]).toMatch(/DELETE FROM user_recovery_codes/);
+
+    const storedHashes = conn.execute.mock.calls.slice(1).map(([, params]) => params[1]);
+    expect(storedHashes).toEqual(codes.map(code => sha256(code.replace('-', ''))));
+  });
+
+  test('consumes a code regardless of dashes, spaces and case', async () => {
+    query.mockResolvedValue({ affectedRows: 1 });
+
+    await expect(twoFactorService.useRecoveryCode('user-1', ' AB12C-3D4E5 ')).resolves.toBe(true);
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toMatch(/used_at IS NULL/);
+    expect(params).toEqual(['user-1', sha256('ab12c3d4e5')]);
+  });
+
+  test('rejects a used or unknown code', async () => {
+    query.mockResolvedValue({ affectedRows: 0 });
+
+    await expect(twoFactorService.useRecoveryCode('user-1', 'ab12c-3d4e5')).resolves.toBe(false);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  test('reports which factor was used', async () => {
+    setTime(59);
+    query.mockResolvedValue({ affectedRows: 1 });
+    const user = { id: 'user-1', totp_secret: RFC_SECRET, totp_last_used_step: null };
+
+    await expect(twoFactorService.verifySecondFactor(user, { code: '287082' })).resolves.toBe('totp');
+    await expect(twoFactorService.verifySecondFactor(user, { recoveryCode: 'ab12c-3d4e5' })).resolves.toBe('recovery_code');
+    await expect(twoFactorService.verifySecondFactor(user, {})).resolves.toBeNull();
+  });
+});